@@ -0,0 +1,84 @@
+// cli/formatters.mjs
+// Output formats for checkFiles() results: readable text, JSON and SARIF 2.1.0
+// (what GitHub code scanning and most CI dashboards read).
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+
+// One line per finding, "file:line:column  severity  message  [check]", then a summary.
+export function formatText({ files, summary }, { verbose = false } = {}) {
+  const lines = [];
+  for (const f of files) {
+    for (const x of f.findings) {
+      if (!verbose && x.severity === "note") continue;
+      lines.push(`${x.file}:${x.line}:${x.column}  ${x.severity.padEnd(7)}  ${x.message}  [${x.ruleId}]`);
+    }
+  }
+  if (lines.length) lines.push("");
+  lines.push(
+    `${plural(summary.files, "file")}, ${plural(summary.sentences, "sentence")}: ` +
+      `${summary.red} red, ${summary.yellow} yellow, ${summary.blue} blue.`
+  );
+  return `${lines.join("\n")}\n`;
+}
+
+export const formatJson = ({ files, summary, settings }) =>
+  `${JSON.stringify(
+    {
+      targetGrade: settings.targetGrade,
+      formula: settings.formula,
+      language: settings.language,
+      summary,
+      files,
+    },
+    null,
+    2
+  )}\n`;
+
+// checks: the CHECKS table from index.mjs, listed as the tool's rules.
+export function formatSarif({ files }, { checks, version = "", informationUri = "" }) {
+  const ruleIds = Object.keys(checks);
+  const sarif = {
+    $schema: "https://json.schemastore.org/sarif-2.1.0.json",
+    version: "2.1.0",
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: "Sentence Scratcher",
+            version,
+            ...(informationUri ? { informationUri } : {}),
+            rules: ruleIds.map((id) => ({
+              id,
+              shortDescription: { text: checks[id].description },
+              defaultConfiguration: { level: checks[id].severity },
+            })),
+          },
+        },
+        results: files.flatMap((f) =>
+          f.findings.map((x) => ({
+            ruleId: x.ruleId,
+            ruleIndex: ruleIds.indexOf(x.ruleId),
+            level: x.severity,
+            message: { text: x.message },
+            locations: [
+              {
+                physicalLocation: {
+                  artifactLocation: { uri: x.file },
+                  region: {
+                    startLine: x.line,
+                    startColumn: x.column,
+                    endLine: x.endLine,
+                    endColumn: x.endColumn,
+                    snippet: { text: x.text },
+                  },
+                },
+              },
+            ],
+            ...(x.grade !== undefined ? { properties: { grade: x.grade, words: x.words } } : {}),
+          }))
+        ),
+      },
+    ],
+  };
+  return `${JSON.stringify(sarif, null, 2)}\n`;
+}
@@ -0,0 +1,254 @@
+// cli/index.mjs
+// Node library behind the sentence-scratcher command. Runs the editor's own analysis
+// (src/sentenceAnalysis.js) over Markdown, HTML and text files and reports findings
+// with file, line and column. Needs Node 18.19 or later for module hooks.
+//
+//   import { createChecker, checkFiles } from "./cli/index.mjs";
+//   const { files, summary } = await checkFiles(["docs/**/*.md"], { targetGrade: 8 });
+import { register } from "node:module";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { formatOf, lineLocator, sourceBlocks } from "./sourceBlocks.mjs";
+
+// src/ is written for the bundler; teach Node its extensionless imports first
+register("./resolveHook.mjs", import.meta.url);
+
+const { analyzeBlockText, tooltipMessage, phraseNote, hardWordNote } = await import("../src/sentenceAnalysis.js");
+const { DEFAULT_FORMULA, DEFAULT_SPANISH_FORMULA } = await import("../src/readabilityUtils.js");
+const { STYLE_RULES } = await import("../src/styleRules.js");
+const { mergeWordMaps } = await import("../src/simpleWordMap.js");
+const { SPANISH_WORD_MAP } = await import("../src/spanishWordMap.js");
+const { buildExemptTerms } = await import("../src/exemptTerms.js");
+const { setSyllableExceptions } = await import("../src/syllables.js");
+const { normalizeDictionary, EMPTY_DICTIONARY } = await import("../src/personalDictionary.js");
+const { profileThresholds } = await import("../src/readabilityProfiles.js");
+
+const ROOT = fileURLToPath(new URL("..", import.meta.url));
+
+/* ---------------- checks ---------------- */
+// Everything a finding can report, in the order SARIF lists them.
+export const CHECKS = {
+  "very-hard-sentence": { severity: "error", description: "Sentence far above the target grade (red)." },
+  "hard-sentence": { severity: "warning", description: "Sentence above the target grade (yellow)." },
+  "long-sentence": { severity: "note", description: "Long sentence (blue)." },
+  "hard-word": { severity: "note", description: "Likely hard word." },
+  "wordy-phrase": { severity: "note", description: "Wordy phrase with a plainer option." },
+  ...Object.fromEntries(STYLE_RULES.map((r) => [r.id, { severity: "note", description: `${r.label}.` }])),
+};
+
+const CHECK_BY_COLOR = { red: "very-hard-sentence", yellow: "hard-sentence", blue: "long-sentence" };
+
+function flagFinding(flag) {
+  if (flag.kind === "rule") return { ruleId: flag.rule, message: flag.message };
+  if (flag.kind === "phrase") return { ruleId: "wordy-phrase", message: phraseNote(flag.suggestions) };
+  return { ruleId: "hard-word", message: hardWordNote(flag.suggestions) };
+}
+
+/* ---------------- shared lists ---------------- */
+const readJson = async (file) => {
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch {
+    return null;
+  }
+};
+
+// The lists the app fetches from public/, read once per process.
+let shippedLists = null;
+function loadShippedLists() {
+  if (!shippedLists) {
+    const load = (name) => readJson(path.join(ROOT, "public", name));
+    shippedLists = Promise.all([
+      load("daleChallEasyWords.json"),
+      load("spanishEasyWords.json"),
+      load("syllableExceptions.json"),
+      load("exemptProperNouns.json"),
+      load("orgExemptTerms.json"),
+    ]).then(([easy, spanishEasy, syllables, properNouns, orgTerms]) => {
+      if (syllables) setSyllableExceptions(syllables);
+      const lower = (list) => (Array.isArray(list) ? list.map((w) => String(w).toLowerCase()) : []);
+      return { easy: lower(easy), spanishEasy: lower(spanishEasy), exempt: buildExemptTerms(properNouns, orgTerms) };
+    });
+  }
+  return shippedLists;
+}
+
+/* ---------------- checker ---------------- */
+/*
+ * options: {
+ *   targetGrade  defaults to the profile's target, then 6
+ *   profile      a readability profile as exported from the app
+ *   dictionary   a personal dictionary as exported from the app: { easyWords, wordMap }
+ *   formula, language ("auto" | "en" | "es"), spanishFormula
+ *   rules        style rule ids to run, defaults to all
+ *   hardWords    false to skip hard-word and wordy-phrase findings
+ *   cwd          what reported file paths are relative to, defaults to process.cwd()
+ * }
+ */
+export async function createChecker(options = {}) {
+  const lists = await loadShippedLists();
+  const dictionary = normalizeDictionary(options.dictionary || EMPTY_DICTIONARY);
+  const profile = options.profile || null;
+  const settings = {
+    targetGrade: options.targetGrade ?? (profile ? profile.targetGrade : 6),
+    thresholds: profile ? profileThresholds(profile) : {},
+    formula: options.formula || DEFAULT_FORMULA,
+    showHardWords: options.hardWords !== false,
+    easySet: new Set([...lists.easy, ...dictionary.easyWords]),
+    wordMap: mergeWordMaps(dictionary.wordMap),
+    customHard: new Set(Object.keys(dictionary.wordMap)),
+    exempt: lists.exempt,
+    rules: options.rules || STYLE_RULES.map((r) => r.id),
+    language: options.language || "auto",
+    spanish: {
+      easySet: new Set([...lists.spanishEasy, ...dictionary.easyWords]),
+      wordMap: mergeWordMaps(dictionary.wordMap, SPANISH_WORD_MAP),
+      formula: options.spanishFormula || DEFAULT_SPANISH_FORMULA,
+    },
+  };
+
+  /*
+   * Findings for one file's contents:
+   *   { file, sentences, counts: { red, yellow, blue }, findings: [{ file, line, column,
+   *     endLine, endColumn, ruleId, severity, message, text, grade?, words? }] }
+   * format is "markdown", "html" or "text"; by default it follows the file extension.
+   */
+  function checkText(source, { file = "<text>", format = formatOf(file) || "text" } = {}) {
+    const locate = lineLocator(source);
+    const findings = [];
+    const counts = { red: 0, yellow: 0, blue: 0 };
+    let sentences = 0;
+    const add = (from, to, finding) => {
+      const start = locate(from);
+      const end = locate(to);
+      const { severity } = CHECKS[finding.ruleId];
+      findings.push({ file, line: start.line, column: start.column, endLine: end.line, endColumn: end.column, severity, ...finding });
+    };
+
+    for (const block of sourceBlocks(source, format)) {
+      const { sentences: analyzed, flags } = analyzeBlockText(block.text, settings);
+      sentences += analyzed.length;
+      for (const s of analyzed) {
+        if (!s.color) continue;
+        counts[s.color]++;
+        add(block.start + s.start, block.start + s.end, {
+          ruleId: CHECK_BY_COLOR[s.color],
+          message: `Grade ${s.grade.toFixed(1)}, ${s.wordCount} words, target grade ${settings.targetGrade}. ${tooltipMessage(s.color)}`,
+          text: s.text.replace(/\s+/g, " "),
+          grade: Math.round(s.grade * 10) / 10,
+          words: s.wordCount,
+        });
+      }
+      for (const flag of flags) {
+        add(block.start + flag.start, block.start + flag.end, { ...flagFinding(flag), text: flag.text.replace(/\s+/g, " ") });
+      }
+    }
+    findings.sort((a, b) => a.line - b.line || a.column - b.column);
+    return { file, sentences, counts, findings };
+  }
+
+  async function checkFile(file) {
+    const relative = toPosix(path.relative(options.cwd || process.cwd(), file));
+    return checkText(await fs.readFile(file, "utf8"), { file: relative || file });
+  }
+
+  return { settings, checkText, checkFile };
+}
+
+/* ---------------- files ---------------- */
+const toPosix = (p) => p.split(path.sep).join("/");
+const IGNORED_DIRS = new Set(["node_modules", ".git"]);
+const escapeRegExp = (s) => s.replace(/[.+^$(){}|[\]\\]/g, "\\$&");
+
+// "*", "?", "**/" and "{a,b}", the subset shells and CI configs commonly use.
+function globToRegExp(glob) {
+  let re = "";
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === "*" && glob[i + 1] === "*") {
+      re += glob[i + 2] === "/" ? "(?:.*/)?" : ".*";
+      i += glob[i + 2] === "/" ? 2 : 1;
+    } else if (ch === "*") {
+      re += "[^/]*";
+    } else if (ch === "?") {
+      re += "[^/]";
+    } else if (ch === "{" && glob.indexOf("}", i) > i) {
+      const close = glob.indexOf("}", i);
+      re += `(?:${glob.slice(i + 1, close).split(",").map(escapeRegExp).join("|")})`;
+      i = close;
+    } else {
+      re += escapeRegExp(ch);
+    }
+  }
+  return new RegExp(`^${re}$`);
+}
+
+async function walk(dir, out = []) {
+  let entries = [];
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch {
+    return out;
+  }
+  for (const entry of entries) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (!IGNORED_DIRS.has(entry.name)) await walk(full, out);
+    } else if (entry.isFile()) {
+      out.push(full);
+    }
+  }
+  return out;
+}
+
+// Files matched by paths, directories (searched for supported files) and globs, sorted.
+export async function findFiles(patterns, cwd = process.cwd()) {
+  const found = new Set();
+  for (const pattern of patterns) {
+    const full = path.resolve(cwd, pattern);
+    const stat = await fs.stat(full).catch(() => null);
+    if (stat && stat.isFile()) {
+      found.add(full);
+      continue;
+    }
+    if (stat && stat.isDirectory()) {
+      for (const file of await walk(full)) if (formatOf(file)) found.add(file);
+      continue;
+    }
+    // match relative globs against paths relative to cwd, absolute ones against absolute paths
+    const absolute = path.isAbsolute(pattern);
+    const glob = toPosix(path.normalize(pattern));
+    const parts = glob.split("/");
+    const firstMagic = parts.findIndex((p) => /[*?{]/.test(p));
+    if (firstMagic === -1) continue;
+    const base = path.resolve(cwd, parts.slice(0, firstMagic).join("/") || ".");
+    const match = globToRegExp(glob);
+    for (const file of await walk(base)) {
+      if (formatOf(file) && match.test(toPosix(absolute ? file : path.relative(cwd, file)))) found.add(file);
+    }
+  }
+  return [...found].sort();
+}
+
+/*
+ * Checks every file matched by patterns. Returns
+ *   { files: [checkText() results], summary: { files, sentences, red, yellow, blue, findings } }
+ */
+export async function checkFiles(patterns, options = {}) {
+  const checker = await createChecker(options);
+  const files = [];
+  for (const file of await findFiles(patterns, options.cwd || process.cwd())) files.push(await checker.checkFile(file));
+  const summary = { files: files.length, sentences: 0, red: 0, yellow: 0, blue: 0, findings: 0 };
+  for (const f of files) {
+    summary.sentences += f.sentences;
+    summary.red += f.counts.red;
+    summary.yellow += f.counts.yellow;
+    summary.blue += f.counts.blue;
+    summary.findings += f.findings.length;
+  }
+  return { files, summary, settings: checker.settings };
+}
+
+export { formatOf, sourceBlocks } from "./sourceBlocks.mjs";
+export { formatText, formatJson, formatSarif } from "./formatters.mjs";
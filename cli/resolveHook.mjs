@@ -0,0 +1,20 @@
+// cli/resolveHook.mjs
+// Module hooks that let Node load src/ the way the app's bundler does:
+// "./tokenizer" resolves to "./tokenizer.js", and src files are ES modules even though
+// package.json has no "type". Registered by cli/index.mjs before it imports anything from src.
+const SRC = new URL("../src/", import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  const fromSrc = context.parentURL && context.parentURL.startsWith(SRC);
+  if (fromSrc && /^\.\.?\//.test(specifier) && !/\.[a-z]+$/i.test(specifier)) {
+    return nextResolve(`${specifier}.js`, context);
+  }
+  return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.startsWith(SRC) && url.endsWith(".js")) {
+    return nextLoad(url, { ...context, format: "module" });
+  }
+  return nextLoad(url, context);
+}
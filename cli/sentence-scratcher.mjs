@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+// cli/sentence-scratcher.mjs
+// Command line entry: sentence-scratcher check "docs/**/*.md" --target 8
+// Exit codes: 0 passed, 1 more red (or yellow) sentences than allowed, 2 usage or file errors.
+import fs from "node:fs/promises";
+import { parseArgs } from "node:util";
+import { CHECKS, checkFiles, formatJson, formatSarif, formatText } from "./index.mjs";
+
+const { FORMULAS, SPANISH_FORMULAS } = await import("../src/readabilityUtils.js");
+const { LANGUAGES } = await import("../src/spanishText.js");
+const { STYLE_RULES } = await import("../src/styleRules.js");
+const { parseProfilesJson } = await import("../src/readabilityProfiles.js");
+const { parseDictionaryJson } = await import("../src/personalDictionary.js");
+
+const pkg = JSON.parse(await fs.readFile(new URL("../package.json", import.meta.url), "utf8"));
+
+const HELP = `Usage: sentence-scratcher check <files, directories or globs...> [options]
+
+Checks Markdown (.md), HTML (.html) and plain text (.txt) files for plain language.
+
+Options:
+  --target <grade>         Target grade level (default 6, or the profile's)
+  --profile <file>         Readability profile JSON exported from the app
+  --profile-name <name>    Profile to use from that file (default the first)
+  --dictionary <file>      Personal dictionary JSON exported from the app
+  --formula <id>           ${Object.keys(FORMULAS).join(", ")} (default fk)
+  --language <id>          ${Object.keys(LANGUAGES).join(", ")} (default auto)
+  --spanish-formula <id>   ${Object.keys(SPANISH_FORMULAS).join(", ")}
+  --rules <ids>            Style rules to run, comma separated, or "none"
+                           (${STYLE_RULES.map((r) => r.id).join(", ")}; default all)
+  --no-hard-words          Skip hard word and wordy phrase findings
+  --format <type>          text, json or sarif (default text)
+  --output <file>          Write the report to a file instead of stdout
+  --verbose                Text format: also list notes (blue sentences, words, style)
+  --max-red <n>            Fail when more than n red sentences (default 0)
+  --max-yellow <n>         Fail when more than n yellow sentences (default no limit)
+  -h, --help               Show this help
+  -v, --version            Show the version
+`;
+
+class UsageError extends Error {}
+
+const readJsonFile = async (file, parse) => {
+  try {
+    return parse(await fs.readFile(file, "utf8"));
+  } catch (err) {
+    throw new UsageError(`could not read ${file}, ${err.message}`);
+  }
+};
+
+const count = (value, flag) => {
+  if (value === undefined) return undefined;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) throw new UsageError(`${flag} must be a whole number, got "${value}"`);
+  return n;
+};
+
+const oneOf = (value, table, flag) => {
+  if (value !== undefined && !table[value]) {
+    throw new UsageError(`${flag} must be one of ${Object.keys(table).join(", ")}, got "${value}"`);
+  }
+  return value;
+};
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      target: { type: "string" },
+      profile: { type: "string" },
+      "profile-name": { type: "string" },
+      dictionary: { type: "string" },
+      formula: { type: "string" },
+      language: { type: "string" },
+      "spanish-formula": { type: "string" },
+      rules: { type: "string" },
+      "no-hard-words": { type: "boolean" },
+      format: { type: "string", default: "text" },
+      output: { type: "string" },
+      verbose: { type: "boolean" },
+      "max-red": { type: "string" },
+      "max-yellow": { type: "string" },
+      help: { type: "boolean", short: "h" },
+      version: { type: "boolean", short: "v" },
+    },
+  });
+
+  if (values.version) {
+    process.stdout.write(`${pkg.version}\n`);
+    return 0;
+  }
+  const [command, ...patterns] = positionals;
+  if (values.help || !command) {
+    process.stdout.write(HELP);
+    return values.help ? 0 : 2;
+  }
+  if (command !== "check") throw new UsageError(`unknown command "${command}"`);
+  if (!patterns.length) throw new UsageError("no files given");
+  oneOf(values.format, { text: 1, json: 1, sarif: 1 }, "--format");
+  const maxRed = count(values["max-red"], "--max-red") ?? 0;
+  const maxYellow = count(values["max-yellow"], "--max-yellow");
+
+  let targetGrade;
+  if (values.target !== undefined) {
+    targetGrade = Number(values.target);
+    if (!Number.isFinite(targetGrade) || targetGrade <= 0) throw new UsageError(`--target must be a grade, got "${values.target}"`);
+  }
+
+  let profile = null;
+  if (values.profile) {
+    const profiles = await readJsonFile(values.profile, parseProfilesJson);
+    const name = values["profile-name"];
+    profile = name ? profiles.find((p) => p.name === name || p.id === name) : profiles[0];
+    if (!profile) throw new UsageError(`no profile named "${name}" in ${values.profile}`);
+  }
+
+  let rules;
+  if (values.rules !== undefined) {
+    rules = values.rules === "none" ? [] : values.rules.split(",").map((r) => r.trim()).filter(Boolean);
+    const unknown = rules.filter((id) => !STYLE_RULES.some((r) => r.id === id));
+    if (unknown.length) throw new UsageError(`unknown style rule ${unknown.join(", ")}`);
+  }
+
+  const result = await checkFiles(patterns, {
+    targetGrade,
+    profile,
+    dictionary: values.dictionary ? await readJsonFile(values.dictionary, parseDictionaryJson) : null,
+    formula: oneOf(values.formula, FORMULAS, "--formula"),
+    language: oneOf(values.language, LANGUAGES, "--language"),
+    spanishFormula: oneOf(values["spanish-formula"], SPANISH_FORMULAS, "--spanish-formula"),
+    rules,
+    hardWords: !values["no-hard-words"],
+  });
+  if (!result.files.length) throw new UsageError(`no Markdown, HTML or text files match ${patterns.join(" ")}`);
+
+  let report;
+  if (values.format === "json") report = formatJson(result);
+  else if (values.format === "sarif") report = formatSarif(result, { checks: CHECKS, version: pkg.version, informationUri: pkg.homepage });
+  else report = formatText(result, { verbose: values.verbose });
+  if (values.output) await fs.writeFile(values.output, report, "utf8");
+  else process.stdout.write(report);
+
+  const failures = [];
+  if (result.summary.red > maxRed) failures.push(`${result.summary.red} red sentences, at most ${maxRed} allowed`);
+  if (maxYellow !== undefined && result.summary.yellow > maxYellow) {
+    failures.push(`${result.summary.yellow} yellow sentences, at most ${maxYellow} allowed`);
+  }
+  for (const f of failures) process.stderr.write(`sentence-scratcher: ${f}\n`);
+  return failures.length ? 1 : 0;
+}
+
+main(process.argv.slice(2)).then(
+  (code) => { process.exitCode = code; },
+  (err) => {
+    const usage = err instanceof UsageError || err.code === "ERR_PARSE_ARGS_UNKNOWN_OPTION" || err.code === "ERR_PARSE_ARGS_INVALID_OPTION_VALUE";
+    process.stderr.write(`sentence-scratcher: ${usage ? err.message : err.stack}\n`);
+    if (usage) process.stderr.write("Run sentence-scratcher --help for usage.\n");
+    process.exitCode = 2;
+  }
+);
@@ -0,0 +1,186 @@
+// cli/sourceBlocks.mjs
+// Turns Markdown, HTML or plain text into the blocks the editor would analyze
+// (paragraphs, headings, list items), keeping offsets into the original file.
+// Markup is masked with spaces rather than removed, so an offset in a block's text
+// is always the same offset in the source and line/column numbers stay exact.
+
+export const FORMAT_BY_EXTENSION = {
+  md: "markdown",
+  markdown: "markdown",
+  html: "html",
+  htm: "html",
+  txt: "text",
+  text: "text",
+};
+
+export const formatOf = (file) =>
+  FORMAT_BY_EXTENSION[(file.match(/\.([^./\\]+)$/) || ["", ""])[1].toLowerCase()] || null;
+
+/* ---------------- masking ---------------- */
+// Same length as s, newlines kept so line numbers do not move.
+const blank = (s) => s.replace(/[^\n]/g, " ");
+const padTo = (replacement, s) => replacement + blank(s.slice(replacement.length));
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: " ", rsquo: "’", lsquo: "‘", rdquo: "”", ldquo: "“", mdash: "—", ndash: "–", hellip: "…" };
+const maskEntities = (s) =>
+  s.replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (m, name) => {
+    let ch = ENTITIES[name.toLowerCase()];
+    if (name[0] === "#") ch = String.fromCodePoint(name[1].toLowerCase() === "x" ? parseInt(name.slice(2), 16) : +name.slice(1));
+    return ch && ch.length === 1 ? padTo(ch, m) : blank(m);
+  });
+
+/* ---------------- plain text ---------------- */
+function textSource(source) {
+  return { masked: source, breaks: [] };
+}
+
+/* ---------------- HTML ---------------- */
+const HIDDEN_ELEMENTS = /<(head|script|style|pre|code|template|svg|noscript)\b[\s\S]*?<\/\1\s*>/gi;
+const BLOCK_TAG = /^<\/?(address|article|aside|blockquote|body|br|dd|details|div|dl|dt|figcaption|figure|footer|form|h[1-6]|header|hr|html|li|main|nav|ol|p|section|summary|table|tbody|td|tfoot|th|thead|tr|ul)\b/i;
+
+function htmlSource(source) {
+  const breaks = [];
+  const masked = maskEntities(
+    source
+      .replace(/<!--[\s\S]*?-->/g, blank)
+      .replace(HIDDEN_ELEMENTS, (m, _name, at) => {
+        breaks.push(at);
+        return blank(m);
+      })
+      .replace(/<[^>]+>/g, (m, at) => {
+        if (BLOCK_TAG.test(m)) breaks.push(at);
+        return blank(m);
+      })
+  );
+  return { masked, breaks };
+}
+
+/* ---------------- Markdown ---------------- */
+const FENCE = /^ {0,3}(`{3,}|~{3,})/;
+const HEADING = /^ {0,3}#{1,6}(?=\s|$)/;
+const LIST_ITEM = /^\s*(?:[-*+]|\d{1,9}[.)])\s+(?:\[[ xX]\]\s+)?/;
+const QUOTE = /^ {0,3}(?:>\s?)+/;
+const RULE_LINE = /^ {0,3}(?:(?:[-*_]\s*){3,}|=+\s*|-+\s*)$/;
+const TABLE_DIVIDER = /^\s*\|?\s*:?-{3,}:?\s*(?:\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+const LINK_DEFINITION = /^ {0,3}\[[^\]]+\]:\s*\S/;
+
+// Inline markup inside one line: code spans, images, links, tags, emphasis, escapes.
+function maskInline(line) {
+  return maskEntities(
+    line
+      .replace(/(`+)[\s\S]*?\1/g, blank)
+      .replace(/!\[[^\]]*\]\([^)]*\)/g, blank)
+      .replace(/\[([^\]]*)\](\([^)]*\)|\[[^\]]*\])/g, (m, label, target) => ` ${label} ${blank(target)}`)
+      .replace(/<[^>]+>/g, blank)
+      .replace(/\\(?=[^\s\w])/g, " ")
+      .replace(/\*+|~~|(?<![\p{L}\d])_+|_+(?![\p{L}\d])/gu, blank)
+  );
+}
+
+function markdownSource(source) {
+  const lines = source.split("\n");
+  const out = [];
+  const breaks = [];
+  let offset = 0;
+  let fence = null;
+  let inFrontMatter = /^---\s*$/.test(lines[0]);
+
+  lines.forEach((line, index) => {
+    const at = offset;
+    offset += line.length + 1;
+    const skip = () => {
+      out.push(blank(line));
+      breaks.push(at);
+    };
+
+    if (inFrontMatter) {
+      if (index > 0 && /^(---|\.\.\.)\s*$/.test(line)) inFrontMatter = false;
+      return skip();
+    }
+    const fenceMatch = line.match(FENCE);
+    if (fence) {
+      if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) fence = null;
+      return skip();
+    }
+    if (fenceMatch) {
+      fence = fenceMatch[1];
+      return skip();
+    }
+    // indented code, unless it continues a paragraph or list item
+    const previous = index > 0 ? lines[index - 1] : "";
+    if (/^( {4}|\t)/.test(line) && !previous.trim()) return skip();
+    if (RULE_LINE.test(line) || TABLE_DIVIDER.test(line) || LINK_DEFINITION.test(line)) return skip();
+
+    let marker = "";
+    const quote = line.match(QUOTE);
+    if (quote) marker = quote[0];
+    const rest = line.slice(marker.length);
+    const heading = rest.match(HEADING);
+    const item = heading ? null : rest.match(LIST_ITEM);
+    if (heading) {
+      // closing hashes: "## Title ##"
+      const text = rest.slice(heading[0].length).replace(/\s#+\s*$/, blank);
+      out.push(blank(marker + heading[0]) + maskInline(text));
+      breaks.push(at, at + line.length);
+      return;
+    }
+    if (item) {
+      marker += item[0];
+      breaks.push(at);
+    }
+    if (/^\s*\|/.test(rest)) {
+      // a table row is one block, each cell separated by the masked pipes
+      out.push(blank(marker) + maskInline(rest).replace(/\|/g, " "));
+      breaks.push(at, at + line.length);
+      return;
+    }
+    out.push(blank(marker) + maskInline(line.slice(marker.length)));
+  });
+  return { masked: out.join("\n"), breaks };
+}
+
+/* ---------------- blocks ---------------- */
+const SOURCES = { markdown: markdownSource, html: htmlSource, text: textSource };
+
+/*
+ * Blocks of source: [{ start, end, text }] with text the masked slice source[start, end).
+ * format is "markdown", "html" or "text". Blocks end at blank lines and at the breaks
+ * each format adds (headings, list items, block tags).
+ */
+export function sourceBlocks(source, format = "text") {
+  const { masked, breaks } = (SOURCES[format] || textSource)(source.replace(/\r\n?/g, (m) => (m.length === 2 ? " \n" : "\n")));
+  const cuts = new Set([0, masked.length, ...breaks]);
+  const blankLine = /\n[ \t]*\n/g;
+  let m;
+  while ((m = blankLine.exec(masked)) !== null) {
+    cuts.add(m.index + 1);
+    blankLine.lastIndex = m.index + 1;
+  }
+  const sorted = [...cuts].sort((a, b) => a - b);
+  const blocks = [];
+  for (let i = 0; i < sorted.length - 1; i++) {
+    const raw = masked.slice(sorted[i], sorted[i + 1]);
+    const text = raw.trim();
+    if (!/[\p{L}\d]/u.test(text)) continue;
+    const start = sorted[i] + raw.indexOf(text);
+    blocks.push({ start, end: start + text.length, text });
+  }
+  return blocks;
+}
+
+/* ---------------- positions ---------------- */
+// 1-based line and column of an offset, columns counted in UTF-16 code units as SARIF expects.
+export function lineLocator(source) {
+  const starts = [0];
+  for (let i = 0; i < source.length; i++) if (source[i] === "\n") starts.push(i + 1);
+  return (offset) => {
+    let lo = 0;
+    let hi = starts.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (starts[mid] <= offset) lo = mid;
+      else hi = mid - 1;
+    }
+    return { line: lo + 1, column: offset - starts[lo] + 1 };
+  };
+}
@@ -0,0 +1,207 @@
+// scripts/collab-server.js
+// A small sync server for co-editing (see src/collabSession.js). Each room keeps a document and
+// the ordered list of steps made since it. A writer's steps are accepted only when they build on
+// the latest version, then sent to everyone in the room; the others rebase theirs and send again.
+// It never parses the document, so it works with any editor schema; it only checks that steps
+// have the fields their kind needs, and that writers join with the room's schema version.
+//   node scripts/collab-server.js [--port 1234] [--data ./collab-data]
+// With --data, rooms are saved as JSON files when the last writer leaves or the server stops,
+// and reopened from there. Without it, rooms last until the server stops.
+import fs from "fs";
+import http from "http";
+import path from "path";
+import WebSocket from "ws";
+
+const COLORS = ["#e11d48", "#2563eb", "#16a34a", "#d97706", "#7c3aed", "#0891b2", "#db2777", "#65a30d"];
+const SNAPSHOT_STEPS = 500; // steps kept before a writer is asked for the whole document
+const MAX_MESSAGE_BYTES = 8 * 1024 * 1024;
+const HEARTBEAT_MS = 30000;
+const ROOM_NAME = /^[A-Za-z0-9_-]{1,64}$/;
+
+const option = (name, fallback) => {
+  const i = process.argv.indexOf(`--${name}`);
+  return i > 0 && process.argv[i + 1] ? process.argv[i + 1] : fallback;
+};
+const port = Number(option("port", process.env.PORT || 1234));
+const dataDir = option("data", process.env.COLLAB_DATA || "");
+
+const rooms = new Map();
+
+const roomFile = (name) => path.join(dataDir, `${name}.json`);
+
+function openRoom(name) {
+  if (rooms.has(name)) return rooms.get(name);
+  const room = { name, doc: null, docVersion: 0, schema: null, steps: [], clients: new Set(), joins: 0 };
+  if (dataDir) {
+    try {
+      const saved = JSON.parse(fs.readFileSync(roomFile(name), "utf8"));
+      room.doc = saved.doc;
+      room.docVersion = saved.docVersion;
+      room.schema = saved.schema ?? null;
+      room.steps = saved.steps;
+    } catch {
+      // a new room
+    }
+  }
+  rooms.set(name, room);
+  return room;
+}
+
+function saveRoom(room) {
+  if (!dataDir || !room.doc) return;
+  fs.mkdirSync(dataDir, { recursive: true });
+  fs.writeFileSync(roomFile(room.name), JSON.stringify({ doc: room.doc, docVersion: room.docVersion, schema: room.schema, steps: room.steps }));
+}
+
+const versionOf = (room) => room.docVersion + room.steps.length;
+
+// What each kind of step must carry: ProseMirror's own, and the review comments' (src/reviewExtension.js).
+const isRange = (step) => Number.isInteger(step.from) && Number.isInteger(step.to);
+const atPos = (step) => Number.isInteger(step.pos);
+const STEP_CHECKS = {
+  replace: isRange,
+  replaceAround: (step) => isRange(step) && Number.isInteger(step.gapFrom) && Number.isInteger(step.gapTo),
+  addMark: isRange,
+  removeMark: isRange,
+  addNodeMark: atPos,
+  removeNodeMark: atPos,
+  attr: (step) => atPos(step) && typeof step.attr === "string",
+  docAttr: (step) => typeof step.attr === "string",
+  comment: (step) => typeof step.id === "string" && (step.comment === null || typeof step.comment === "object"),
+};
+
+const isStep = (step) =>
+  !!step && typeof step === "object" && Object.prototype.hasOwnProperty.call(STEP_CHECKS, step.stepType) && STEP_CHECKS[step.stepType](step);
+
+const send = (client, msg) => {
+  if (client.socket.readyState === WebSocket.OPEN) client.socket.send(JSON.stringify(msg));
+};
+
+const broadcast = (room, msg, except = null) => {
+  for (const client of room.clients) if (client !== except && client.joined) send(client, msg);
+};
+
+const peersOf = (room) =>
+  [...room.clients].filter((c) => c.joined).map(({ clientID, name, color }) => ({ clientID, name, color }));
+
+function join(room, client, msg) {
+  if (!room.doc) {
+    if (!msg.doc || msg.doc.type !== "doc") {
+      send(client, { type: "error", message: "the room has no document yet" });
+      return;
+    }
+    room.doc = msg.doc;
+    room.docVersion = 0;
+    room.schema = msg.schema ?? null;
+    room.steps = [];
+  } else if (room.schema !== null && (msg.schema ?? null) !== room.schema) {
+    send(client, { type: "error", message: "the room was started by a different version of the app" });
+    return;
+  }
+  client.clientID = String(msg.clientID || `writer-${room.joins}`).slice(0, 64);
+  client.name = String(msg.name || "Writer").slice(0, 40);
+  client.joined = true;
+  // after a reconnect, only the steps the writer missed
+  const since =
+    Number.isInteger(msg.version) && msg.version >= room.docVersion && msg.version <= versionOf(room) ? msg.version : null;
+  const steps = room.steps.slice((since === null ? room.docVersion : since) - room.docVersion);
+  send(client, {
+    type: "init",
+    doc: since === null ? room.doc : null,
+    version: since === null ? room.docVersion : since,
+    steps: steps.map((s) => s.step),
+    clientIDs: steps.map((s) => s.clientID),
+    color: client.color,
+  });
+  broadcast(room, { type: "peers", peers: peersOf(room) });
+}
+
+function receiveSteps(room, client, msg) {
+  // steps built on an older version are dropped; the writer gets the newer ones and sends again
+  if (msg.version !== versionOf(room) || !Array.isArray(msg.steps) || !msg.steps.length) return;
+  // a bad step would break the room for everyone who joins later
+  if (!msg.steps.every(isStep)) {
+    send(client, { type: "error", message: "the server turned down changes it could not read" });
+    return;
+  }
+  for (const step of msg.steps) room.steps.push({ step, clientID: client.clientID });
+  broadcast(room, { type: "steps", steps: msg.steps, clientIDs: msg.steps.map(() => client.clientID) });
+  if (room.steps.length >= SNAPSHOT_STEPS) send(client, { type: "snapshot" });
+}
+
+function receiveSnapshot(room, msg) {
+  const valid = msg.doc && msg.doc.type === "doc" && Number.isInteger(msg.version);
+  if (!valid || msg.version < room.docVersion || msg.version > versionOf(room)) return;
+  room.steps = room.steps.slice(msg.version - room.docVersion);
+  room.doc = msg.doc;
+  room.docVersion = msg.version;
+}
+
+const server = http.createServer((req, res) => {
+  res.writeHead(200, { "Content-Type": "text/plain" });
+  res.end("Sentence Scratcher sync server\n");
+});
+const wss = new WebSocket.Server({ server, maxPayload: MAX_MESSAGE_BYTES });
+
+wss.on("connection", (socket, req) => {
+  let name = "";
+  try {
+    name = decodeURIComponent(new URL(req.url, "http://localhost").pathname.slice(1));
+  } catch {
+    // left empty, so it is turned down below
+  }
+  if (!ROOM_NAME.test(name)) {
+    socket.close(4000, "room names use letters, digits, - and _");
+    return;
+  }
+  const room = openRoom(name);
+  const client = { socket, joined: false, alive: true, color: COLORS[room.joins++ % COLORS.length] };
+  room.clients.add(client);
+
+  socket.on("pong", () => { client.alive = true; });
+  socket.on("message", (data) => {
+    let msg;
+    try { msg = JSON.parse(data); } catch { return; }
+    if (msg.type === "join") join(room, client, msg);
+    else if (!client.joined) return;
+    else if (msg.type === "steps") receiveSteps(room, client, msg);
+    else if (msg.type === "snapshot") receiveSnapshot(room, msg);
+    else if (msg.type === "presence") {
+      broadcast(room, { type: "presence", clientID: client.clientID, anchor: msg.anchor, head: msg.head, version: msg.version }, client);
+    }
+  });
+  socket.on("close", () => {
+    room.clients.delete(client);
+    if (room.clients.size) {
+      broadcast(room, { type: "peers", peers: peersOf(room) });
+    } else if (dataDir) {
+      saveRoom(room);
+      rooms.delete(room.name);
+    }
+  });
+});
+
+// drops writers whose connection died without closing
+const heartbeat = setInterval(() => {
+  for (const room of rooms.values()) {
+    for (const client of room.clients) {
+      if (!client.alive) client.socket.terminate();
+      else {
+        client.alive = false;
+        client.socket.ping();
+      }
+    }
+  }
+}, HEARTBEAT_MS);
+
+const shutDown = () => {
+  clearInterval(heartbeat);
+  for (const room of rooms.values()) saveRoom(room);
+  process.exit(0);
+};
+process.on("SIGINT", shutDown);
+process.on("SIGTERM", shutDown);
+
+server.listen(port, () => {
+  console.log(`Sync server on ws://localhost:${port}${dataDir ? `, saving rooms in ${path.resolve(dataDir)}` : ""}`);
+});
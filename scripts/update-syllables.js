@@ -0,0 +1,18 @@
+// scripts/update-syllables.js
+// Writes public/syllableExceptions.json: every CMU Pronouncing Dictionary word whose
+// syllable count differs from what src/syllables.js would guess without the list.
+import { dictionary } from "cmu-pronouncing-dictionary";
+import fs from "fs";
+import path from "path";
+import { countSyllables } from "../src/syllables.js";
+
+const out = path.join(process.cwd(), "public", "syllableExceptions.json");
+const exceptions = {};
+for (const [word, phones] of Object.entries(dictionary)) {
+  // skip alternate pronunciations ("read(1)"), abbreviations and odd spellings
+  if (!/^[a-z][a-z'-]*[a-z]$/.test(word)) continue;
+  const count = (phones.match(/\d/g) || []).length;
+  if (count && count !== countSyllables(word)) exceptions[word] = count;
+}
+fs.writeFileSync(out, JSON.stringify(exceptions), "utf8");
+console.log(`Wrote ${Object.keys(exceptions).length} words to ${out}`);
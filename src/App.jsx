@@ -1,13 +1,60 @@
 // src/App.jsx
 import ThemeToggle from "./ThemeToggle";
-import React, { useEffect, useState } from "react";
+import React, { useCallback, useEffect, useRef, useState } from "react";
 import "./custom.css";
 import TiptapEditor from "./TiptapEditor";
+import ProfilesPanel from "./ProfilesPanel";
+import { FORMULAS, DEFAULT_FORMULA, SPANISH_FORMULAS, DEFAULT_SPANISH_FORMULA } from "./readabilityUtils";
+import { LANGUAGES } from "./spanishText";
+import { loadProfiles, saveProfiles, loadActiveProfileId, saveActiveProfileId, adoptProfile } from "./readabilityProfiles";
+import { decodeShare, hasShare } from "./shareLinks";
+import { hasCollabInvite, readCollabInvite } from "./collabSession";
+import { fillTemplate, loadActiveTemplateId, loadTemplates, profileValues } from "./promptTemplates";
+
+// Drops the #share=… or #collab=… fragment without adding a history entry.
+const clearShareHash = () => {
+  window.history.replaceState(null, "", `${window.location.pathname}${window.location.search}`);
+};
 
 const VERSION = process.env.REACT_APP_VERSION || "";
 
 export default function App() {
-  const [targetGrade, setTargetGrade] = useState(6); // default Grade 6
+  const [profiles, setProfiles] = useState(loadProfiles);
+  const [profileId, setProfileId] = useState(loadActiveProfileId);
+  const profile = profiles.find((p) => p.id === profileId) || profiles[0];
+  const [formula, setFormula] = useState(() => {
+    try {
+      const saved = localStorage.getItem("ssFormula");
+      return FORMULAS[saved] ? saved : DEFAULT_FORMULA;
+    } catch {
+      return DEFAULT_FORMULA;
+    }
+  });
+  const [language, setLanguage] = useState(() => {
+    try {
+      const saved = localStorage.getItem("ssLanguage");
+      return LANGUAGES[saved] ? saved : "auto";
+    } catch {
+      return "auto";
+    }
+  });
+  const [spanishFormula, setSpanishFormula] = useState(() => {
+    try {
+      const saved = localStorage.getItem("ssFormulaEs");
+      return SPANISH_FORMULAS[saved] ? saved : DEFAULT_SPANISH_FORMULA;
+    } catch {
+      return DEFAULT_SPANISH_FORMULA;
+    }
+  });
+  // a document opened from a shared link; read-only ones override the settings below for now
+  const [shared, setShared] = useState(null);
+  const [openingShare, setOpeningShare] = useState(() => hasShare(window.location.hash));
+  const viewingShare = !!shared && shared.mode === "view";
+  // a co-editing invite fills in the co-edit panel
+  const [collabInvite, setCollabInvite] = useState(null);
+  const profilesRef = useRef(profiles);
+  profilesRef.current = profiles;
+
   const [helpOpen, setHelpOpen] = useState(() => {
     try {
       return localStorage.getItem("ssHelpOpen") === "1";
@@ -22,21 +69,76 @@ export default function App() {
     } catch {}
   }, [helpOpen]);
 
+  useEffect(() => { saveProfiles(profiles); }, [profiles]);
+  useEffect(() => { saveActiveProfileId(profile.id); }, [profile.id]);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem("ssFormula", formula);
+    } catch {}
+  }, [formula]);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem("ssLanguage", language);
+      localStorage.setItem("ssFormulaEs", spanishFormula);
+    } catch {}
+  }, [language, spanishFormula]);
+
+  // an editable link becomes the reviewer's own: its profile and settings are kept
+  const adoptShare = useCallback((share) => {
+    const adopted = adoptProfile(profilesRef.current, share.profile);
+    setProfiles(adopted.profiles);
+    setProfileId(adopted.id);
+    setFormula(share.formula);
+    setLanguage(share.language);
+    setSpanishFormula(share.spanishFormula);
+    setShared({ ...share, mode: "edit" });
+    clearShareHash();
+  }, []);
+
+  useEffect(() => {
+    const open = () => {
+      if (hasCollabInvite(window.location.hash)) {
+        const invite = readCollabInvite(window.location.hash);
+        if (invite) setCollabInvite(invite);
+        else alert("Could not open the co-editing invite, the link is damaged.");
+        clearShareHash();
+        return;
+      }
+      if (!hasShare(window.location.hash)) return;
+      decodeShare(window.location.hash)
+        .then((share) => {
+          if (share.mode === "edit") adoptShare(share);
+          else setShared(share);
+        })
+        .catch((err) => {
+          alert(`Could not open the shared link, ${err.message}.`);
+          clearShareHash();
+        })
+        .finally(() => setOpeningShare(false));
+    };
+    open();
+    window.addEventListener("hashchange", open);
+    return () => window.removeEventListener("hashchange", open);
+  }, [adoptShare]);
+
+  const closeShare = () => {
+    setShared(null);
+    clearShareHash();
+  };
+
+  const view = viewingShare ? shared : { profile, formula, language, spanishFormula };
+
+  // the AI prompt panel's saved template, for the profile above, with the text to paste by hand
+  const examplePrompt = () => {
+    const templates = loadTemplates();
+    const activeId = loadActiveTemplateId();
+    return fillTemplate((templates.find((t) => t.id === activeId) || templates[0]).text, profileValues(view.profile));
+  };
+
   const copyPrompt = async () => {
-    const prompt = [
-      "Rewrite the following content in plain language that can be understood the first time it is read.",
-      "Use everyday words.",
-      "Keep sentences under 20 words where possible.",
-      "Use 'you' and 'we.'",
-      "Break things into bullet points if it helps.",
-      "Define legal or technical terms in plain English.",
-      "Make it sound like something you would say at a help desk.",
-      "Aim for a 6th grade reading level.",
-      "Keep the meaning accurate and respectful.",
-      "",
-      "Here is the text,",
-      "[PASTE YOUR TEXT]"
-    ].join(" ");
+    const prompt = examplePrompt();
     try {
       await navigator.clipboard.writeText(prompt);
       alert("Prompt copied to clipboard.");
@@ -55,20 +157,102 @@ export default function App() {
   </div>
 </div>
 
-      <div className="mb-3">
-        <label className="block text-sm font-medium mb-1">Target Grade Level:</label>
-        <select
-          className="border rounded px-2 py-1"
-          value={targetGrade}
-          onChange={(e) => setTargetGrade(parseInt(e.target.value, 10))}
-        >
-          <option value={6}>Grade 6</option>
-          <option value={8}>Grade 8</option>
-          <option value={10}>Grade 10</option>
-        </select>
+      <div className="mb-3 flex flex-wrap gap-4">
+        <div>
+          <label className="block text-sm font-medium mb-1">Readability profile:</label>
+          <select
+            className="border rounded px-2 py-1"
+            value={view.profile.id}
+            onChange={(e) => setProfileId(e.target.value)}
+            disabled={viewingShare}
+          >
+            {(viewingShare ? [shared.profile] : profiles).map((p) => (
+              <option key={p.id} value={p.id}>{p.name} (grade {p.targetGrade})</option>
+            ))}
+          </select>
+        </div>
+        {view.language !== "es" && (
+          <div>
+            <label className="block text-sm font-medium mb-1">Formula for coloring:</label>
+            <select
+              className="border rounded px-2 py-1"
+              value={view.formula}
+              onChange={(e) => setFormula(e.target.value)}
+              disabled={viewingShare}
+            >
+              {Object.entries(FORMULAS).map(([id, f]) => (
+                <option key={id} value={id}>{f.label}</option>
+              ))}
+            </select>
+          </div>
+        )}
+        <div>
+          <label className="block text-sm font-medium mb-1">Document language:</label>
+          <select
+            className="border rounded px-2 py-1"
+            value={view.language}
+            onChange={(e) => setLanguage(e.target.value)}
+            disabled={viewingShare}
+          >
+            {Object.entries(LANGUAGES).map(([id, l]) => (
+              <option key={id} value={id}>{l.label}</option>
+            ))}
+          </select>
+        </div>
+        {view.language !== "en" && (
+          <div>
+            <label className="block text-sm font-medium mb-1">Spanish formula:</label>
+            <select
+              className="border rounded px-2 py-1"
+              value={view.spanishFormula}
+              onChange={(e) => setSpanishFormula(e.target.value)}
+              disabled={viewingShare}
+            >
+              {Object.entries(SPANISH_FORMULAS).map(([id, f]) => (
+                <option key={id} value={id}>{f.label}</option>
+              ))}
+            </select>
+          </div>
+        )}
       </div>
 
-      <TiptapEditor targetGrade={targetGrade} />
+      {viewingShare && (
+        <div className="share-banner" role="status">
+          <span>
+            Viewing “{shared.name}”, shared read only with its own profile and settings. Your drafts and settings are unchanged.
+          </span>
+          <button type="button" className="btn" onClick={() => adoptShare(shared)}>Edit a copy</button>
+          <button type="button" className="btn" onClick={closeShare}>Close</button>
+        </div>
+      )}
+
+      {openingShare ? (
+        <p className="help-note">Opening the shared document…</p>
+      ) : (
+        <TiptapEditor
+          targetGrade={view.profile.targetGrade}
+          profile={view.profile}
+          formula={view.formula}
+          language={view.language}
+          spanishFormula={view.spanishFormula}
+          shared={shared}
+          collabInvite={collabInvite}
+        />
+      )}
+
+      {!viewingShare && (
+        <details className="help-card mt-6">
+          <summary className="help-summary">Readability profiles</summary>
+          <div className="help-body">
+            <ProfilesPanel
+              profiles={profiles}
+              activeId={profile.id}
+              onChange={setProfiles}
+              onSelect={setProfileId}
+            />
+          </div>
+        </details>
+      )}
 
       {/* Help accordion, single, below the editor */}
       <details
@@ -90,17 +274,18 @@ export default function App() {
           <section className="help-section">
             <h3>Step 2, Use the cheat code, AI</h3>
             <p>Paste your content into your AI tool with this prompt, then edit the result.</p>
-            <pre className="help-pre">
-{`Rewrite the following content in plain language that can be understood the first time it is read. Use everyday words. Keep sentences under 20 words where possible. Use "you" and "we." Break things into bullet points if it helps. Define legal or technical terms in plain English. Make it sound like something you would say at a help desk. Aim for a 6th grade reading level. Keep the meaning accurate and respectful.
-
-Here is the text,
-[PASTE YOUR TEXT]`}
-            </pre>
+            <pre className="help-pre">{examplePrompt()}</pre>
             <div className="help-actions">
               <button className="btn" onClick={copyPrompt}>Copy prompt</button>
             </div>
             <p className="help-note">
               Tip, for non member content, you can aim for <strong>8th to 10th grade</strong> instead.
+              The prompt follows the readability profile above.
+            </p>
+            <p className="help-note">
+              <strong>AI prompt</strong> above the editor fills in your text for you: the whole document, the
+              selection, or only the red and yellow sentences with their grades and plainer words. You can edit
+              and save your own templates there.
             </p>
           </section>
 
@@ -109,7 +294,10 @@ Here is the text,
             <ul className="help-list">
               <li><strong>Target</strong>, Grade 6 when you can</li>
               <li>Fix <strong>yellow</strong> and <strong>red</strong> sentences</li>
-              <li>Split long sentences, or use bullet lists</li>
+              <li>Split long sentences, or use bullet lists; <strong>Split sentence</strong> suggests where</li>
+              <li>Explain acronyms and jargon the first time you use them; the <strong>Glossary</strong> below the editor keeps your definitions</li>
+              <li>Ask a colleague to read it with <strong>Review</strong>; they can comment, or turn on <strong>Suggest edits</strong> for you to accept or reject</li>
+              <li>Write together in real time with <strong>Co-edit</strong>; send the invite link to the other writer</li>
             </ul>
           </section>
 
@@ -119,6 +307,7 @@ Here is the text,
               <li>The meaning did not change</li>
               <li>Important details are still there</li>
               <li>The tone feels like how you talk to a real person</li>
+              <li>The <strong>Plain-language checklist</strong> below the editor passes, or you know why not</li>
             </ul>
           </section>
         </div>
@@ -0,0 +1,40 @@
+// src/ChecklistPanel.jsx
+import React from "react";
+
+const MARKS = {
+  pass: { symbol: "✓", text: "Pass" },
+  "needs-work": { symbol: "!", text: "Needs work" },
+  "n/a": { symbol: "–", text: "Not checked" },
+};
+
+// The scorecard for plainLanguageChecklist(): one row per check, marked with a symbol and a
+// word as well as a color, with the sentences or terms to look at.
+export default function ChecklistPanel({ checklist }) {
+  const { items, passed, checked } = checklist;
+  return (
+    <div className="checklist">
+      <p className="help-note" role="status">
+        {checked ? `${passed} of ${checked} checks pass.` : "Write a few sentences to check them."}
+      </p>
+      <ul className="checklist-items">
+        {items.map((item) => {
+          const mark = MARKS[item.status];
+          return (
+            <li key={item.id} className={`checklist-item checklist-${item.status === "n/a" ? "na" : item.status}`}>
+              <span className="checklist-mark" aria-hidden="true">{mark.symbol}</span>
+              <div>
+                <strong>{item.label}</strong> <span className="checklist-status">{mark.text}</span>
+                <p className="checklist-summary">{item.summary}</p>
+                {item.details.length > 0 && (
+                  <ul className="checklist-details">
+                    {item.details.map((line, i) => <li key={i}>{line}</li>)}
+                  </ul>
+                )}
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
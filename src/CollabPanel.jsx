@@ -0,0 +1,103 @@
+// src/CollabPanel.jsx
+import React, { useState } from "react";
+import { collabInviteUrl, isValidRoom } from "./collabSession";
+
+const statusText = (status, { server, room }) => {
+  if (!status) return "";
+  if (status.state === "connecting") return `Connecting to ${server}…`;
+  if (status.state === "connected") return `Editing room “${room}” together.`;
+  if (status.state === "reconnecting") return "Connection lost, reconnecting…";
+  return `Could not co-edit, ${status.message}.`;
+};
+
+// Starts or joins a co-editing room on a sync server, and shows who else is in it.
+// target is { server, room } while in a room, or null.
+export default function CollabPanel({
+  server,
+  room,
+  name,
+  target,
+  status,
+  peers,
+  onServerChange,
+  onRoomChange,
+  onNameChange,
+  onJoin,
+  onLeave,
+  onSaveCopy,
+}) {
+  const [note, setNote] = useState("");
+
+  const copyInvite = async () => {
+    try {
+      await navigator.clipboard.writeText(collabInviteUrl(target));
+      setNote("Invite link copied.");
+    } catch {
+      setNote("Could not copy the invite link.");
+    }
+  };
+
+  const saveCopy = async () => {
+    try {
+      setNote(`Saved as “${await onSaveCopy()}”; it opens when you leave.`);
+    } catch {
+      setNote("Could not save, your browser blocked storage.");
+    }
+  };
+
+  if (!target) {
+    return (
+      <div className="share-panel collab-panel">
+        <form
+          className="flex flex-wrap gap-3 items-center text-sm"
+          onSubmit={(e) => {
+            e.preventDefault();
+            onJoin();
+          }}
+        >
+          <label className="inline-flex items-center gap-1">
+            <span>Server</span>
+            <input className="border rounded px-2 py-1" value={server} onChange={(e) => onServerChange(e.target.value)} />
+          </label>
+          <label className="inline-flex items-center gap-1">
+            <span>Room</span>
+            <input className="border rounded px-2 py-1" value={room} onChange={(e) => onRoomChange(e.target.value)} />
+          </label>
+          <label className="inline-flex items-center gap-1">
+            <span>Your name</span>
+            <input className="border rounded px-2 py-1" value={name} onChange={(e) => onNameChange(e.target.value)} placeholder="Reviewer" />
+          </label>
+          <button type="submit" className="btn" disabled={!isValidRoom(room) || !server.trim()}>
+            Start or join
+          </button>
+        </form>
+        <p className="help-note">
+          Everyone in the same room edits one copy. A new room starts from the text on screen. Your open draft is
+          saved first and comes back when you leave. Run your own server with <code>npm run collab</code>.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="share-panel collab-panel">
+      <div className="flex flex-wrap gap-3 items-center text-sm">
+        <span role="status">{statusText(status, target)}</span>
+        <ul className="collab-peers" aria-label="Writers in this room">
+          <li>
+            <span className="collab-dot" style={{ backgroundColor: status && status.color }} /> {name || "Reviewer"} (you)
+          </li>
+          {peers.map((p) => (
+            <li key={p.clientID}>
+              <span className="collab-dot" style={{ backgroundColor: p.color }} /> {p.name}
+            </li>
+          ))}
+        </ul>
+        <button type="button" className="btn" onClick={copyInvite}>Copy invite link</button>
+        <button type="button" className="btn" onClick={saveCopy}>Save a copy as a draft</button>
+        <button type="button" className="btn" onClick={onLeave}>Leave</button>
+        <span className="drafts-status" role="status">{note}</span>
+      </div>
+    </div>
+  );
+}
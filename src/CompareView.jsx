@@ -0,0 +1,217 @@
+// src/CompareView.jsx
+import React, { useCallback, useEffect, useState } from "react";
+import { useEditor, EditorContent } from "@tiptap/react";
+import { editorExtensions, requestRecompute } from "./highlightExtension";
+import { loadDocument } from "./reviewExtension";
+import { documentStats, FORMULAS_BY_LANGUAGE, DEFAULT_SPANISH_FORMULA } from "./readabilityUtils";
+import { alignSentences, documentSentences, missingDetails, normalizeToken, wordDiff } from "./compareTexts";
+
+const DEBOUNCE_MS = 400;
+
+const EDITOR_CLASS =
+  "editor-content prose prose-sm max-w-none p-4 border rounded bg-white focus:outline-none compare-editor";
+
+// Flesch-Kincaid grade and Flesch ease for English; the Spanish formula and Fernández-Huerta for Spanish.
+const sideScores = (editor, settings) => {
+  const text = editor.getText();
+  if (!text.trim()) return { hasText: false, language: "en", grade: null, ease: null, formula: null };
+  const spanishFormula = (settings.spanish && settings.spanish.formula) || DEFAULT_SPANISH_FORMULA;
+  const stats = documentStats(text, {
+    exempt: settings.exempt,
+    easySet: settings.easySet,
+    language: settings.language,
+    spanishFormula,
+  });
+  return {
+    hasText: true,
+    language: stats.language,
+    grade: stats.grade,
+    ease: stats.ease,
+    formula: stats.language === "es" ? null : stats.scores[settings.formula],
+  };
+};
+
+// Lower grade is better; higher ease is better.
+const Delta = ({ before, after, higherIsBetter = false }) => {
+  if (before === null || after === null) return <span>—</span>;
+  const d = parseFloat((after - before).toFixed(1));
+  const better = higherIsBetter ? d > 0 : d < 0;
+  const cls = d === 0 ? "" : better ? "delta-better" : "delta-worse";
+  return <span className={cls}>{d > 0 ? `+${d}` : d}</span>;
+};
+
+const DiffText = ({ parts, side, lost }) => (
+  <>
+    {parts
+      .filter((p) => p.type === "same" || p.type === (side === "original" ? "removed" : "added"))
+      .map((p, i) => {
+        const isLost = side === "original" && p.type === "removed" && lost.has(normalizeToken(p.text));
+        const cls = p.type === "same" ? "" : isLost ? "diff-lost" : `diff-${p.type}`;
+        return <span key={i} className={cls}>{p.text} </span>;
+      })}
+  </>
+);
+
+// Side-by-side original and rewrite, both highlighted like the main editor.
+export default function CompareView({ mainEditor, settings }) {
+  const [result, setResult] = useState(null);
+
+  const original = useEditor({
+    extensions: editorExtensions("Paste the original text here"),
+    content: "",
+    editorProps: { attributes: { class: EDITOR_CLASS, "aria-label": "Original text" } },
+  });
+  const rewrite = useEditor({
+    extensions: editorExtensions("Paste the rewrite here"),
+    content: "",
+    editorProps: { attributes: { class: EDITOR_CLASS, "aria-label": "Rewritten text" } },
+  });
+
+  const recompute = useCallback(() => {
+    if (!original || !rewrite) return;
+    const a = documentSentences(original.state.doc, settings);
+    const b = documentSentences(rewrite.state.doc, settings);
+    const missing = missingDetails(a, rewrite.getText());
+    setResult({
+      before: sideScores(original, settings),
+      after: sideScores(rewrite, settings),
+      rows: alignSentences(a, b).map((row) => ({
+        ...row,
+        diff: wordDiff(row.original.map((s) => s.text).join(" "), row.rewrite.map((s) => s.text).join(" ")),
+      })),
+      missing,
+      lost: new Set(missing.map((m) => m.norm)),
+    });
+  }, [original, rewrite, settings]);
+
+  useEffect(() => {
+    if (!original || !rewrite) return;
+    let tid;
+    const handler = () => {
+      window.clearTimeout(tid);
+      tid = window.setTimeout(recompute, DEBOUNCE_MS);
+    };
+    original.on("update", handler);
+    rewrite.on("update", handler);
+    handler();
+    return () => {
+      window.clearTimeout(tid);
+      original.off("update", handler);
+      rewrite.off("update", handler);
+    };
+  }, [original, rewrite, recompute]);
+
+  // the highlight settings are shared, but each editor has to redraw itself
+  useEffect(() => {
+    requestRecompute(original);
+    requestRecompute(rewrite);
+  }, [original, rewrite, settings]);
+
+
+  if (!original || !rewrite) return null;
+
+  const copyFromDocument = (target) => {
+    if (target.isEmpty || window.confirm("Replace this side with the current document?")) {
+      loadDocument(target, mainEditor.getJSON());
+    }
+  };
+
+  const useRewrite = () => {
+    if (window.confirm("Replace your document with the rewrite?")) {
+      loadDocument(mainEditor, rewrite.getJSON());
+    }
+  };
+
+  const { before, after, rows, missing, lost } = result || {};
+  const language = before && before.hasText ? before.language : after ? after.language : "en";
+  const gradeLabel = language === "es"
+    ? FORMULAS_BY_LANGUAGE.es[(settings.spanish && settings.spanish.formula) || DEFAULT_SPANISH_FORMULA].label
+    : FORMULAS_BY_LANGUAGE.en.fk.label;
+  const formulaLabel = (FORMULAS_BY_LANGUAGE.en[settings.formula] || {}).label;
+
+  return (
+    <div className="compare-view space-y-4">
+      <div className="compare-columns">
+        <section>
+          <div className="flex flex-wrap gap-2 items-center mb-2">
+            <h2 className="compare-title">Original</h2>
+            <button type="button" className="btn btn-small" onClick={() => copyFromDocument(original)}>Copy from document</button>
+          </div>
+          <EditorContent editor={original} />
+        </section>
+        <section>
+          <div className="flex flex-wrap gap-2 items-center mb-2">
+            <h2 className="compare-title">Rewrite</h2>
+            <button type="button" className="btn btn-small" onClick={() => copyFromDocument(rewrite)}>Copy from document</button>
+            <button type="button" className="btn btn-small" onClick={useRewrite} disabled={rewrite.isEmpty}>Use as document</button>
+          </div>
+          <EditorContent editor={rewrite} />
+        </section>
+      </div>
+
+      {result && (
+        <>
+          <table className="compare-table">
+            <thead>
+              <tr><th></th><th>Original</th><th>Rewrite</th><th>Change</th></tr>
+            </thead>
+            <tbody>
+              <tr>
+                <td>Grade ({gradeLabel})</td>
+                <td>{before.grade ?? "—"}</td>
+                <td>{after.grade ?? "—"}</td>
+                <td><Delta before={before.grade} after={after.grade} /></td>
+              </tr>
+              <tr>
+                <td>Ease</td>
+                <td>{before.ease ?? "—"}</td>
+                <td>{after.ease ?? "—"}</td>
+                <td><Delta before={before.ease} after={after.ease} higherIsBetter /></td>
+              </tr>
+              {language !== "es" && settings.formula !== "fk" && (
+                <tr>
+                  <td>{formulaLabel}</td>
+                  <td>{before.formula ? before.formula.score : "—"}</td>
+                  <td>{after.formula ? after.formula.score : "—"}</td>
+                  <td>
+                    <Delta
+                      before={before.formula ? before.formula.grade : null}
+                      after={after.formula ? after.formula.grade : null}
+                    />
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+
+          {missing.length > 0 && (
+            <div className="compare-missing" role="status">
+              <strong>Check these details, they are not in the rewrite:</strong>{" "}
+              {missing.map((m) => (
+                <span key={m.norm} className="diff-lost" title={m.kind}>{m.text}</span>
+              ))}
+            </div>
+          )}
+
+          {rows.length > 0 && (
+            <table className="compare-table compare-rows">
+              <thead>
+                <tr><th>Original sentence</th><th>Grade</th><th>Rewrite</th><th>Grade</th></tr>
+              </thead>
+              <tbody>
+                {rows.map((row, i) => (
+                  <tr key={i}>
+                    <td>{row.original.length ? <DiffText parts={row.diff} side="original" lost={lost} /> : <em>(new)</em>}</td>
+                    <td>{row.original.map((s) => s.grade).join(", ")}</td>
+                    <td>{row.rewrite.length ? <DiffText parts={row.diff} side="rewrite" lost={lost} /> : <em>(removed)</em>}</td>
+                    <td>{row.rewrite.map((s) => s.grade).join(", ")}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
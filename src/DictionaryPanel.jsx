@@ -0,0 +1,141 @@
+// src/DictionaryPanel.jsx
+import React, { useRef, useState } from "react";
+import { downloadFile, readFileAsText } from "./fileUtils";
+import {
+  normalizeDictionary,
+  mergeDictionaries,
+  parseDictionaryJson,
+  dictionaryToJson,
+} from "./personalDictionary";
+
+// Settings panel for the personal dictionary. Every change goes through onChange,
+// the editor persists it and re-runs the highlights.
+export default function DictionaryPanel({ dictionary, onChange }) {
+  const [easyInput, setEasyInput] = useState("");
+  const [hardInput, setHardInput] = useState("");
+  const [plainInput, setPlainInput] = useState("");
+  const [message, setMessage] = useState("");
+  const fileRef = useRef(null);
+
+  const update = (next) => onChange(normalizeDictionary(next));
+
+  const addEasyWords = (e) => {
+    e.preventDefault();
+    const words = easyInput.split(",").map((w) => w.trim()).filter(Boolean);
+    if (!words.length) return;
+    update({ ...dictionary, easyWords: [...dictionary.easyWords, ...words] });
+    setEasyInput("");
+  };
+
+  const removeEasyWord = (word) =>
+    update({ ...dictionary, easyWords: dictionary.easyWords.filter((w) => w !== word) });
+
+  const addMapping = (e) => {
+    e.preventDefault();
+    const plain = plainInput.split(",").map((p) => p.trim()).filter(Boolean);
+    if (!hardInput.trim() || !plain.length) return;
+    update({ ...dictionary, wordMap: { ...dictionary.wordMap, [hardInput]: plain } });
+    setHardInput("");
+    setPlainInput("");
+  };
+
+  const removeMapping = (hard) => {
+    const { [hard]: _removed, ...rest } = dictionary.wordMap;
+    update({ ...dictionary, wordMap: rest });
+  };
+
+  const exportJson = () =>
+    downloadFile("sentence-scratcher-dictionary.json", dictionaryToJson(dictionary), "application/json");
+
+  const importJson = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const imported = parseDictionaryJson(await readFileAsText(file));
+      onChange(mergeDictionaries(dictionary, imported));
+      setMessage(`Imported ${imported.easyWords.length} words and ${Object.keys(imported.wordMap).length} mappings.`);
+    } catch (err) {
+      setMessage(`Could not import, ${err.message}`);
+    }
+  };
+
+  const mappings = Object.entries(dictionary.wordMap).sort(([a], [b]) => a.localeCompare(b));
+
+  return (
+    <div className="dict-panel">
+      <section className="help-section">
+        <h3>Always easy words</h3>
+        <p className="help-note">Never underlined, for example product names or terms your readers know.</p>
+        <form className="dict-form" onSubmit={addEasyWords}>
+          <input
+            className="border rounded px-2 py-1"
+            value={easyInput}
+            onChange={(e) => setEasyInput(e.target.value)}
+            placeholder="copay, deductible"
+            aria-label="Words to add, separated by commas"
+          />
+          <button type="submit" className="btn">Add</button>
+        </form>
+        {dictionary.easyWords.length ? (
+          <ul className="dict-chips">
+            {dictionary.easyWords.map((w) => (
+              <li key={w}>
+                {w}
+                <button type="button" className="btn-small" onClick={() => removeEasyWord(w)} aria-label={`Remove ${w}`}>×</button>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="help-note">No words yet.</p>
+        )}
+      </section>
+
+      <section className="help-section">
+        <h3>Your plain-word suggestions</h3>
+        <p className="help-note">Words listed here are always underlined and offer your suggestions first.</p>
+        <form className="dict-form" onSubmit={addMapping}>
+          <input
+            className="border rounded px-2 py-1"
+            value={hardInput}
+            onChange={(e) => setHardInput(e.target.value)}
+            placeholder="hard word or phrase"
+            aria-label="Hard word or phrase"
+          />
+          <input
+            className="border rounded px-2 py-1"
+            value={plainInput}
+            onChange={(e) => setPlainInput(e.target.value)}
+            placeholder="plain options, comma separated"
+            aria-label="Plain options, separated by commas"
+          />
+          <button type="submit" className="btn">Add</button>
+        </form>
+        {mappings.length ? (
+          <table className="dict-table">
+            <tbody>
+              {mappings.map(([hard, plain]) => (
+                <tr key={hard}>
+                  <td>{hard}</td>
+                  <td>{plain.join(", ")}</td>
+                  <td>
+                    <button type="button" className="btn-small" onClick={() => removeMapping(hard)} aria-label={`Remove ${hard}`}>×</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <p className="help-note">No suggestions yet.</p>
+        )}
+      </section>
+
+      <div className="help-actions">
+        <button type="button" className="btn" onClick={exportJson}>Export JSON</button>{" "}
+        <button type="button" className="btn" onClick={() => fileRef.current && fileRef.current.click()}>Import JSON</button>
+        <input ref={fileRef} type="file" accept="application/json,.json" onChange={importJson} hidden />
+        {message && <p className="help-note" role="status">{message}</p>}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,63 @@
+// src/DocumentFilesBar.jsx
+import React, { useRef, useState } from "react";
+import { IMPORT_ACCEPT, EXPORT_FORMATS, importIntoEditor, exportEditor, isSupportedFile } from "./documentFiles";
+
+// Open and export buttons. Dropping a file on the editor goes through the same import
+// (see TiptapEditor's drop handler). readOnly leaves only export.
+export default function DocumentFilesBar({ editor, name, readOnly = false }) {
+  const [format, setFormat] = useState("docx");
+  const [busy, setBusy] = useState(false);
+  const inputRef = useRef(null);
+
+  const openFile = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    if (!isSupportedFile(file)) {
+      alert("Please choose a .docx, .md, .html or .txt file.");
+      return;
+    }
+    if (!editor.isEmpty && !window.confirm(`Replace the current text with “${file.name}”?`)) return;
+    setBusy(true);
+    try {
+      await importIntoEditor(editor, file);
+    } catch (err) {
+      alert(`Could not open “${file.name}”, ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const onExport = async () => {
+    setBusy(true);
+    try {
+      await exportEditor(editor, format, name);
+    } catch (err) {
+      alert(`Could not export, ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap gap-2 items-center text-sm">
+      {!readOnly && (
+        <>
+          <button type="button" className="btn" onClick={() => inputRef.current && inputRef.current.click()} disabled={busy}>
+            Open file…
+          </button>
+          <input ref={inputRef} type="file" accept={IMPORT_ACCEPT} onChange={openFile} hidden />
+        </>
+      )}
+      <label className="inline-flex items-center gap-1">
+        <span>Export as</span>
+        <select className="border rounded px-2 py-1" value={format} onChange={(e) => setFormat(e.target.value)}>
+          {Object.entries(EXPORT_FORMATS).map(([id, f]) => (
+            <option key={id} value={id}>{f.label}</option>
+          ))}
+        </select>
+      </label>
+      <button type="button" className="btn" onClick={onExport} disabled={busy}>Export</button>
+    </div>
+  );
+}
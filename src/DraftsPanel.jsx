@@ -0,0 +1,273 @@
+// src/DraftsPanel.jsx
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import {
+  listDrafts,
+  getDraft,
+  createDraft,
+  saveDraft,
+  renameDraft,
+  duplicateDraft,
+  deleteDraft,
+  listSnapshots,
+  getLastDraftId,
+  setLastDraftId,
+} from "./draftStore";
+import { loadDocument } from "./reviewExtension";
+
+const AUTOSAVE_MS = 1000;
+
+const formatTime = (ms) =>
+  new Date(ms).toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" });
+
+const snapshotWords = (content) => {
+  let words = 0;
+  const walk = (node) => {
+    if (!node) return;
+    if (node.text) words += node.text.trim().split(/\s+/).filter(Boolean).length;
+    (node.content || []).forEach(walk);
+  };
+  walk(content);
+  return words;
+};
+
+// Draft picker, autosave and version history for the editor.
+// onDraftChange gets the open draft's { id, name } whenever it changes.
+// incoming ({ name, content }, from an editable shared link) opens once as a new draft.
+export default function DraftsPanel({ editor, onDraftChange, incoming = null }) {
+  const [drafts, setDrafts] = useState([]);
+  const [currentId, setCurrentId] = useState(null);
+  const [status, setStatus] = useState("Loading drafts…");
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const [snapshots, setSnapshots] = useState([]);
+
+  const currentIdRef = useRef(null);
+  const lastSavedRef = useRef("");
+  const timerRef = useRef(null);
+  const startedRef = useRef(false);
+  const incomingRef = useRef(null);
+  const savedStatusRef = useRef(""); // "Saved …" for the open draft, shown again when nothing changed
+
+  const showSaved = useCallback((updatedAt) => {
+    savedStatusRef.current = `Saved ${formatTime(updatedAt)}`;
+    setStatus(savedStatusRef.current);
+  }, []);
+
+  const refreshList = useCallback(() => listDrafts().then(setDrafts), []);
+
+  useEffect(() => {
+    const current = drafts.find((d) => d.id === currentId);
+    if (current && onDraftChange) onDraftChange({ id: current.id, name: current.name });
+  }, [drafts, currentId, onDraftChange]);
+
+  const loadInto = useCallback((draft) => {
+    currentIdRef.current = draft.id;
+    setCurrentId(draft.id);
+    setLastDraftId(draft.id);
+    loadDocument(editor, draft.content);
+    // loading is not an edit; the autosave it scheduled has nothing to write
+    window.clearTimeout(timerRef.current);
+    lastSavedRef.current = JSON.stringify(editor.getJSON());
+    showSaved(draft.updatedAt);
+  }, [editor, showSaved]);
+
+  // Writes the current document if it changed since the last save.
+  const flush = useCallback(async (options) => {
+    window.clearTimeout(timerRef.current);
+    const id = currentIdRef.current;
+    if (!id) return;
+    const content = editor.getJSON();
+    const serialized = JSON.stringify(content);
+    if (serialized === lastSavedRef.current && !(options && options.force)) {
+      // edited back to what was saved
+      setStatus(savedStatusRef.current);
+      return;
+    }
+    try {
+      const saved = await saveDraft(id, content, options);
+      lastSavedRef.current = serialized;
+      if (saved) showSaved(saved.updatedAt);
+      await refreshList();
+    } catch {
+      setStatus("Could not save, your browser blocked storage.");
+    }
+  }, [editor, refreshList, showSaved]);
+
+  // runs a drafts action, reporting storage failures (private mode, full disk, blocked upgrade) as failure
+  const attempt = async (action, failure) => {
+    try {
+      await action();
+    } catch {
+      setStatus(failure);
+    }
+  };
+
+  // restore the last-open draft, or start the first one; runs once, even under StrictMode
+  useEffect(() => {
+    if (!editor || startedRef.current) return;
+    startedRef.current = true;
+    incomingRef.current = incoming;
+    (async () => {
+      try {
+        if (incoming) {
+          loadInto(await createDraft(incoming.name, incoming.content));
+          await refreshList();
+          return;
+        }
+        const all = await listDrafts();
+        const lastId = getLastDraftId();
+        let draft = all.find((d) => d.id === lastId) || all[0];
+        if (!draft) draft = await createDraft("Untitled draft", editor.getJSON());
+        loadInto(draft);
+        await refreshList();
+      } catch {
+        setStatus("Drafts are not available in this browser.");
+      }
+    })();
+  }, [editor, incoming, loadInto, refreshList]);
+
+  // a link opened while a draft is on screen saves that draft first
+  useEffect(() => {
+    if (!editor || !incoming || incomingRef.current === incoming) return;
+    incomingRef.current = incoming;
+    (async () => {
+      await flush();
+      try {
+        loadInto(await createDraft(incoming.name, incoming.content));
+        await refreshList();
+      } catch {
+        setStatus("Could not open the link as a draft, your browser blocked storage.");
+      }
+    })();
+  }, [editor, incoming, flush, loadInto, refreshList]);
+
+  useEffect(() => {
+    if (!editor) return;
+    const onUpdate = () => {
+      window.clearTimeout(timerRef.current);
+      setStatus("Editing…");
+      timerRef.current = window.setTimeout(flush, AUTOSAVE_MS);
+    };
+    const onUnload = () => { flush(); };
+    editor.on("update", onUpdate);
+    window.addEventListener("beforeunload", onUnload);
+    return () => {
+      editor.off("update", onUpdate);
+      window.removeEventListener("beforeunload", onUnload);
+      // unmounting for a read-only shared link keeps what was typed last
+      flush();
+    };
+  }, [editor, flush]);
+
+  useEffect(() => {
+    if (!historyOpen || !currentId) return;
+    listSnapshots(currentId).then(setSnapshots).catch(() => setSnapshots([]));
+  }, [historyOpen, currentId, status]);
+
+  const switchTo = (id) =>
+    attempt(async () => {
+      await flush();
+      const draft = await getDraft(id);
+      if (draft) loadInto(draft);
+    }, "Could not open the draft, your browser blocked storage.");
+
+  const onNew = () =>
+    attempt(async () => {
+      await flush();
+      const name = window.prompt("Name for the new draft:", "Untitled draft");
+      if (name === null) return;
+      const draft = await createDraft(name.trim() || "Untitled draft", null);
+      loadInto(draft);
+      await refreshList();
+    }, "Could not create the draft, your browser blocked storage.");
+
+  const onRename = () =>
+    attempt(async () => {
+      const current = drafts.find((d) => d.id === currentId);
+      if (!current) return;
+      const name = window.prompt("Rename draft:", current.name);
+      if (!name || !name.trim()) return;
+      await renameDraft(currentId, name.trim());
+      await refreshList();
+    }, "Could not rename the draft, your browser blocked storage.");
+
+  const onDuplicate = () =>
+    attempt(async () => {
+      await flush();
+      const copy = await duplicateDraft(currentId);
+      if (copy) loadInto(copy);
+      await refreshList();
+    }, "Could not duplicate the draft, your browser blocked storage.");
+
+  const onDelete = () =>
+    attempt(async () => {
+      const current = drafts.find((d) => d.id === currentId);
+      if (!current || !window.confirm(`Delete “${current.name}” and its history?`)) return;
+      window.clearTimeout(timerRef.current);
+      await deleteDraft(currentId);
+      const rest = await listDrafts();
+      loadInto(rest[0] || (await createDraft("Untitled draft", null)));
+      await refreshList();
+    }, "Could not delete the draft, your browser blocked storage.");
+
+  const onRestore = (snapshot) =>
+    attempt(async () => {
+      if (!window.confirm(`Roll back to the version from ${formatTime(snapshot.savedAt)}?`)) return;
+      // keep what is on screen now, so the rollback can itself be undone
+      await flush({ force: true });
+      loadDocument(editor, snapshot.content);
+      await flush({ force: true });
+    }, "Could not roll back, your browser blocked storage.");
+
+  if (!editor) return null;
+
+  return (
+    <div className="drafts-panel">
+      <div className="flex flex-wrap gap-2 items-center text-sm">
+        <label className="inline-flex items-center gap-1">
+          <span>Draft</span>
+          <select
+            className="border rounded px-2 py-1"
+            value={currentId || ""}
+            onChange={(e) => switchTo(e.target.value)}
+            disabled={!drafts.length}
+          >
+            {drafts.map((d) => (
+              <option key={d.id} value={d.id}>{d.name}</option>
+            ))}
+          </select>
+        </label>
+        <button type="button" className="btn" onClick={onNew}>New</button>
+        <button type="button" className="btn" onClick={onRename} disabled={!currentId}>Rename</button>
+        <button type="button" className="btn" onClick={onDuplicate} disabled={!currentId}>Duplicate</button>
+        <button type="button" className="btn" onClick={onDelete} disabled={!currentId}>Delete</button>
+        <button
+          type="button"
+          className="btn"
+          onClick={() => setHistoryOpen(!historyOpen)}
+          aria-expanded={historyOpen}
+          disabled={!currentId}
+        >
+          History
+        </button>
+        <span className="drafts-status" role="status">{status}</span>
+      </div>
+
+      {historyOpen && (
+        <div className="drafts-history">
+          {snapshots.length ? (
+            <ul>
+              {snapshots.map((s) => (
+                <li key={s.id}>
+                  <span>{formatTime(s.savedAt)}, {snapshotWords(s.content)} words</span>
+                  <button type="button" className="btn btn-small" onClick={() => onRestore(s)}>Restore</button>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="help-note">No earlier versions yet. A version is kept every few minutes while you type.</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,160 @@
+// src/GlossaryPanel.jsx
+import React, { useEffect, useState } from "react";
+import { DEFAULT_JARGON, GLOSSARY_HEADING, isExplained, normalizeGlossary } from "./glossary";
+
+const statusText = (use) => {
+  if (use.defined) return "Explained at first use";
+  if (use.listed) return `In ${GLOSSARY_HEADING}`;
+  return "Not explained";
+};
+
+// One term used in the document, with the writer's plain definition for it.
+function TermRow({ use, definition, onDefine, onGoTo, onInsert }) {
+  const [text, setText] = useState(definition || "");
+  useEffect(() => setText(definition || ""), [definition]);
+
+  const save = () => {
+    if (text.trim() !== (definition || "")) onDefine(use.key, text);
+  };
+
+  return (
+    <tr className={isExplained(use) ? undefined : "glossary-unexplained"}>
+      <td>
+        <button type="button" className="btn-small glossary-term" onClick={() => onGoTo(use.key)} title="Go to the first use">
+          {use.key}
+        </button>
+      </td>
+      <td className="glossary-status">{isExplained(use) ? "✓" : "!"} {statusText(use)}</td>
+      <td>
+        <form
+          className="dict-form"
+          onSubmit={(e) => {
+            e.preventDefault();
+            save();
+          }}
+        >
+          <input
+            className="border rounded px-2 py-1"
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            onBlur={save}
+            placeholder="plain definition"
+            aria-label={`Plain definition of ${use.key}`}
+          />
+          <button
+            type="button"
+            className="btn"
+            onClick={() => onInsert(use.key)}
+            disabled={!definition || use.defined}
+            title="Adds the definition in brackets after the first use"
+          >
+            Insert at first use
+          </button>
+        </form>
+      </td>
+    </tr>
+  );
+}
+
+// The acronyms and jargon in the document, with plain definitions to insert where each is first
+// used or to collect into a "Words to know" section, and the jargon list the check looks for.
+// uses is documentTermUses() for the document. Every glossary change goes through onChange.
+export default function GlossaryPanel({ uses, glossary, suggesting, onChange, onGoTo, onInsert, onWriteSection }) {
+  const [jargonInput, setJargonInput] = useState("");
+
+  const update = (next) => onChange(normalizeGlossary(next));
+
+  const define = (key, text) => {
+    const { [key]: _old, ...rest } = glossary.definitions;
+    update({ ...glossary, definitions: text.trim() ? { ...rest, [key]: text } : rest });
+  };
+
+  const addJargon = (e) => {
+    e.preventDefault();
+    const terms = jargonInput.split(",").map((t) => t.trim()).filter(Boolean);
+    if (!terms.length) return;
+    update({ ...glossary, jargon: [...glossary.jargon, ...terms] });
+    setJargonInput("");
+  };
+
+  const removeJargon = (term) => update({ ...glossary, jargon: glossary.jargon.filter((t) => t !== term) });
+
+  const sorted = [...uses].sort((a, b) => isExplained(a) - isExplained(b) || a.key.localeCompare(b.key));
+  const entries = uses
+    .filter((u) => glossary.definitions[u.key])
+    .map((u) => ({ term: u.key, definition: glossary.definitions[u.key] }))
+    .sort((a, b) => a.term.localeCompare(b.term, undefined, { sensitivity: "base" }));
+  const unexplained = uses.filter((u) => !isExplained(u)).length;
+  const isDefault = glossary.jargon.join("\n") === DEFAULT_JARGON.join("\n");
+
+  return (
+    <div className="dict-panel glossary-panel">
+      <section className="help-section">
+        <h3>Terms in this document</h3>
+        <p className="help-note" role="status">
+          {uses.length
+            ? `${uses.length} acronyms and terms, ${unexplained} not explained where they first appear.`
+            : "No acronyms or jargon found."}
+        </p>
+        {uses.length > 0 && (
+          <table className="dict-table glossary-table">
+            <tbody>
+              {sorted.map((use) => (
+                <TermRow
+                  key={use.key}
+                  use={use}
+                  definition={glossary.definitions[use.key]}
+                  onDefine={define}
+                  onGoTo={onGoTo}
+                  onInsert={onInsert}
+                />
+              ))}
+            </tbody>
+          </table>
+        )}
+        <div className="help-actions">
+          <button type="button" className="btn" onClick={() => onWriteSection(entries)} disabled={!entries.length || suggesting}>
+            {uses.some((u) => u.listed) ? `Update ${GLOSSARY_HEADING}` : `Add ${GLOSSARY_HEADING}`}
+          </button>
+          <p className="help-note">
+            {suggesting
+              ? `Turn off Suggest edits to add a ${GLOSSARY_HEADING} section.`
+              : `Lists the terms you defined here, in a “${GLOSSARY_HEADING}” section at the end, replacing the one there.`}
+          </p>
+        </div>
+      </section>
+
+      <section className="help-section">
+        <h3>Jargon to look for</h3>
+        <p className="help-note">Acronyms are always checked. Add the words your readers may not know.</p>
+        <form className="dict-form" onSubmit={addJargon}>
+          <input
+            className="border rounded px-2 py-1"
+            value={jargonInput}
+            onChange={(e) => setJargonInput(e.target.value)}
+            placeholder="prior authorization, formulary"
+            aria-label="Terms to add, separated by commas"
+          />
+          <button type="submit" className="btn">Add</button>
+          {!isDefault && (
+            <button type="button" className="btn" onClick={() => update({ ...glossary, jargon: DEFAULT_JARGON })}>
+              Restore the default list
+            </button>
+          )}
+        </form>
+        {glossary.jargon.length ? (
+          <ul className="dict-chips">
+            {glossary.jargon.map((t) => (
+              <li key={t}>
+                {t}
+                <button type="button" className="btn-small" onClick={() => removeJargon(t)} aria-label={`Remove ${t}`}>×</button>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="help-note">No terms; only acronyms are checked.</p>
+        )}
+      </section>
+    </div>
+  );
+}
@@ -0,0 +1,68 @@
+// src/HardWordPopover.jsx
+import React, { useEffect, useRef } from "react";
+
+// Click-to-apply menu for a flagged hard word or style rule finding.
+// Suggestions arrive already cased to match the word in the text; an empty one removes the words.
+// Style rule findings pass a note and no onApplyAll/onIgnore.
+export default function HardWordPopover({ word, suggestions, note, x, y, onApply, onApplyAll, onIgnore, onClose }) {
+  const ref = useRef(null);
+
+  useEffect(() => {
+    const onKey = (e) => { if (e.key === "Escape") onClose(); };
+    const onDown = (e) => {
+      if (ref.current && !ref.current.contains(e.target)) onClose();
+    };
+    document.addEventListener("keydown", onKey);
+    document.addEventListener("mousedown", onDown);
+    return () => {
+      document.removeEventListener("keydown", onKey);
+      document.removeEventListener("mousedown", onDown);
+    };
+  }, [onClose]);
+
+  useEffect(() => {
+    const first = ref.current && ref.current.querySelector("button");
+    if (first) first.focus();
+  }, [word]);
+
+  return (
+    <div
+      ref={ref}
+      className="hard-popover"
+      role="dialog"
+      aria-label={`Suggestions for ${word}`}
+      style={{ left: `${x}px`, top: `${y}px` }}
+    >
+      <div className="hard-popover-title">“{word}”</div>
+      {note && <p className="hard-popover-note">{note}</p>}
+
+      {suggestions.length ? (
+        <ul className="hard-popover-list">
+          {suggestions.map((s) => (
+            <li key={s}>
+              <button type="button" className="btn" onClick={() => onApply(s)}>{s || "Remove"}</button>
+              {onApplyAll && (
+                <button
+                  type="button"
+                  className="btn btn-small"
+                  onClick={() => onApplyAll(s)}
+                  title={`Replace every “${word}” in the document`}
+                >
+                  Everywhere
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="hard-popover-note">No suggestion yet, consider a simpler option.</p>
+      )}
+
+      {onIgnore && (
+        <div className="hard-popover-actions">
+          <button type="button" className="btn" onClick={onIgnore}>Ignore this word</button>
+        </div>
+      )}
+    </div>
+  );
+}
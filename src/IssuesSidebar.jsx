@@ -0,0 +1,68 @@
+// src/IssuesSidebar.jsx
+import React from "react";
+import { countIssues, issueLabel } from "./issues";
+
+const excerpt = (text, max = 80) => (text.length > max ? `${text.slice(0, max - 1).trimEnd()}…` : text);
+
+// Lists the issues from collectIssues() grouped by heading. Clicking one selects it in the
+// editor; dismissing hides it, in the list and in the editor, until its text changes.
+export default function IssuesSidebar({ groups, selection, dismissedCount, onSelect, onStep, onDismiss, onRestore }) {
+  const counts = countIssues(groups);
+  const total = groups.reduce((n, g) => n + g.issues.length, 0);
+
+  return (
+    <aside className="issues-sidebar" aria-label="Issues">
+      <div className="issues-header">
+        <h3>Issues <span className="issues-count">{total}</span></h3>
+        <button type="button" className="btn-small" onClick={() => onStep(-1)} disabled={!total} title="Previous issue (Shift+F8)" aria-label="Previous issue">↑</button>
+        <button type="button" className="btn-small" onClick={() => onStep(1)} disabled={!total} title="Next issue (F8)" aria-label="Next issue">↓</button>
+      </div>
+      <p className="issues-summary">
+        {counts.red} red, {counts.yellow} yellow, {counts.blue} blue, {counts.word + counts.phrase} words, {counts.term} terms, {counts.rule} style
+      </p>
+
+      {!total && <p className="help-note">No issues. Nice work.</p>}
+
+      {groups.map((group) => (
+        <section key={group.pos} className="issues-group">
+          <h4>
+            {excerpt(group.heading, 48)} <span className="issues-count">{group.issues.length}</span>
+          </h4>
+          <ul>
+            {group.issues.map((issue) => {
+              const active = selection.from === issue.from && selection.to === issue.to;
+              return (
+                <li key={`${issue.from}-${issue.key}`} className={active ? "issue-active" : undefined}>
+                  <button
+                    type="button"
+                    className={`issue-item issue-${issue.type}`}
+                    onClick={() => onSelect(issue)}
+                    aria-current={active ? "true" : undefined}
+                  >
+                    <span className="issue-type">{issueLabel(issue)}</span>
+                    <span className="issue-text">{excerpt(issue.text)}</span>
+                  </button>
+                  <button
+                    type="button"
+                    className="btn-small"
+                    onClick={() => onDismiss(issue)}
+                    title="Hide until this text changes"
+                    aria-label={`Dismiss ${issueLabel(issue).toLowerCase()}, ${excerpt(issue.text, 40)}`}
+                  >
+                    ×
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+        </section>
+      ))}
+
+      {dismissedCount > 0 && (
+        <button type="button" className="btn-small issues-restore" onClick={onRestore}>
+          Restore {dismissedCount} dismissed
+        </button>
+      )}
+    </aside>
+  );
+}
@@ -0,0 +1,116 @@
+// src/ProfilesPanel.jsx
+import React, { useEffect, useRef, useState } from "react";
+import { downloadFile, readFileAsText } from "./fileUtils";
+import {
+  PROFILE_FIELDS,
+  normalizeProfile,
+  createProfile,
+  mergeProfiles,
+  parseProfilesJson,
+  profilesToJson,
+} from "./readabilityProfiles";
+
+// A number kept as typed until blur or Enter, so a limit is not clamped after its first digit.
+// onCommit saves the text and returns the value kept.
+function NumberField({ field, value, onCommit }) {
+  const [text, setText] = useState(String(value));
+  useEffect(() => setText(String(value)), [value]);
+
+  const commit = () => setText(String(text.trim() === "" ? value : onCommit(text)));
+
+  return (
+    <input
+      className="border rounded px-2 py-1"
+      type="number"
+      min={field.min}
+      max={field.max}
+      step={field.step}
+      value={text}
+      onChange={(e) => setText(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => e.key === "Enter" && commit()}
+    />
+  );
+}
+
+// Settings panel for readability profiles. Edits the active profile in place;
+// App persists the list and passes the active one to the editor.
+export default function ProfilesPanel({ profiles, activeId, onChange, onSelect }) {
+  const [message, setMessage] = useState("");
+  const fileRef = useRef(null);
+  const active = profiles.find((p) => p.id === activeId) || profiles[0];
+
+  const updateActive = (patch) => {
+    const next = normalizeProfile({ ...active, ...patch });
+    onChange(profiles.map((p) => (p.id === active.id ? next : p)));
+    return next;
+  };
+
+  const duplicate = () => {
+    const copy = createProfile(active);
+    onChange([...profiles, copy]);
+    onSelect(copy.id);
+  };
+
+  const remove = () => {
+    if (profiles.length < 2) return;
+    const rest = profiles.filter((p) => p.id !== active.id);
+    onChange(rest);
+    onSelect(rest[0].id);
+  };
+
+  const exportJson = () =>
+    downloadFile("sentence-scratcher-profiles.json", profilesToJson(profiles), "application/json");
+
+  const importJson = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const imported = parseProfilesJson(await readFileAsText(file));
+      onChange(mergeProfiles(profiles, imported));
+      setMessage(`Imported ${imported.length} ${imported.length === 1 ? "profile" : "profiles"}.`);
+    } catch (err) {
+      setMessage(`Could not import, ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="dict-panel">
+      <section className="help-section">
+        <h3>Editing “{active.name}”</h3>
+        <p className="help-note">Changes apply right away and are saved in this browser.</p>
+        <div className="profile-fields">
+          <label>
+            <span>Name</span>
+            <input
+              className="border rounded px-2 py-1"
+              value={active.name}
+              onChange={(e) => onChange(profiles.map((p) => (p.id === active.id ? { ...p, name: e.target.value } : p)))}
+              onBlur={() => updateActive({})}
+            />
+          </label>
+          {PROFILE_FIELDS.map((field) => (
+            <label key={field.key}>
+              <span>{field.label}</span>
+              <NumberField
+                field={field}
+                value={active[field.key]}
+                onCommit={(text) => updateActive({ [field.key]: text })[field.key]}
+              />
+            </label>
+          ))}
+        </div>
+      </section>
+
+      <div className="help-actions">
+        <button type="button" className="btn" onClick={duplicate}>Duplicate</button>{" "}
+        <button type="button" className="btn" onClick={remove} disabled={profiles.length < 2}>Delete</button>{" "}
+        <button type="button" className="btn" onClick={exportJson}>Export JSON</button>{" "}
+        <button type="button" className="btn" onClick={() => fileRef.current && fileRef.current.click()}>Import JSON</button>
+        <input ref={fileRef} type="file" accept="application/json,.json" onChange={importJson} hidden />
+        {message && <p className="help-note" role="status">{message}</p>}
+      </div>
+    </div>
+  );
+}
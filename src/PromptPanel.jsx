@@ -0,0 +1,169 @@
+// src/PromptPanel.jsx
+import React, { useCallback, useEffect, useState } from "react";
+import {
+  PROMPT_SCOPES,
+  builtInTemplate,
+  createTemplate,
+  fillTemplate,
+  loadActiveTemplateId,
+  loadTemplates,
+  normalizeTemplate,
+  profileValues,
+  promptContent,
+  saveActiveTemplateId,
+  saveTemplates,
+} from "./promptTemplates";
+
+const PREVIEW_DEBOUNCE_MS = 400;
+
+const emptyNote = (scope) => {
+  if (scope === "selection") return "Select some text in the editor first.";
+  if (scope === "flagged") return "No red or yellow sentences to send.";
+  return "The document is empty.";
+};
+
+// Builds a prompt for an AI tool from a saved template, the profile and part of the document,
+// and keeps the writer's templates. settings are the highlight settings, for grades and hard words.
+export default function PromptPanel({ editor, profile, settings }) {
+  const [templates, setTemplates] = useState(loadTemplates);
+  const [activeId, setActiveId] = useState(loadActiveTemplateId);
+  const [scope, setScope] = useState("document");
+  const [preview, setPreview] = useState({ prompt: "", count: 0 });
+  const [status, setStatus] = useState("");
+  const active = templates.find((t) => t.id === activeId) || templates[0];
+
+  useEffect(() => { saveTemplates(templates); }, [templates]);
+  useEffect(() => { saveActiveTemplateId(active.id); }, [active.id]);
+
+  // the document is read when the prompt is built, so copying always sends the latest text
+  const build = useCallback(() => {
+    const { from, to } = editor.state.selection;
+    const content = promptContent(editor.state.doc, { from, to }, settings, scope);
+    const prompt = fillTemplate(active.text, {
+      ...profileValues(profile),
+      scope: PROMPT_SCOPES[scope].scope,
+      text: content.text,
+      hardWords: content.hardWords,
+    });
+    return { prompt, count: content.count };
+  }, [editor, profile, settings, scope, active.text]);
+
+  useEffect(() => {
+    let tid;
+    const refresh = () => {
+      window.clearTimeout(tid);
+      tid = window.setTimeout(() => setPreview(build()), PREVIEW_DEBOUNCE_MS);
+    };
+    setPreview(build());
+    editor.on("update", refresh);
+    if (scope === "selection") editor.on("selectionUpdate", refresh);
+    return () => {
+      window.clearTimeout(tid);
+      editor.off("update", refresh);
+      editor.off("selectionUpdate", refresh);
+    };
+  }, [editor, build, scope]);
+
+  const copy = async () => {
+    const next = build();
+    setPreview(next);
+    if (!next.count) {
+      setStatus(emptyNote(scope));
+      return;
+    }
+    try {
+      await navigator.clipboard.writeText(next.prompt);
+      setStatus("Prompt copied. Paste it into your AI tool, then check the result here.");
+    } catch {
+      setStatus("Could not copy, please copy the prompt below.");
+    }
+  };
+
+  const updateActive = (patch) => setTemplates((prev) => prev.map((t) => (t.id === active.id ? { ...t, ...patch } : t)));
+
+  const duplicate = () => {
+    const copyOf = createTemplate(active);
+    setTemplates((prev) => [...prev, copyOf]);
+    setActiveId(copyOf.id);
+  };
+
+  const remove = () => {
+    if (templates.length < 2) return;
+    const rest = templates.filter((t) => t.id !== active.id);
+    setTemplates(rest);
+    setActiveId(rest[0].id);
+  };
+
+  const shipped = builtInTemplate(active.id);
+
+  return (
+    <div className="share-panel prompt-panel">
+      <div className="flex flex-wrap gap-3 items-center text-sm">
+        <fieldset className="flex flex-wrap gap-3 items-center">
+          <legend className="sr-only">Send</legend>
+          {Object.entries(PROMPT_SCOPES).map(([id, s]) => (
+            <label key={id} className="inline-flex items-center gap-1">
+              <input type="radio" name="prompt-scope" value={id} checked={scope === id} onChange={() => setScope(id)} />
+              {s.label}
+            </label>
+          ))}
+        </fieldset>
+        <label className="inline-flex items-center gap-1">
+          <span>Template</span>
+          <select className="border rounded px-2 py-1" value={active.id} onChange={(e) => setActiveId(e.target.value)}>
+            {templates.map((t) => (
+              <option key={t.id} value={t.id}>{t.name}</option>
+            ))}
+          </select>
+        </label>
+        <button type="button" className="btn" onClick={copy}>Copy prompt</button>
+        <span className="drafts-status" role="status">{status}</span>
+      </div>
+      <textarea
+        className="prompt-preview border rounded px-2 py-1"
+        value={preview.count ? preview.prompt : emptyNote(scope)}
+        readOnly
+        rows={8}
+        aria-label="Prompt"
+        onFocus={(e) => e.target.select()}
+      />
+
+      <details className="prompt-edit">
+        <summary>Edit template “{active.name}”</summary>
+        <label className="prompt-field">
+          <span>Name</span>
+          <input
+            className="border rounded px-2 py-1"
+            value={active.name}
+            onChange={(e) => updateActive({ name: e.target.value })}
+            onBlur={() => updateActive(normalizeTemplate(active))}
+          />
+        </label>
+        <label className="prompt-field">
+          <span>Text</span>
+          <textarea
+            className="border rounded px-2 py-1"
+            value={active.text}
+            onChange={(e) => updateActive({ text: e.target.value })}
+            rows={8}
+          />
+        </label>
+        <p className="help-note">
+          Placeholders: <code>{"{grade}"}</code> target grade, <code>{"{profile}"}</code> profile name,{" "}
+          <code>{"{longWords}"}</code> long-sentence limit, <code>{"{scope}"}</code> what is sent,{" "}
+          <code>{"{text}"}</code> the text, <code>{"{hardWords}"}</code> hard words with plainer options.
+          A line is left out when all of its placeholders are empty. Saved in this browser.
+        </p>
+        <div className="help-actions">
+          <button type="button" className="btn" onClick={duplicate}>Duplicate</button>{" "}
+          <button type="button" className="btn" onClick={remove} disabled={templates.length < 2}>Delete</button>{" "}
+          {shipped && (
+            <button type="button" className="btn" onClick={() => updateActive(shipped)} disabled={active.text === shipped.text && active.name === shipped.name}>
+              Restore the original
+            </button>
+          )}
+        </div>
+      </details>
+    </div>
+  );
+}
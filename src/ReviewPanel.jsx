@@ -0,0 +1,179 @@
+// src/ReviewPanel.jsx
+import React, { useState } from "react";
+
+const excerpt = (text, max = 80) => (text.length > max ? `${text.slice(0, max - 1).trimEnd()}…` : text);
+
+const formatTime = (ms) =>
+  ms ? new Date(ms).toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" }) : "";
+
+// One comment thread: the text it is on, the messages, a reply box, resolve and delete.
+function CommentThread({ comment, active, readOnly, onSelect, onReply, onResolve, onDelete }) {
+  const [reply, setReply] = useState("");
+  const detached = comment.to <= comment.from;
+  const send = (e) => {
+    e.preventDefault();
+    if (!reply.trim()) return;
+    onReply(comment.id, reply);
+    setReply("");
+  };
+
+  return (
+    <li className={`comment-thread${active ? " issue-active" : ""}${comment.resolved ? " comment-resolved" : ""}`}>
+      <button type="button" className="issue-item" onClick={() => onSelect(comment)} disabled={detached} aria-current={active ? "true" : undefined}>
+        <span className="issue-type">{detached ? "Text removed" : comment.resolved ? "Resolved" : "On"}</span>
+        <span className="issue-text">“{excerpt(comment.quote, 60)}”</span>
+      </button>
+      <ol className="comment-messages">
+        {comment.thread.map((m, i) => (
+          <li key={i}>
+            <span className="comment-author">{m.author}</span> <span className="comment-time">{formatTime(m.at)}</span>
+            <p>{m.text}</p>
+          </li>
+        ))}
+      </ol>
+      {!readOnly && (
+        <>
+          <form className="comment-form" onSubmit={send}>
+            <textarea
+              className="border rounded px-2 py-1"
+              rows={2}
+              value={reply}
+              onChange={(e) => setReply(e.target.value)}
+              placeholder="Reply"
+              aria-label={`Reply to the comment on ${excerpt(comment.quote, 40)}`}
+            />
+            <button type="submit" className="btn btn-small" disabled={!reply.trim()}>Reply</button>
+          </form>
+          <div className="comment-actions">
+            <button type="button" className="btn btn-small" onClick={() => onResolve(comment.id, !comment.resolved)}>
+              {comment.resolved ? "Reopen" : "Resolve"}
+            </button>
+            <button type="button" className="btn btn-small" onClick={() => onDelete(comment.id)}>Delete</button>
+          </div>
+        </>
+      )}
+    </li>
+  );
+}
+
+// Suggested edits and comment threads for a second reviewer. In suggestion mode edits are
+// recorded as suggestions that can be accepted or rejected one by one or all at once.
+export default function ReviewPanel({
+  comments,
+  suggestions,
+  selection,
+  readOnly,
+  suggesting,
+  author,
+  onAuthorChange,
+  onSuggestingChange,
+  onSelectRange,
+  onAccept,
+  onReject,
+  onAcceptAll,
+  onRejectAll,
+  onAddComment,
+  onReply,
+  onResolve,
+  onDeleteComment,
+}) {
+  const [draft, setDraft] = useState("");
+  const [showResolved, setShowResolved] = useState(false);
+  const open = comments.filter((c) => !c.resolved);
+  const resolved = comments.filter((c) => c.resolved);
+  const shown = showResolved ? comments : open;
+  const isActive = (c) => c.from < c.to && c.from <= selection.from && selection.to <= c.to;
+
+  const addComment = (e) => {
+    e.preventDefault();
+    if (onAddComment(draft)) setDraft("");
+  };
+
+  const threadProps = { readOnly, onSelect: onSelectRange, onReply, onResolve, onDelete: onDeleteComment };
+
+  return (
+    <aside className="issues-sidebar review-sidebar" aria-label="Review">
+      <div className="issues-header">
+        <h3>Review</h3>
+      </div>
+
+      {!readOnly && (
+        <div className="review-settings">
+          <label className="inline-flex items-center gap-1">
+            <span>Your name</span>
+            <input
+              className="border rounded px-2 py-1"
+              value={author}
+              onChange={(e) => onAuthorChange(e.target.value)}
+              placeholder="Reviewer"
+            />
+          </label>
+          <label className="inline-flex items-center gap-1">
+            <input type="checkbox" checked={suggesting} onChange={(e) => onSuggestingChange(e.target.checked)} />
+            Suggest edits
+          </label>
+        </div>
+      )}
+
+      <section className="issues-group">
+        <h4>
+          Suggested edits <span className="issues-count">{suggestions.length}</span>
+        </h4>
+        {suggestions.length > 0 && !readOnly && (
+          <div className="comment-actions">
+            <button type="button" className="btn btn-small" onClick={onAcceptAll}>Accept all</button>
+            <button type="button" className="btn btn-small" onClick={onRejectAll}>Reject all</button>
+          </div>
+        )}
+        {!suggestions.length && <p className="help-note">None yet. Turn on “Suggest edits” to record changes for review.</p>}
+        <ul>
+          {suggestions.map((s) => (
+            <li key={`${s.kind}-${s.id}`}>
+              <button type="button" className={`issue-item issue-${s.kind}`} onClick={() => onSelectRange(s)}>
+                <span className="issue-type">{s.kind === "insertion" ? "Add" : "Remove"}, {s.author}</span>
+                <span className="issue-text">{excerpt(s.text)}</span>
+              </button>
+              {!readOnly && (
+                <>
+                  <button type="button" className="btn-small" onClick={() => onAccept(s.id)} aria-label={`Accept, ${s.kind === "insertion" ? "add" : "remove"} ${excerpt(s.text, 40)}`} title="Accept">✓</button>
+                  <button type="button" className="btn-small" onClick={() => onReject(s.id)} aria-label={`Reject, ${s.kind === "insertion" ? "add" : "remove"} ${excerpt(s.text, 40)}`} title="Reject">×</button>
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+      </section>
+
+      <section className="issues-group">
+        <h4>
+          Comments <span className="issues-count">{open.length}</span>
+        </h4>
+        {!readOnly && (
+          <form className="comment-form" onSubmit={addComment}>
+            <textarea
+              className="border rounded px-2 py-1"
+              rows={2}
+              value={draft}
+              onChange={(e) => setDraft(e.target.value)}
+              placeholder={selection.from === selection.to ? "Select text in the editor to comment on it" : "Comment on the selected text"}
+              aria-label="New comment on the selected text"
+            />
+            <button type="submit" className="btn btn-small" disabled={!draft.trim() || selection.from === selection.to}>
+              Comment
+            </button>
+          </form>
+        )}
+        <ul>
+          {shown.map((c) => (
+            <CommentThread key={c.id} comment={c} active={isActive(c)} {...threadProps} />
+          ))}
+        </ul>
+        {resolved.length > 0 && (
+          <button type="button" className="btn-small issues-restore" onClick={() => setShowResolved(!showResolved)}>
+            {showResolved ? "Hide resolved" : `Show ${resolved.length} resolved`}
+          </button>
+        )}
+      </section>
+    </aside>
+  );
+}
@@ -0,0 +1,69 @@
+// src/SharePanel.jsx
+import React, { useCallback, useEffect, useState } from "react";
+import { LONG_LINK_CHARS, SHARE_MODES, encodeShare, shareUrl } from "./shareLinks";
+
+// Builds a link that carries the document and the settings behind its highlights.
+// settings is everything in the share except mode, doc and dictionary.
+export default function SharePanel({ editor, settings, dictionary }) {
+  const [mode, setMode] = useState("view");
+  const [includeWords, setIncludeWords] = useState(true);
+  const [link, setLink] = useState("");
+  const [status, setStatus] = useState("");
+
+  // the document is read when the link is built, so copying always shares the latest text
+  const build = useCallback(async () => {
+    const fragment = await encodeShare({
+      ...settings,
+      mode,
+      doc: editor.getJSON(),
+      dictionary: includeWords ? dictionary : undefined,
+    });
+    const url = shareUrl(fragment);
+    setLink(url);
+    return url;
+  }, [editor, settings, dictionary, mode, includeWords]);
+
+  useEffect(() => {
+    build().catch(() => setStatus("Could not build the link."));
+  }, [build]);
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(await build());
+      setStatus("Link copied.");
+    } catch {
+      setStatus("Could not copy, please copy the link below.");
+    }
+  };
+
+  return (
+    <div className="share-panel">
+      <fieldset className="flex flex-wrap gap-3 items-center text-sm">
+        <legend className="sr-only">Reviewers get</legend>
+        {Object.entries(SHARE_MODES).map(([id, label]) => (
+          <label key={id} className="inline-flex items-center gap-1">
+            <input type="radio" name="share-mode" value={id} checked={mode === id} onChange={() => setMode(id)} />
+            {label}
+          </label>
+        ))}
+        <label className="inline-flex items-center gap-1">
+          <input type="checkbox" checked={includeWords} onChange={(e) => setIncludeWords(e.target.checked)} />
+          Include my word list
+        </label>
+        <button type="button" className="btn" onClick={copy}>Copy link</button>
+        <span className="drafts-status" role="status">{status}</span>
+      </fieldset>
+      <input
+        className="share-link border rounded px-2 py-1"
+        value={link}
+        readOnly
+        aria-label="Share link"
+        onFocus={(e) => e.target.select()}
+      />
+      <p className="help-note">
+        The text travels inside the link and is never uploaded. Anyone with the link can read it.
+        {link.length > LONG_LINK_CHARS && " This link is long; some email and chat apps may cut it short."}
+      </p>
+    </div>
+  );
+}
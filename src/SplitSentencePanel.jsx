@@ -0,0 +1,84 @@
+// src/SplitSentencePanel.jsx
+import React, { useEffect, useRef } from "react";
+
+// Ways to split the long sentence at the cursor, each previewed with the grade of every
+// resulting sentence. Applying one is a single undo step.
+// target is null when the cursor is not in a long English sentence.
+export default function SplitSentencePanel({ target, candidates, targetGrade, longWords, x, y, onApply, onClose }) {
+  const ref = useRef(null);
+
+  useEffect(() => {
+    const onKey = (e) => { if (e.key === "Escape") onClose(); };
+    const onDown = (e) => {
+      if (ref.current && !ref.current.contains(e.target)) onClose();
+    };
+    document.addEventListener("keydown", onKey);
+    document.addEventListener("mousedown", onDown);
+    return () => {
+      document.removeEventListener("keydown", onKey);
+      document.removeEventListener("mousedown", onDown);
+    };
+  }, [onClose]);
+
+  useEffect(() => {
+    const first = ref.current && ref.current.querySelector("button");
+    if (first) first.focus();
+  }, [target]);
+
+  const gradeClass = (grade) => (grade > targetGrade ? "split-grade split-grade-over" : "split-grade");
+  // very short lines score below zero
+  const gradeText = (grade) => `grade ${Math.max(0, grade).toFixed(1)}`;
+
+  return (
+    <div
+      ref={ref}
+      className="hard-popover split-panel"
+      role="dialog"
+      aria-label="Split this sentence"
+      style={{ left: `${x}px`, top: `${y}px` }}
+    >
+      <div className="hard-popover-title">Split this sentence</div>
+
+      {!target ? (
+        <p className="hard-popover-note">
+          Put the cursor in a sentence of {longWords} words or more to see ways to split it.
+        </p>
+      ) : (
+        <>
+          <p className="hard-popover-note">
+            {target.wordCount} words, <span className={gradeClass(target.grade)}>{gradeText(target.grade)}</span>.
+          </p>
+          {candidates.length ? (
+            <ol className="split-list">
+              {candidates.map((c, i) => (
+                <li key={`${c.type}-${i}`}>
+                  <div className="split-option">
+                    <span>{c.label}</span>
+                    <button type="button" className="btn btn-small" onClick={() => onApply(c)} aria-label={`Apply, ${c.label}`}>
+                      Apply
+                    </button>
+                  </div>
+                  <ul className="split-preview">
+                    {c.preview.map((line, n) => (
+                      <li key={n} className={line.bullet ? "split-preview-bullet" : undefined}>
+                        {line.bullet && "• "}
+                        {line.text}{" "}
+                        <span className={gradeClass(line.grade)}>{gradeText(line.grade)}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </li>
+              ))}
+            </ol>
+          ) : (
+            <p className="hard-popover-note">No clear place to split, try rewriting it as two sentences.</p>
+          )}
+        </>
+      )}
+
+      <div className="hard-popover-actions">
+        <button type="button" className="btn" onClick={onClose}>Close</button>
+      </div>
+    </div>
+  );
+}
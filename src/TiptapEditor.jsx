@@ -1,231 +1,415 @@
 // src/TiptapEditor.jsx
 import "use-sync-external-store/shim";
-import React, { useEffect, useState, useCallback } from "react";
+import React, { useEffect, useState, useCallback, useMemo, useRef } from "react";
 import { useEditor, EditorContent } from "@tiptap/react";
-import StarterKit from "@tiptap/starter-kit";
-import Placeholder from "@tiptap/extension-placeholder";
-import Heading from "@tiptap/extension-heading";
-import BulletList from "@tiptap/extension-bullet-list";
-import OrderedList from "@tiptap/extension-ordered-list";
-import ListItem from "@tiptap/extension-list-item";
-import { Extension } from "@tiptap/core";
-import { Plugin, PluginKey } from "prosemirror-state";
-import { Decoration, DecorationSet } from "prosemirror-view";
+import { Fragment } from "prosemirror-model";
 
+import { FORMULAS_BY_LANGUAGE, DEFAULT_FORMULA, DEFAULT_SPANISH_FORMULA, analyzeSentence } from "./readabilityUtils";
+import { mergeWordMaps } from "./simpleWordMap";
+import { SPANISH_WORD_MAP } from "./spanishWordMap";
+import { LANGUAGES, resolveLanguage } from "./spanishText";
+import { phrasePattern } from "./textPatterns";
+import { EMPTY_EXEMPT, buildExemptTerms } from "./exemptTerms";
+import { ENABLE_BLUE, blockText, isAnalyzedBlock, smartCase } from "./sentenceAnalysis";
+import { splitSentences } from "./tokenizer";
+import { splitCandidates, splitPreview } from "./sentenceSplits";
+import { STYLE_RULES, DEFAULT_RULE_TOGGLES } from "./styleRules";
+import { SENTENCE_BADGES, decoKey, editorExtensions, goToIssue, requestRecompute, setHighlightSettings } from "./highlightExtension";
+import { collectIssues, countIssues, feedbackAt } from "./issues";
+import HardWordPopover from "./HardWordPopover";
+import DictionaryPanel from "./DictionaryPanel";
+import DraftsPanel from "./DraftsPanel";
+import DocumentFilesBar from "./DocumentFilesBar";
+import CompareView from "./CompareView";
+import IssuesSidebar from "./IssuesSidebar";
+import SplitSentencePanel from "./SplitSentencePanel";
+import SharePanel from "./SharePanel";
+import PromptPanel from "./PromptPanel";
+import ReviewPanel from "./ReviewPanel";
+import CollabPanel from "./CollabPanel";
+import { DEFAULT_COLLAB_SERVER, newRoomName, startCollab } from "./collabSession";
+import { createDraft, setLastDraftId } from "./draftStore";
 import {
-  analyzeSentence,
-  countWords,
-  countSentences,
-  countSyllables,
-  calculateFleschKincaidGrade,
-  calculateFleschReadingEase,
-} from "./readabilityUtils";
-import { SIMPLE_WORD_MAP } from "./simpleWordMap";
-
-/* ---------------- live settings stored at module scope ---------------- */
-let CURRENT_TARGET_GRADE = 6;
-let CURRENT_SHOW_HARD = true;
-let CURRENT_EASY_SET = new Set();
-
-/* ---------------- feature switches / thresholds ---------------- */
-const ENABLE_BLUE = true;
-const LONG_SENTENCE_WORDS = 15;
-
-const DELTA_HARD = 1;
-const DELTA_VERY_HARD = 3;
-
-const MIN_YELLOW_WORDS_FOR_GRADE = 14;
-const MIN_RED_WORDS_FOR_GRADE = 18;
-
-const HARD_SYLLABLES_BY_TARGET = { 6: 3, 8: 4, 10: 5 };
-const DEBOUNCE_MS = 250;
-
-/* ---------------- helpers ---------------- */
-const classify = (words, grade, target) => {
-  const delta = grade - target;
-  if (words < 8) return null;
+  DEFAULT_AUTHOR,
+  acceptAllSuggestions,
+  acceptSuggestion,
+  addComment,
+  commentsOf,
+  deleteComment,
+  isSuggesting,
+  loadDocument,
+  rejectAllSuggestions,
+  rejectSuggestion,
+  replaceText,
+  replyToComment,
+  setCommentResolved,
+  setSuggesting,
+  suggestionsOf,
+} from "./reviewExtension";
+import { importIntoEditor, isSupportedFile } from "./documentFiles";
+import { loadDictionary, mergeDictionaries, saveDictionary } from "./personalDictionary";
+import { buildReport, reportToCsv, reportToHtml } from "./readabilityReport";
+import { DEFAULT_THRESHOLDS, profileThresholds } from "./readabilityProfiles";
+import { downloadFile } from "./fileUtils";
+import useDocumentStats from "./useDocumentStats";
+import usePlainLanguageChecklist from "./usePlainLanguageChecklist";
+import ChecklistPanel from "./ChecklistPanel";
+import useGlossaryTerms from "./useGlossaryTerms";
+import GlossaryPanel from "./GlossaryPanel";
+import { cachedTermsOf, documentTermUses, isExplained, loadGlossary, saveGlossary, termSettings, writeGlossarySection } from "./glossary";
+import { setSyllableExceptions } from "./syllables";
 
-  if (delta >= DELTA_VERY_HARD && words >= MIN_RED_WORDS_FOR_GRADE) return "red";
-  if (delta >= DELTA_HARD && words >= MIN_YELLOW_WORDS_FOR_GRADE) return "yellow";
+const VERSION = process.env.REACT_APP_VERSION || "";
 
-  if (ENABLE_BLUE && words >= LONG_SENTENCE_WORDS) return "blue";
-  return null;
-};
+/* ---------------- timings ---------------- */
+const DEBOUNCE_MS = 250;
+const CURSOR_FEEDBACK_MS = 400;
+const STATS_ANNOUNCE_MS = 1500;
 
-const tooltipMessage = (color) => {
-  if (color === "red") return "Much harder than your target—simplify or split.";
-  if (color === "yellow") return "A bit harder than your target—try simpler words or a split.";
-  if (color === "blue") return "Long sentence—consider a split.";
-  return "";
+/* ---------------- tooltip ---------------- */
+// One shared #ss-tooltip, shown near the mouse on hover and near the caret with Alt+/.
+const tooltipElement = () => {
+  let tip = document.getElementById("ss-tooltip");
+  if (!tip) {
+    tip = document.createElement("div");
+    tip.id = "ss-tooltip";
+    tip.setAttribute("role", "tooltip");
+    Object.assign(tip.style, {
+      position: "fixed",
+      zIndex: "9999",
+      maxWidth: "28rem",
+      padding: "6px 8px",
+      fontSize: "12px",
+      lineHeight: "1.25",
+      color: "#111827",
+      background: "#f9fafb",
+      border: "1px solid #e5e7eb",
+      borderRadius: "4px",
+      boxShadow: "0 4px 10px rgba(0,0,0,.08)",
+      pointerEvents: "none",
+      display: "none",
+    });
+    document.body.appendChild(tip);
+  }
+  return tip;
 };
 
-const smartCase = (orig, simple) => {
-  if (!simple) return "";
-  if (orig === orig.toUpperCase()) return simple.toUpperCase();
-  if (orig[0] === orig[0].toUpperCase()) return simple[0].toUpperCase() + simple.slice(1);
-  return simple;
+const showTooltip = (x, y, text) => {
+  const tip = tooltipElement();
+  tip.textContent = text || "";
+  tip.style.left = `${x}px`;
+  tip.style.top = `${y}px`;
+  tip.style.display = text ? "block" : "none";
 };
 
-const isAllCaps = (w) => w.length > 1 && w === w.toUpperCase();
-const isUrlLike = (w) => /^https?:\/\//i.test(w) || /^www\./i.test(w);
-const isNumberLike = (w) => /^\d/.test(w);
-const isLikelyProperNoun = (w) => /^[A-Z][a-z]/.test(w) && !isAllCaps(w);
-const splitIntoSentences = (text) => text.match(/[^.!?…]+[.!?…]*/g) || [];
-
-/* ---------------- dynamic highlight extension ---------------- */
-const decoKey = new PluginKey("sentenceHighlights");
-
-const DynamicHighlights = Extension.create({
-  name: "dynamicHighlights",
-  addOptions() {
-    return {
-      getTargetGrade: () => CURRENT_TARGET_GRADE,
-      getShowHardWords: () => CURRENT_SHOW_HARD,
-      getEasySet: () => CURRENT_EASY_SET,
-    };
-  },
-  addProseMirrorPlugins() {
-    const { getTargetGrade, getShowHardWords, getEasySet } = this.options;
-
-    const buildDecorations = (doc) => {
-      const targetGrade = getTargetGrade();
-      const showHardWords = getShowHardWords();
-      const easySet = getEasySet();
-
-      const decos = [];
+const hideTooltip = () => { tooltipElement().style.display = "none"; };
 
-      doc.descendants((node, pos) => {
-        const isBlock = ["paragraph", "list_item", "heading"].includes(node.type.name);
-        if (!isBlock) return;
-
-        const text = node.textContent;
-        if (!text) return;
+/* ---------------- hard-word replacement ---------------- */
+// The clickable decoration covering pos, if any: a hard word or phrase first, then a style
+// rule finding that offers a rewrite, or an unexplained term with a definition in the glossary.
+const findFlagAt = (state, pos) => {
+  const set = decoKey.getState(state);
+  if (!set) return null;
+  const found = set
+    .find(pos, pos, (spec) => !!spec.hardWord || ((!!spec.rule || !!spec.term) && spec.suggestions.length > 0))
+    .filter((d) => d.from <= pos && pos <= d.to);
+  return found.find((d) => d.spec.hardWord) || found[0] || null;
+};
 
-        const blockFrom = pos + 1;
-        const parts = splitIntoSentences(text);
-        let searchFrom = 0;
+// Popover state for the flag at pos, or null when there is nothing to suggest there.
+const popoverAt = (view, pos) => {
+  const deco = findFlagAt(view.state, pos);
+  if (!deco) return null;
+  const word = view.state.doc.textBetween(deco.from, deco.to);
+  const coords = view.coordsAtPos(deco.from);
+  return {
+    from: deco.from,
+    to: deco.to,
+    word,
+    lower: deco.spec.hardWord || null,
+    note: deco.spec.rule ? deco.spec.message : deco.spec.term ? "Insert your definition from the glossary:" : "",
+    // a term's suggestion is the term as written followed by its definition
+    suggestions: deco.spec.term ? deco.spec.suggestions : deco.spec.suggestions.map((sug) => smartCase(word, sug)),
+    x: coords.left,
+    y: coords.bottom + 6,
+  };
+};
 
-        for (const raw of parts) {
-          const s = raw.trim();
-          if (!s) { searchFrom += raw.length; continue; }
+const loadRuleToggles = () => {
+  try {
+    return { ...DEFAULT_RULE_TOGGLES, ...JSON.parse(localStorage.getItem("ssRules") || "{}") };
+  } catch {
+    return { ...DEFAULT_RULE_TOGGLES };
+  }
+};
 
-          const { wordCount, grade } = analyzeSentence(s);
-          const color = classify(wordCount, grade, targetGrade);
+// Replace every whole-word (or whole-phrase) occurrence of `lower` in one transaction, keeping each occurrence's case.
+const replaceEverywhere = (editor, lower, replacement) => {
+  const { state } = editor;
+  const re = new RegExp(`\\b${phrasePattern(lower)}\\b`, "gi");
+  const matches = [];
+  const deletion = state.schema.marks.deletion;
+  state.doc.descendants((node, pos) => {
+    if (!node.isTextblock) return;
+    // the block's text as the highlights see it, so a phrase across bold or a line break is found too;
+    // each character is one position
+    const text = blockText(node);
+    let m;
+    while ((m = re.exec(text)) !== null) {
+      const from = pos + 1 + m.index;
+      const to = from + m[0].length;
+      // text already suggested for deletion is not replaced again
+      if (deletion && state.doc.rangeHasMark(from, to, deletion)) continue;
+      matches.push({ from, to, orig: m[0] });
+    }
+    return false;
+  });
+  if (!matches.length) return 0;
 
-          const startInNode = text.indexOf(s, searchFrom);
-          if (startInNode === -1) { searchFrom += raw.length; continue; }
+  const tr = state.tr;
+  for (const { from, to, orig } of matches.reverse()) {
+    replaceText(state, tr, from, to, smartCase(orig, replacement));
+  }
+  editor.view.dispatch(tr);
+  return matches.length;
+};
 
-          const from = blockFrom + startInNode;
-          const to = from + s.length;
+/* ---------------- sentence splitting ---------------- */
+// The long English sentence around pos: { from, to, text, blockPos, start, wordCount, grade },
+// or null. start is the sentence's offset in its block.
+const splitTargetAt = (state, pos, settings) => {
+  const $pos = state.doc.resolve(pos);
+  const block = $pos.parent;
+  if (!block.isTextblock || !isAnalyzedBlock(block)) return null;
+  const text = blockText(block);
+  if (resolveLanguage(text, settings.language) !== "en") return null;
+  const offset = $pos.parentOffset;
+  const sentence = splitSentences(text).find((s) => s.start <= offset && offset <= s.end);
+  if (!sentence) return null;
+  const { wordCount, grade } = analyzeSentence(sentence.text, { ...settings, language: "en" });
+  const { longSentenceWords } = { ...DEFAULT_THRESHOLDS, ...settings.thresholds };
+  if (wordCount < longSentenceWords) return null;
+  const blockPos = $pos.before();
+  return {
+    from: blockPos + 1 + sentence.start,
+    to: blockPos + 1 + sentence.end,
+    text: sentence.text,
+    blockPos,
+    start: sentence.start,
+    wordCount,
+    grade,
+  };
+};
 
-          if (color) {
-            decos.push(
-              Decoration.inline(from, to, {
-                nodeName: "mark",
-                "data-highlight-color": color,
-                "data-tip": tooltipMessage(color),
-              })
-            );
-          }
+// The paragraph split around a bullet candidate: the text before and the intro, the list,
+// then whatever followed the sentence. Each piece keeps its marks.
+const bulletNodes = (state, target, candidate) => {
+  const { schema } = state;
+  const block = state.doc.nodeAt(target.blockPos);
+  if (block.type !== schema.nodes.paragraph) return null;
+  const at = (offset) => target.start + offset;
+  const intro = block.type.create(block.attrs, block.content.cut(0, at(candidate.intro.end)).addToEnd(schema.text(":")));
+  const list = schema.nodes.bulletList.create(
+    null,
+    candidate.items.map((item) =>
+      schema.nodes.listItem.create(null, schema.nodes.paragraph.create(null, block.content.cut(at(item.start), at(item.end))))
+    )
+  );
+  const nodes = [intro, list];
+  const rest = blockText(block).slice(target.start + target.text.length);
+  if (rest.trim()) {
+    const lead = rest.length - rest.trimStart().length;
+    nodes.push(block.type.create(block.attrs, block.content.cut(target.start + target.text.length + lead)));
+  }
+  const $block = state.doc.resolve(target.blockPos);
+  const index = $block.index();
+  return $block.parent.canReplace(index, index + 1, Fragment.fromArray(nodes)) ? nodes : null;
+};
 
-          if (showHardWords) {
-            const thresh = HARD_SYLLABLES_BY_TARGET[targetGrade] ?? 3;
-            const wordRegex = /\b[\w'-]+\b/g;
-            let m, tokenIndex = 0;
-            while ((m = wordRegex.exec(s)) !== null) {
-              const wOrig = m[0];
-              const w = wOrig.replace(/^'+|'+$/g, "");
-              const lower = w.toLowerCase();
-
-              if (!w || isUrlLike(w) || isNumberLike(w)) { tokenIndex++; continue; }
-              if (tokenIndex > 0 && isLikelyProperNoun(wOrig)) { tokenIndex++; continue; }
-              if (isAllCaps(wOrig)) { tokenIndex++; continue; }
-
-              const syl = countSyllables(w);
-              const isHard = syl >= (HARD_SYLLABLES_BY_TARGET[targetGrade] ?? 3);
-              const isEasy = easySet.has(lower);
-
-              if (!isEasy && isHard) {
-                const suggestion = SIMPLE_WORD_MAP[lower] ? smartCase(wOrig, SIMPLE_WORD_MAP[lower]) : null;
-                const tip = suggestion
-                  ? `Likely hard word, try “${suggestion}”.`
-                  : "Likely hard word, consider a simpler option.";
-                const wFrom = from + m.index;
-                const wTo = wFrom + wOrig.length;
-                decos.push(
-                  Decoration.inline(wFrom, wTo, {
-                    "data-hard-word": "1",
-                    "data-tip": tip || "",
-                    style:
-                      "text-decoration-line: underline; text-decoration-style: dotted; text-decoration-color: #7c3aed; text-decoration-thickness: 2px;",
-                  })
-                );
-              }
-              tokenIndex++;
-            }
-          }
+// Ways to split target, each with its preview; bullets only where a list can go, and not
+// in suggestion mode, which records text changes only.
+const splitOptions = (state, target, settings) =>
+  splitCandidates(target.text)
+    .filter((c) => c.type !== "bullets" || (!isSuggesting(state) && bulletNodes(state, target, c)))
+    .map((c) => ({ ...c, preview: splitPreview(target.text, c, settings) }));
 
-          searchFrom = startInNode + s.length;
-        }
-      });
+// Applies a candidate from splitOptions() in one transaction, so one undo restores the sentence.
+const applySplit = (editor, target, candidate) => {
+  const { state } = editor;
+  if (state.doc.textBetween(target.from, target.to, undefined, "\n") !== target.text) return false;
+  const tr = state.tr;
+  if (candidate.type === "bullets") {
+    const nodes = bulletNodes(state, target, candidate);
+    if (!nodes) return false;
+    tr.replaceWith(target.blockPos, target.blockPos + state.doc.nodeAt(target.blockPos).nodeSize, nodes);
+  } else {
+    for (const { from, to, insert } of [...candidate.edits].sort((a, b) => b.from - a.from)) {
+      replaceText(state, tr, target.from + from, target.from + to, insert);
+    }
+  }
+  editor.view.dispatch(tr.scrollIntoView());
+  return true;
+};
 
-      return DecorationSet.create(doc, decos);
-    };
+// Whether Alt+Enter at pos offers ways to split the sentence.
+const canSplitAt = (state, pos, settings) => {
+  const target = splitTargetAt(state, pos, settings);
+  return !!target && splitCandidates(target.text).length > 0;
+};
 
-    return [
-      new Plugin({
-        key: decoKey,
-        state: {
-          init: (_, state) => buildDecorations(state.doc),
-          apply: (tr, old, _oldState, newState) => {
-            const meta = tr.getMeta(decoKey);
-            if (
-              tr.docChanged ||
-              meta === "recompute" ||
-              (meta && typeof meta === "object" && "recompute" in meta)
-            ) {
-              return buildDecorations(newState.doc);
-            }
-            return old;
-          },
-        },
-        props: {
-          decorations(state) {
-            return decoKey.getState(state);
-          },
-        },
-      }),
-    ];
-  },
-});
+// Split panel state for the sentence at pos; target is null outside a long sentence.
+const splitPanelAt = (view, pos, settings) => {
+  const target = splitTargetAt(view.state, pos, settings);
+  const coords = view.coordsAtPos(target ? target.from : pos);
+  return {
+    target,
+    candidates: target ? splitOptions(view.state, target, settings) : [],
+    x: coords.left,
+    y: coords.bottom + 6,
+  };
+};
 
 /* ---------------- main component ---------------- */
-export default function TiptapEditor({ targetGrade }) {
-  const [stats, setStats] = useState({ wordCount: 0, sentenceCount: 0, grade: 0, ease: 0 });
+// shared is a document opened from a link (see shareLinks.js), or null.
+// collabInvite is { server, room } from a co-editing invite link, or null.
+export default function TiptapEditor({
+  targetGrade,
+  profile = null,
+  formula = DEFAULT_FORMULA,
+  language = "auto",
+  spanishFormula = DEFAULT_SPANISH_FORMULA,
+  shared = null,
+  collabInvite = null,
+}) {
   const [showHardWords, setShowHardWords] = useState(() => {
     try { return localStorage.getItem("ssShowHard") !== "0"; } catch { return true; }
   });
-  const [easySet, setEasySet] = useState(() => new Set(MIN_EASY_WORDS));
+  const [baseEasySet, setBaseEasySet] = useState(() => new Set(MIN_EASY_WORDS));
+  const [baseSpanishEasySet, setBaseSpanishEasySet] = useState(() => new Set());
+  const [dictionary, setDictionary] = useState(loadDictionary);
+  const [glossary, setGlossary] = useState(loadGlossary);
+  const [exempt, setExempt] = useState(EMPTY_EXEMPT);
+  const [syllableExceptions, setSyllableList] = useState(null);
+  const [popover, setPopover] = useState(null);
+  const [splitPanel, setSplitPanel] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [compareMode, setCompareMode] = useState(false);
+  const [ruleToggles, setRuleToggles] = useState(loadRuleToggles);
+  const [issuesOpen, setIssuesOpen] = useState(() => {
+    try { return localStorage.getItem("ssIssuesOpen") === "1"; } catch { return false; }
+  });
+  const [issueGroups, setIssueGroups] = useState([]);
+  const [selection, setSelection] = useState({ from: 0, to: 0 });
+  const [dismissed, setDismissed] = useState(() => new Set());
+  const [shareOpen, setShareOpen] = useState(false);
+  const [promptOpen, setPromptOpen] = useState(false);
+  const [reviewOpen, setReviewOpen] = useState(() => {
+    try { return localStorage.getItem("ssReviewOpen") === "1"; } catch { return false; }
+  });
+  const [reviewer, setReviewer] = useState(() => {
+    try { return localStorage.getItem("ssReviewer") || ""; } catch { return ""; }
+  });
+  const [suggesting, setSuggestingMode] = useState(false);
+  const [review, setReview] = useState({ comments: [], suggestions: [] });
+  const [collabOpen, setCollabOpen] = useState(false);
+  const [collabServer, setCollabServer] = useState(() => {
+    try { return localStorage.getItem("ssCollabServer") || DEFAULT_COLLAB_SERVER; } catch { return DEFAULT_COLLAB_SERVER; }
+  });
+  const [collabRoom, setCollabRoom] = useState(newRoomName);
+  const [collab, setCollab] = useState(null);
+  const [collabStatus, setCollabStatus] = useState(null);
+  const [collabPeers, setCollabPeers] = useState([]);
+
+  // a read-only shared link shows the writer's word list and toggles, without saving them
+  const viewOnly = !!shared && shared.mode === "view";
+  const words = viewOnly ? shared.dictionary : dictionary;
+  const toggles = viewOnly ? shared.rules : ruleToggles;
+  const hardWordsOn = viewOnly ? shared.showHardWords : showHardWords;
+  const docName = viewOnly ? shared.name : draft && draft.name;
+  const reviewerName = reviewer.trim() || DEFAULT_AUTHOR;
+
+  useEffect(() => { setHighlightSettings({ targetGrade }); }, [targetGrade]);
+  const thresholds = useMemo(() => (profile ? profileThresholds(profile) : {}), [profile]);
+  useEffect(() => { setHighlightSettings({ thresholds }); }, [thresholds]);
+  useEffect(() => { setHighlightSettings({ formula }); }, [formula]);
+  useEffect(() => { setHighlightSettings({ language }); }, [language]);
+  useEffect(() => { setHighlightSettings({ showHardWords: hardWordsOn }); }, [hardWordsOn]);
+  const rules = useMemo(() => STYLE_RULES.filter((r) => toggles[r.id]).map((r) => r.id), [toggles]);
+  useEffect(() => { setHighlightSettings({ rules }); }, [rules]);
+  // personal dictionary merged over the shipped lists
+  const easySet = useMemo(
+    () => new Set([...baseEasySet, ...words.easyWords]),
+    [baseEasySet, words]
+  );
+  const wordMap = useMemo(() => mergeWordMaps(words.wordMap), [words]);
+  const customHard = useMemo(() => new Set(Object.keys(words.wordMap)), [words]);
+  const spanish = useMemo(
+    () => ({
+      easySet: new Set([...baseSpanishEasySet, ...words.easyWords]),
+      wordMap: mergeWordMaps(words.wordMap, SPANISH_WORD_MAP),
+      formula: spanishFormula,
+    }),
+    [baseSpanishEasySet, words, spanishFormula]
+  );
 
-  useEffect(() => { CURRENT_TARGET_GRADE = targetGrade; }, [targetGrade]);
-  useEffect(() => { CURRENT_SHOW_HARD = showHardWords; }, [showHardWords]);
-  useEffect(() => { CURRENT_EASY_SET = easySet; }, [easySet]);
+  useEffect(() => { setHighlightSettings({ easySet }); }, [easySet]);
+  useEffect(() => { setHighlightSettings({ wordMap, customHard }); }, [wordMap, customHard]);
+  useEffect(() => { setHighlightSettings({ exempt }); }, [exempt]);
+  useEffect(() => { setHighlightSettings({ spanish }); }, [spanish]);
+  useEffect(() => { setHighlightSettings({ dismissed }); }, [dismissed]);
+  const terms = useMemo(() => termSettings(glossary.jargon, { exempt, language }), [glossary.jargon, exempt, language]);
+  useEffect(() => { setHighlightSettings({ terms }); }, [terms]);
+  useEffect(() => { setHighlightSettings({ definitions: glossary.definitions }); }, [glossary.definitions]);
+
+  // the same settings the highlights use, for analysis outside the plugin
+  const analysisSettings = useMemo(
+    () => ({ targetGrade, thresholds, formula, showHardWords: hardWordsOn, easySet, wordMap, customHard, exempt, rules, language, spanish }),
+    [targetGrade, thresholds, formula, hardWordsOn, easySet, wordMap, customHard, exempt, rules, language, spanish]
+  );
+  // editor handlers are created once, so they read the settings through a ref
+  const settingsRef = useRef(analysisSettings);
+  settingsRef.current = analysisSettings;
 
   const editor = useEditor({
-    extensions: [
-      StarterKit.configure({ heading: false, bulletList: false, orderedList: false, listItem: false }),
-      Heading.configure({ levels: [1, 2, 3, 4, 5, 6] }),
-      BulletList,
-      OrderedList,
-      ListItem,
-      Placeholder.configure({ placeholder: "Start typing, or paste your text here", includeChildren: true }),
-      DynamicHighlights,
-    ],
+    extensions: editorExtensions(),
     content: "",
     editorProps: {
       attributes: {
         class:
           "editor-content prose prose-sm sm:prose lg:prose-lg xl:prose-xl max-w-none p-4 border rounded bg-white focus:outline-none",
+        role: "textbox",
+        "aria-multiline": "true",
+        "aria-label": "Document text",
+        "aria-describedby": "ss-cursor-feedback",
+      },
+      handleClick: (view, pos) => {
+        if (!view.editable) return false;
+        const next = popoverAt(view, pos);
+        if (next) setPopover(next);
+        return false;
+      },
+      // Alt+/ shows the feedback for the text at the caret, Alt+Enter opens its suggestions,
+      // or the ways to split a long sentence when there is no flag at the caret
+      handleKeyDown: (view, event) => {
+        const { from } = view.state.selection;
+        if (event.altKey && event.code === "Slash") {
+          const coords = view.coordsAtPos(from);
+          showTooltip(coords.left, coords.bottom + 6, feedbackAt(decoKey.getState(view.state), from) || "No feedback here.");
+          return true;
+        }
+        hideTooltip();
+        if (event.altKey && event.key === "Enter" && view.editable) {
+          const next = popoverAt(view, from);
+          if (next) {
+            setPopover({ ...next, fromKeyboard: true });
+            return true;
+          }
+          const split = splitPanelAt(view, from, settingsRef.current);
+          if (!split || !split.candidates.length) return false;
+          setSplitPanel({ ...split, fromKeyboard: true });
+          return true;
+        }
+        return false;
       },
     },
   });
@@ -235,77 +419,307 @@ export default function TiptapEditor({ targetGrade }) {
       .then(r => (r.ok ? r.json() : []))
       .then(list => {
         if (Array.isArray(list) && list.length) {
-          setEasySet(new Set(list.map(w => w.toLowerCase())));
+          setBaseEasySet(new Set(list.map(w => w.toLowerCase())));
         }
       })
       .catch(() => {});
   }, []);
 
   useEffect(() => {
-    if (!editor) return;
-    const tr = editor.state.tr.setMeta(decoKey, { recompute: Date.now() });
-    editor.view.dispatch(tr);
-  }, [editor, targetGrade, showHardWords, easySet]);
+    fetch(process.env.PUBLIC_URL + "/spanishEasyWords.json")
+      .then(r => (r.ok ? r.json() : []))
+      .then(list => {
+        if (Array.isArray(list) && list.length) {
+          setBaseSpanishEasySet(new Set(list.map(w => w.toLowerCase())));
+        }
+      })
+      .catch(() => {});
+  }, []);
 
-  const debouncedStats = useCallback(() => {
-    if (!editor) return;
-    const fullText = editor.getText();
-    setStats({
-      wordCount: countWords(fullText),
-      sentenceCount: countSentences(fullText),
-      grade: calculateFleschKincaidGrade(fullText),
-      ease: calculateFleschReadingEase(fullText),
+  // pronunciation-based syllable counts for words the heuristic gets wrong
+  useEffect(() => {
+    fetch(process.env.PUBLIC_URL + "/syllableExceptions.json")
+      .then(r => (r.ok ? r.json() : null))
+      .then(list => {
+        if (list && typeof list === "object") {
+          setSyllableExceptions(list);
+          setSyllableList(list);
+        }
+      })
+      .catch(() => {});
+  }, []);
+
+  // shipped proper nouns, with the organization's own program names merged on top
+  useEffect(() => {
+    const load = (name) =>
+      fetch(process.env.PUBLIC_URL + "/" + name)
+        .then(r => (r.ok ? r.json() : null))
+        .catch(() => null);
+    Promise.all([load("exemptProperNouns.json"), load("orgExemptTerms.json")])
+      .then(([shipped, org]) => {
+        if (shipped || org) setExempt(buildExemptTerms(shipped, org));
+      });
+  }, []);
+
+  // a co-editing session; it ends before a read-only link replaces the text
+  const collabNameRef = useRef(reviewerName);
+  collabNameRef.current = reviewerName;
+  useEffect(() => {
+    if (!editor || !collab || viewOnly) return;
+    const session = startCollab(editor, {
+      ...collab,
+      name: collabNameRef.current,
+      onStatus: setCollabStatus,
+      onPeers: setCollabPeers,
     });
-  }, [editor]);
+    return () => {
+      session.stop();
+      setCollabStatus(null);
+      setCollabPeers([]);
+    };
+  }, [editor, collab, viewOnly]);
 
+  // an invite link fills in the room; joining is left to the reader
+  useEffect(() => {
+    if (!collabInvite) return;
+    setCollabServer(collabInvite.server);
+    setCollabRoom(collabInvite.room);
+    setCollabOpen(true);
+  }, [collabInvite]);
+
+  useEffect(() => {
+    try { localStorage.setItem("ssCollabServer", collabServer); } catch {}
+  }, [collabServer]);
+
+  const coEditing = !!collab && !viewOnly;
+
+  const saveCollabCopy = async () => {
+    const saved = await createDraft(`${collab.room} (co-edited)`, editor.getJSON());
+    setLastDraftId(saved.id);
+    return saved.name;
+  };
+
+  // read-only links show the shared text in place of the open draft
   useEffect(() => {
     if (!editor) return;
-    const handler = () => {
-      window.clearTimeout(handler.tid);
-      handler.tid = window.setTimeout(debouncedStats, DEBOUNCE_MS);
+    editor.setEditable(!viewOnly, false);
+    if (viewOnly) loadDocument(editor, shared.doc);
+  }, [editor, viewOnly, shared]);
+
+  // an editable link brings its toggles and word list along, and opens as a new draft
+  useEffect(() => {
+    if (!shared || shared.mode !== "edit") return;
+    setRuleToggles(shared.rules);
+    setShowHardWords(shared.showHardWords);
+    setDictionary((prev) => mergeDictionaries(prev, shared.dictionary));
+  }, [shared]);
+  const incomingDraft = useMemo(
+    () => (shared && shared.mode === "edit" ? { name: shared.name, content: shared.doc } : null),
+    [shared]
+  );
+
+  const shareSettings = useMemo(
+    () => ({
+      name: docName || "Shared draft",
+      profile: profile || { targetGrade },
+      formula,
+      language,
+      spanishFormula,
+      rules: toggles,
+      showHardWords: hardWordsOn,
+    }),
+    [docName, profile, targetGrade, formula, language, spanishFormula, toggles, hardWordsOn]
+  );
+
+  useEffect(() => {
+    requestRecompute(editor);
+  }, [editor, targetGrade, thresholds, formula, language, spanish, hardWordsOn, easySet, wordMap, exempt, rules, syllableExceptions, dismissed, terms, glossary.definitions]);
+
+  // the issues list follows the decoration set, and marks the issue under the selection
+  useEffect(() => {
+    if (!editor || !issuesOpen) return;
+    let lastSet = null;
+    const sync = () => {
+      const set = decoKey.getState(editor.state);
+      if (set !== lastSet) {
+        lastSet = set;
+        setIssueGroups(collectIssues(editor.state.doc, set));
+      }
+      const { from, to } = editor.state.selection;
+      setSelection((prev) => (prev.from === from && prev.to === to ? prev : { from, to }));
+    };
+    sync();
+    editor.on("transaction", sync);
+    return () => editor.off("transaction", sync);
+  }, [editor, issuesOpen]);
+
+  useEffect(() => {
+    try { localStorage.setItem("ssIssuesOpen", issuesOpen ? "1" : "0"); } catch {}
+  }, [issuesOpen]);
+
+  // the review panel follows the comments and suggestions in the document
+  useEffect(() => {
+    if (!editor || !reviewOpen) return;
+    let lastDoc = null;
+    const sync = () => {
+      const { doc, selection: sel } = editor.state;
+      if (doc !== lastDoc) {
+        lastDoc = doc;
+        setReview({ comments: commentsOf(editor.state), suggestions: suggestionsOf(editor.state) });
+      }
+      setSelection((prev) => (prev.from === sel.from && prev.to === sel.to ? prev : { from: sel.from, to: sel.to }));
     };
-    editor.on("update", handler);
-    handler();
-    return () => editor.off("update", handler);
-  }, [editor, debouncedStats]);
+    sync();
+    editor.on("transaction", sync);
+    return () => editor.off("transaction", sync);
+  }, [editor, reviewOpen]);
+
+  useEffect(() => {
+    try { localStorage.setItem("ssReviewOpen", reviewOpen ? "1" : "0"); } catch {}
+  }, [reviewOpen]);
+  useEffect(() => {
+    try { localStorage.setItem("ssReviewer", reviewer); } catch {}
+  }, [reviewer]);
+
+  useEffect(() => {
+    if (editor) setSuggesting(editor, suggesting && !viewOnly, reviewerName);
+  }, [editor, suggesting, viewOnly, reviewerName]);
+
+  const reviewActions = {
+    onSelectRange: ({ from, to }) => editor.chain().focus().setTextSelection({ from, to }).scrollIntoView().run(),
+    onAccept: (id) => acceptSuggestion(editor, id),
+    onReject: (id) => rejectSuggestion(editor, id),
+    onAcceptAll: () => acceptAllSuggestions(editor),
+    onRejectAll: () => rejectAllSuggestions(editor),
+    onAddComment: (text) => addComment(editor, text, reviewerName),
+    onReply: (id, text) => replyToComment(editor, id, text, reviewerName),
+    onResolve: (id, resolved) => setCommentResolved(editor, id, resolved),
+    onDeleteComment: (id) => {
+      if (window.confirm("Delete this comment and its replies?")) deleteComment(editor, id);
+    },
+  };
 
+  const selectIssue = (issue) => {
+    editor.chain().focus().setTextSelection({ from: issue.from, to: issue.to }).scrollIntoView().run();
+  };
+
+  const dismissIssue = (issue) => setDismissed((prev) => new Set([...prev, issue.key]));
+
+  const closePopover = useCallback(() => setPopover(null), []);
+  const closeSplitPanel = useCallback(() => setSplitPanel(null), []);
+
+  // keyboard users go back to where they were in the text
+  const closePopoverAndReturn = () => {
+    const fromKeyboard = popover && popover.fromKeyboard;
+    closePopover();
+    if (fromKeyboard) editor.commands.focus();
+  };
+
+  // any edit can shift the word under the popover, so close it
   useEffect(() => {
     if (!editor) return;
-    const root = editor.view.dom;
+    editor.on("update", closePopover);
+    editor.on("update", closeSplitPanel);
+    return () => {
+      editor.off("update", closePopover);
+      editor.off("update", closeSplitPanel);
+    };
+  }, [editor, closePopover, closeSplitPanel]);
 
-    let tip = document.getElementById("ss-tooltip");
-    if (!tip) {
-      tip = document.createElement("div");
-      tip.id = "ss-tooltip";
-      Object.assign(tip.style, {
-        position: "fixed",
-        zIndex: "9999",
-        maxWidth: "28rem",
-        padding: "6px 8px",
-        fontSize: "12px",
-        lineHeight: "1.25",
-        color: "#111827",
-        background: "#f9fafb",
-        border: "1px solid #e5e7eb",
-        borderRadius: "4px",
-        boxShadow: "0 4px 10px rgba(0,0,0,.08)",
-        pointerEvents: "none",
-        display: "none",
-      });
-      document.body.appendChild(tip);
+  const openSplitPanel = () => {
+    setSplitPanel(splitPanelAt(editor.view, editor.state.selection.from, analysisSettings));
+  };
+
+  const closeSplitPanelAndReturn = () => {
+    closeSplitPanel();
+    editor.commands.focus();
+  };
+
+  const applySplitOption = (candidate) => {
+    if (splitPanel && splitPanel.target) applySplit(editor, splitPanel.target, candidate);
+    closeSplitPanel();
+    editor.commands.focus();
+  };
+
+  const applySuggestion = (replacement) => {
+    if (!editor || !popover) return;
+    const { from, word } = popover;
+    let { to } = popover;
+    if (editor.state.doc.textBetween(from, to) !== word) { closePopover(); return; }
+    // removing filler also takes the comma and space after it
+    if (!replacement) {
+      const after = editor.state.doc.textBetween(to, Math.min(to + 2, editor.state.doc.content.size));
+      to += (after.match(/^,?\s/) || [""])[0].length;
     }
+    const tr = editor.state.tr;
+    replaceText(editor.state, tr, from, to, replacement);
+    editor.view.dispatch(tr);
+    closePopover();
+    editor.commands.focus();
+  };
 
-    const show = (e, text) => {
-      tip.textContent = text || "";
-      tip.style.left = `${e.clientX + 10}px`;
-      tip.style.top = `${e.clientY + 12}px`;
-      tip.style.display = text ? "block" : "none";
-    };
-    const hide = () => { tip.style.display = "none"; };
+  const applySuggestionEverywhere = (replacement) => {
+    if (!editor || !popover) return;
+    replaceEverywhere(editor, popover.lower, replacement.toLowerCase());
+    closePopover();
+    editor.commands.focus();
+  };
+
+  const ignoreWord = () => {
+    if (!popover) return;
+    setDictionary((prev) => ({ ...prev, easyWords: [...new Set([...prev.easyWords, popover.lower])].sort() }));
+    closePopover();
+  };
+
+  const stats = useDocumentStats(
+    editor,
+    { exempt, easySet, language, spanishFormula, syllableExceptions },
+    DEBOUNCE_MS
+  );
+  const checklist = usePlainLanguageChecklist(editor, { language, exempt, jargon: glossary.jargon }, DEBOUNCE_MS);
+  const termUses = useGlossaryTerms(editor, terms, DEBOUNCE_MS);
+
+  // glossary actions find the term again, so positions are never stale
+  const firstUseOf = (key) => documentTermUses(editor.state.doc, cachedTermsOf(terms)).find((u) => u.key === key);
+
+  const goToTerm = (key) => {
+    const use = editor && firstUseOf(key);
+    if (use) editor.chain().focus().setTextSelection({ from: use.from, to: use.to }).scrollIntoView().run();
+  };
+
+  const insertDefinition = (key) => {
+    const use = editor && firstUseOf(key);
+    const definition = glossary.definitions[key];
+    if (!use || !definition) return;
+    const { state } = editor;
+    const tr = state.tr;
+    replaceText(state, tr, use.to, use.to, ` (${definition})`);
+    editor.view.dispatch(tr.scrollIntoView());
+    editor.commands.focus();
+  };
+
+  // stats changes are announced politely, once typing pauses
+  const [statsAnnouncement, setStatsAnnouncement] = useState("");
+  useEffect(() => {
+    if (!editor || !stats.wordCount) return;
+    const timer = setTimeout(() => {
+      const counts = countIssues(collectIssues(editor.state.doc, decoKey.getState(editor.state)));
+      setStatsAnnouncement(
+        `Grade ${stats.grade.toFixed(1)}, ${stats.wordCount} words. ` +
+          `${counts.red} much harder, ${counts.yellow} a bit harder and ${counts.blue} long sentences.`
+      );
+    }, STATS_ANNOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [editor, stats]);
+
+  useEffect(() => {
+    if (!editor) return;
+    const root = editor.view.dom;
+    const hide = hideTooltip;
 
     const onMove = (e) => {
       const el = e.target.closest("[data-tip]");
-      if (el && root.contains(el)) show(e, el.getAttribute("data-tip") || "");
+      if (el && root.contains(el)) showTooltip(e.clientX + 10, e.clientY + 12, el.getAttribute("data-tip") || "");
       else hide();
     };
 
@@ -323,41 +737,207 @@ export default function TiptapEditor({ targetGrade }) {
     };
   }, [editor]);
 
+  // feedback for the text at the caret, for aria-describedby and the live region
+  const [cursorFeedback, setCursorFeedback] = useState("");
+  useEffect(() => {
+    if (!editor) return;
+    let timer = null;
+    const update = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        const { state } = editor;
+        const { from } = state.selection;
+        const note = feedbackAt(decoKey.getState(state), from);
+        if (note && findFlagAt(state, from)) setCursorFeedback(`${note} Press Alt+Enter for options.`);
+        else if (note && canSplitAt(state, from, settingsRef.current)) setCursorFeedback(`${note} Press Alt+Enter for ways to split it.`);
+        else setCursorFeedback(note);
+      }, CURSOR_FEEDBACK_MS);
+    };
+    editor.on("transaction", update);
+    return () => {
+      clearTimeout(timer);
+      editor.off("transaction", update);
+    };
+  }, [editor]);
+
   useEffect(() => {
     try { localStorage.setItem("ssShowHard", showHardWords ? "1" : "0"); } catch {}
   }, [showHardWords]);
 
+  useEffect(() => {
+    try { localStorage.setItem("ssRules", JSON.stringify(ruleToggles)); } catch {}
+  }, [ruleToggles]);
+
+  useEffect(() => { saveDictionary(dictionary); }, [dictionary]);
+  useEffect(() => { saveGlossary(glossary); }, [glossary]);
+
+  const makeReport = () =>
+    buildReport(
+      editor.state.doc,
+      analysisSettings,
+      { title: docName || "Untitled draft", version: VERSION, profileName: profile ? profile.name : "" }
+    );
+
+  const reportFileName = () =>
+    `${(docName || "document").replace(/[\\/:*?"<>|]+/g, "").trim() || "document"} readability report`;
+
+  const downloadReport = (format) => {
+    const report = makeReport();
+    if (format === "csv") downloadFile(`${reportFileName()}.csv`, reportToCsv(report), "text/csv");
+    else downloadFile(`${reportFileName()}.html`, reportToHtml(report), "text/html");
+  };
+
+  const printReport = () => {
+    const win = window.open("", "_blank");
+    if (!win) { alert("Please allow pop-ups to print the report."); return; }
+    win.document.open();
+    win.document.write(reportToHtml(makeReport()));
+    win.document.close();
+    win.focus();
+    win.print();
+  };
+
+  // Dropped files are imported instead of being inserted by ProseMirror.
+  // Capture phase, so this runs before the editor's own drop handling.
+  const onDropCapture = async (e) => {
+    const file = e.dataTransfer && e.dataTransfer.files && e.dataTransfer.files[0];
+    if (!isSupportedFile(file)) return;
+    e.preventDefault();
+    e.stopPropagation();
+    if (viewOnly) return;
+    if (!editor.isEmpty && !window.confirm(`Replace the current text with “${file.name}”?`)) return;
+    try {
+      await importIntoEditor(editor, file);
+    } catch (err) {
+      alert(`Could not open “${file.name}”, ${err.message}`);
+    }
+  };
+
   if (!editor) return null;
 
   const hasText = stats.wordCount > 0 && stats.sentenceCount > 0;
   const gradeDisplay = hasText ? stats.grade.toFixed(1) : "—";
   const easeDisplay  = hasText ? stats.ease.toFixed(1)  : "—";
+  const statsLanguage = stats.language || "en";
+  const activeFormula = statsLanguage === "es" ? spanishFormula : formula;
 
   return (
     <div className="space-y-4">
-      {/* toolbar */}
-      <div className="flex flex-wrap gap-2 mb-2">
-        <button onClick={() => editor.chain().focus().toggleBold().run()} className={`px-2 py-1 border rounded ${editor.isActive('bold') ? 'bg-gray-200' : ''}`} aria-pressed={editor.isActive('bold')}>Bold</button>
-        <button onClick={() => editor.chain().focus().toggleItalic().run()} className={`px-2 py-1 border rounded ${editor.isActive('italic') ? 'bg-gray-200' : ''}`} aria-pressed={editor.isActive('italic')}>Italic</button>
-        <button onClick={() => editor.chain().focus().toggleHeading({ level: 1 }).run()} className={`px-2 py-1 border rounded ${editor.isActive('heading', { level: 1 }) ? 'bg-gray-200' : ''}`} aria-pressed={editor.isActive('heading', { level: 1 })} title="Heading 1">H1</button>
-        <button onClick={() => editor.chain().focus().toggleBulletList().run()} className={`px-2 py-1 border rounded ${editor.isActive('bulletList') ? 'bg-gray-200' : ''}`} aria-pressed={editor.isActive('bulletList')} title="Bulleted list">• List</button>
-        <button onClick={() => editor.chain().focus().toggleOrderedList().run()} className={`px-2 py-1 border rounded ${editor.isActive('orderedList') ? 'bg-gray-200' : ''}`} aria-pressed={editor.isActive('orderedList')} title="Ordered list">1. List</button>
-        <button onClick={() => editor.chain().focus().clearNodes().unsetAllMarks().run()} className="px-2 py-1 border rounded" title="Clear styles">Clear</button>
+      {!viewOnly && !coEditing && <DraftsPanel editor={editor} onDraftChange={setDraft} incoming={incomingDraft} />}
+      <div className="flex flex-wrap gap-2 items-center">
+        <DocumentFilesBar editor={editor} name={docName} readOnly={viewOnly} />
+        <div className="flex flex-wrap gap-2 items-center text-sm ml-auto">
+          <span>Report</span>
+          <button type="button" className="btn" onClick={() => downloadReport("html")}>HTML</button>
+          <button type="button" className="btn" onClick={() => downloadReport("csv")}>CSV</button>
+          <button type="button" className="btn" onClick={printReport} title="Print, or save as PDF">Print / PDF</button>
+          <button
+            type="button"
+            className="btn"
+            onClick={() => setIssuesOpen(!issuesOpen)}
+            aria-pressed={issuesOpen}
+            title="List every issue; F8 and Shift+F8 move between them"
+          >
+            Issues
+          </button>
+          <button
+            type="button"
+            className="btn"
+            onClick={() => setReviewOpen(!reviewOpen)}
+            aria-pressed={reviewOpen}
+            title="Comments, and edits suggested for the writer to accept or reject"
+          >
+            {suggesting && !viewOnly ? "Review (suggesting)" : "Review"}
+          </button>
+          <button
+            type="button"
+            className="btn"
+            onClick={() => setShareOpen(!shareOpen)}
+            aria-expanded={shareOpen}
+            title="Copy a link that opens this text with the same settings and highlights"
+          >
+            Share
+          </button>
+          <button
+            type="button"
+            className="btn"
+            onClick={() => setPromptOpen(!promptOpen)}
+            aria-expanded={promptOpen}
+            title="Build a prompt for your AI tool from this text, the target grade and the hard words"
+          >
+            AI prompt
+          </button>
+          {!viewOnly && (
+            <button
+              type="button"
+              className="btn"
+              onClick={() => setCollabOpen(!collabOpen)}
+              aria-expanded={collabOpen}
+              title="Edit this text with others at the same time"
+            >
+              {coEditing ? `Co-editing (${collabPeers.length + 1})` : "Co-edit"}
+            </button>
+          )}
+          <button
+            type="button"
+            className="btn"
+            onClick={() => setCompareMode(!compareMode)}
+            aria-pressed={compareMode}
+            title="Compare an original with a rewrite"
+          >
+            {compareMode ? "Back to editor" : "Compare before/after"}
+          </button>
+        </div>
       </div>
 
+      {shareOpen && <SharePanel editor={editor} settings={shareSettings} dictionary={words} />}
+      {promptOpen && <PromptPanel editor={editor} profile={shareSettings.profile} settings={analysisSettings} />}
+      {collabOpen && !viewOnly && (
+        <CollabPanel
+          server={collabServer}
+          room={collabRoom}
+          name={reviewer}
+          target={coEditing ? collab : null}
+          status={collabStatus}
+          peers={collabPeers}
+          onServerChange={setCollabServer}
+          onRoomChange={setCollabRoom}
+          onNameChange={setReviewer}
+          onJoin={() => setCollab({ server: collabServer.trim(), room: collabRoom })}
+          onLeave={() => setCollab(null)}
+          onSaveCopy={saveCollabCopy}
+        />
+      )}
+
+      {/* toolbar */}
+      {!compareMode && !viewOnly && (
+        <div className="flex flex-wrap gap-2 mb-2">
+          <button onClick={() => editor.chain().focus().toggleBold().run()} className={`px-2 py-1 border rounded ${editor.isActive('bold') ? 'bg-gray-200' : ''}`} aria-pressed={editor.isActive('bold')}>Bold</button>
+          <button onClick={() => editor.chain().focus().toggleItalic().run()} className={`px-2 py-1 border rounded ${editor.isActive('italic') ? 'bg-gray-200' : ''}`} aria-pressed={editor.isActive('italic')}>Italic</button>
+          <button onClick={() => editor.chain().focus().toggleHeading({ level: 1 }).run()} className={`px-2 py-1 border rounded ${editor.isActive('heading', { level: 1 }) ? 'bg-gray-200' : ''}`} aria-pressed={editor.isActive('heading', { level: 1 })} title="Heading 1">H1</button>
+          <button onClick={() => editor.chain().focus().toggleBulletList().run()} className={`px-2 py-1 border rounded ${editor.isActive('bulletList') ? 'bg-gray-200' : ''}`} aria-pressed={editor.isActive('bulletList')} title="Bulleted list">• List</button>
+          <button onClick={() => editor.chain().focus().toggleOrderedList().run()} className={`px-2 py-1 border rounded ${editor.isActive('orderedList') ? 'bg-gray-200' : ''}`} aria-pressed={editor.isActive('orderedList')} title="Ordered list">1. List</button>
+          <button onClick={() => editor.chain().focus().clearNodes().unsetAllMarks().run()} className="px-2 py-1 border rounded" title="Clear styles">Clear</button>
+          <button onClick={openSplitPanel} className="px-2 py-1 border rounded" title="Ways to split the long sentence at the cursor (Alt+Enter)">Split sentence</button>
+        </div>
+      )}
+
       {/* legend */}
       <div className="flex flex-wrap gap-4 text-xs mb-2 items-center">
         <div className="flex items-center gap-1">
           <span className="legend-red w-3 h-3 border inline-block"></span>
+          <span className="sentence-badge sentence-badge-red" aria-hidden="true">{SENTENCE_BADGES.red}</span>
           <span>Much harder than target</span>
         </div>
         <div className="flex items-center gap-1">
           <span className="legend-yellow w-3 h-3 border inline-block"></span>
+          <span className="sentence-badge sentence-badge-yellow" aria-hidden="true">{SENTENCE_BADGES.yellow}</span>
           <span>A bit harder than target</span>
         </div>
         {ENABLE_BLUE && (
           <div className="flex items-center gap-1">
             <span className="legend-blue w-3 h-3 border inline-block"></span>
+            <span className="sentence-badge sentence-badge-blue" aria-hidden="true">{SENTENCE_BADGES.blue}</span>
             <span>Long sentence</span>
           </div>
         )}
@@ -365,24 +945,164 @@ export default function TiptapEditor({ targetGrade }) {
           <label className="inline-flex items-center gap-1">
             <input
               type="checkbox"
-              checked={showHardWords}
+              checked={hardWordsOn}
+              disabled={viewOnly}
               onChange={(e) => setShowHardWords(e.target.checked)}
             />
             {/* underline is on the label text now; no bold Aa glyph */}
             <span className="legend-underline-purple">Likely hard word</span>
           </label>
+          <span className="legend-phrase">Wordy phrase</span>
+          <span className="legend-term">Unexplained term</span>
+          {STYLE_RULES.map((rule) => (
+            <label key={rule.id} className="inline-flex items-center gap-1">
+              <input
+                type="checkbox"
+                checked={!!toggles[rule.id]}
+                disabled={viewOnly}
+                onChange={(e) => setRuleToggles((prev) => ({ ...prev, [rule.id]: e.target.checked }))}
+              />
+              <span className={`legend-rule legend-rule-${rule.id}`}>{rule.label}</span>
+            </label>
+          ))}
         </div>
       </div>
 
       {/* stats */}
+      <div className="sr-only" role="status">{statsAnnouncement}</div>
       <div className="flex flex-wrap gap-4 text-sm">
         <div className="bg-gray-100 px-2 py-1 rounded">Words, {stats.wordCount}</div>
         <div className="bg-gray-100 px-2 py-1 rounded">Sentences, {stats.sentenceCount}</div>
         <div className="bg-green-100 px-2 py-1 rounded">Grade, {gradeDisplay}</div>
         <div className="bg-blue-100 px-2 py-1 rounded">Ease, {easeDisplay}</div>
+        {language === "auto" && hasText && (
+          <div className="bg-gray-100 px-2 py-1 rounded" title="Detected for the whole document; each paragraph is checked on its own">
+            Language, {LANGUAGES[statsLanguage].label}
+          </div>
+        )}
+      </div>
+      <div className="flex flex-wrap gap-2 text-xs" aria-label="Readability formulas">
+        {Object.entries(FORMULAS_BY_LANGUAGE[statsLanguage]).map(([id, f]) => {
+          const result = stats.scores[id];
+          const value = hasText && result ? result.score.toFixed(1) : "—";
+          return (
+            <div
+              key={id}
+              className={`formula-chip px-2 py-1 rounded ${id === activeFormula ? "bg-green-100 formula-chip-active" : "bg-gray-100"}`}
+              title={id === activeFormula ? "Drives sentence coloring" : undefined}
+            >
+              {f.label}, {value}
+            </div>
+          );
+        })}
+      </div>
+
+      <div hidden={compareMode}>
+        <div className={issuesOpen || reviewOpen ? "issues-layout" : undefined}>
+          <div className={`issues-editor${suggesting && !viewOnly ? " is-suggesting" : ""}`} onDropCapture={onDropCapture}>
+            <EditorContent editor={editor} />
+            <p id="ss-cursor-feedback" className="cursor-feedback" aria-live="polite">{cursorFeedback}</p>
+            <p className="keyboard-hint">
+              Keys: <kbd>F8</kbd> next issue, <kbd>Shift+F8</kbd> previous, <kbd>Alt+/</kbd> explain the text at the cursor,
+              {" "}<kbd>Alt+Enter</kbd> suggestions, or ways to split a long sentence.
+            </p>
+          </div>
+          {(issuesOpen || reviewOpen) && (
+            <div className="side-panels">
+              {issuesOpen && (
+                <IssuesSidebar
+                  groups={issueGroups}
+                  selection={selection}
+                  dismissedCount={dismissed.size}
+                  onSelect={selectIssue}
+                  onStep={(dir) => goToIssue(editor, dir)}
+                  onDismiss={dismissIssue}
+                  onRestore={() => setDismissed(new Set())}
+                />
+              )}
+              {reviewOpen && (
+                <ReviewPanel
+                  comments={review.comments}
+                  suggestions={review.suggestions}
+                  selection={selection}
+                  readOnly={viewOnly}
+                  suggesting={suggesting}
+                  author={reviewer}
+                  onAuthorChange={setReviewer}
+                  onSuggestingChange={setSuggestingMode}
+                  {...reviewActions}
+                />
+              )}
+            </div>
+          )}
+        </div>
       </div>
 
-      <EditorContent editor={editor} />
+      {compareMode && <CompareView mainEditor={editor} settings={analysisSettings} />}
+
+      <details className="help-card">
+        <summary className="help-summary">
+          Plain-language checklist{checklist.checked ? `, ${checklist.passed} of ${checklist.checked} pass` : ""}
+        </summary>
+        <div className="help-body">
+          <ChecklistPanel checklist={checklist} />
+        </div>
+      </details>
+
+      {!viewOnly && (
+        <details className="help-card">
+          <summary className="help-summary">
+            Glossary{termUses.length ? `, ${termUses.filter((u) => !isExplained(u)).length} of ${termUses.length} terms not explained` : ""}
+          </summary>
+          <div className="help-body">
+            <GlossaryPanel
+              uses={termUses}
+              glossary={glossary}
+              suggesting={suggesting}
+              onChange={setGlossary}
+              onGoTo={goToTerm}
+              onInsert={insertDefinition}
+              onWriteSection={(entries) => editor && writeGlossarySection(editor, entries)}
+            />
+          </div>
+        </details>
+      )}
+
+      {!viewOnly && (
+        <details className="help-card">
+          <summary className="help-summary">Your word list</summary>
+          <div className="help-body">
+            <DictionaryPanel dictionary={dictionary} onChange={setDictionary} />
+          </div>
+        </details>
+      )}
+
+      {popover && (
+        <HardWordPopover
+          word={popover.word}
+          suggestions={popover.suggestions}
+          x={popover.x}
+          y={popover.y}
+          onApply={applySuggestion}
+          note={popover.note}
+          onApplyAll={popover.lower ? applySuggestionEverywhere : null}
+          onIgnore={popover.lower ? ignoreWord : null}
+          onClose={closePopoverAndReturn}
+        />
+      )}
+
+      {splitPanel && (
+        <SplitSentencePanel
+          target={splitPanel.target}
+          candidates={splitPanel.candidates}
+          targetGrade={targetGrade}
+          longWords={({ ...DEFAULT_THRESHOLDS, ...thresholds }).longSentenceWords}
+          x={splitPanel.x}
+          y={splitPanel.y}
+          onApply={applySplitOption}
+          onClose={splitPanel.fromKeyboard ? closeSplitPanelAndReturn : closeSplitPanel}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,312 @@
+// src/collabSession.js
+// Real-time co-editing through a small sync server (scripts/collab-server.js, or any server that
+// speaks the same messages). The server keeps one ordered list of ProseMirror steps per room;
+// prosemirror-collab rebases each writer's unconfirmed steps over the ones from others, so edits
+// merge without conflicts. Other writers' cursors are drawn with their names.
+//
+// Messages are JSON over a WebSocket to <server>/<room>:
+//   to the server    join { name, clientID, doc, schema, version? }, steps { version, steps, clientID },
+//                    presence { anchor, head, version }, snapshot { version, doc }
+//   from the server  init { doc, version, steps, clientIDs, color }, steps { steps, clientIDs },
+//                    peers { peers: [{ clientID, name, color }] }, presence { clientID, anchor, head, version },
+//                    snapshot (asks for the whole document, to shorten the step list), error { message }
+//                    (after join, an error means the server turned down this writer's steps)
+// join's doc starts a new room; version asks for only the steps since it, after a reconnect.
+// schema is COLLAB_SCHEMA; a room only takes writers whose editor makes the same kind of steps.
+import { collab, getVersion, receiveTransaction, sendableSteps } from "prosemirror-collab";
+import { Plugin, PluginKey, TextSelection } from "prosemirror-state";
+import { Step } from "prosemirror-transform";
+import { Decoration, DecorationSet } from "prosemirror-view";
+import { loadDocument } from "./reviewExtension";
+import { shareUrl } from "./shareLinks";
+
+// set REACT_APP_COLLAB_SERVER at build time to point everyone at your own server
+export const DEFAULT_COLLAB_SERVER = process.env.REACT_APP_COLLAB_SERVER || "ws://localhost:1234";
+
+// raise when a change to the editor's nodes or marks means older steps no longer apply
+export const COLLAB_SCHEMA = 1;
+
+const RECONNECT_MS = [1000, 2000, 5000, 10000];
+const PRESENCE_MS = 100;
+const INVITE_PREFIX = "#collab=";
+
+export const collabCursorsKey = new PluginKey("collabCursors");
+
+export const newRoomName = () => Math.random().toString(36).slice(2, 10);
+
+export const isValidRoom = (room) => /^[A-Za-z0-9_-]{1,64}$/.test(room);
+
+const isValidServer = (server) => /^wss?:\/\/[^\s/]+/.test(server);
+
+/* ---------------- invite links ---------------- */
+//   #collab=<room>&server=<url>
+export const hasCollabInvite = (hash) => typeof hash === "string" && hash.startsWith(INVITE_PREFIX);
+
+// The { room, server } in an invite hash, or null when it is not a usable invite.
+export function readCollabInvite(hash) {
+  const params = new URLSearchParams(hash.slice(1));
+  const room = params.get("collab") || "";
+  const server = params.get("server") || DEFAULT_COLLAB_SERVER;
+  return isValidRoom(room) && isValidServer(server) ? { room, server } : null;
+}
+
+export const collabInviteUrl = ({ server, room }) =>
+  shareUrl(`${INVITE_PREFIX}${encodeURIComponent(room)}&server=${encodeURIComponent(server)}`);
+
+/* ---------------- other writers' cursors ---------------- */
+const caret = (peer) => {
+  const el = document.createElement("span");
+  el.className = "collab-caret";
+  el.style.borderColor = peer.color;
+  const label = document.createElement("span");
+  label.className = "collab-caret-name";
+  label.style.backgroundColor = peer.color;
+  label.textContent = peer.name;
+  el.appendChild(label);
+  return el;
+};
+
+// State is [{ clientID, name, color, anchor, head }], mapped through every change.
+const cursorsPlugin = () =>
+  new Plugin({
+    key: collabCursorsKey,
+    state: {
+      init: () => [],
+      apply(tr, cursors) {
+        const next = tr.getMeta(collabCursorsKey);
+        if (next) return next;
+        if (!tr.docChanged) return cursors;
+        return cursors.map((c) => ({ ...c, anchor: tr.mapping.map(c.anchor), head: tr.mapping.map(c.head) }));
+      },
+    },
+    props: {
+      decorations(state) {
+        const cursors = collabCursorsKey.getState(state);
+        if (!cursors.length) return null;
+        const decos = [];
+        for (const c of cursors) {
+          const from = Math.min(c.anchor, c.head);
+          const to = Math.max(c.anchor, c.head);
+          if (to > from) decos.push(Decoration.inline(from, to, { class: "collab-selection", style: `background-color: ${c.color}33` }));
+          decos.push(Decoration.widget(c.head, () => caret(c), { key: `${c.clientID}-${c.name}-${c.color}`, side: 1 }));
+        }
+        return DecorationSet.create(state.doc, decos);
+      },
+    },
+  });
+
+// Swaps the session plugins on editor. The undo history starts over, so undo never reaches
+// edits from before the session, or sends them to the room.
+const setSessionPlugins = (editor, plugins) => {
+  const own = (p) => p.key.startsWith("collab$") || p.key.startsWith("collabCursors$");
+  const base = editor.state.plugins.filter((p) => !own(p));
+  const history = base.filter((p) => p.key.startsWith("history$"));
+  editor.view.updateState(editor.state.reconfigure({ plugins: base.filter((p) => !history.includes(p)) }));
+  editor.view.updateState(editor.state.reconfigure({ plugins: [...base, ...plugins] }));
+};
+
+/* ---------------- session ---------------- */
+/*
+ * Joins room on server and keeps editor in step with everyone else in it, reconnecting when
+ * the connection drops. The room starts from editor's document when it is new; otherwise the
+ * editor shows the room's document.
+ * onStatus gets { state: "connecting" | "connected" | "reconnecting" | "error", color?, message? };
+ * onPeers gets the other writers, [{ clientID, name, color }].
+ * Returns { stop }, which leaves the room and removes the session from the editor.
+ */
+export function startCollab(editor, { server, room, name, onStatus, onPeers }) {
+  const clientID = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  let socket = null;
+  let stopped = false;
+  let installed = false; // the collab plugin is on the editor
+  let joined = false; // the server has sent init on this connection
+  let sentVersion = -1;
+  let attempt = 0;
+  let retryTimer = 0;
+  let resyncs = 0; // joins in a row that did not bring this copy in step with the room
+  let presenceTimer = 0;
+  let peers = [];
+
+  const send = (msg) => {
+    if (socket && socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(msg));
+  };
+
+  // unconfirmed steps go out once per version; steps from others bump the version, and then
+  // the rebased steps go out again
+  const sendSteps = () => {
+    if (!joined) return;
+    const sendable = sendableSteps(editor.state);
+    if (!sendable || sendable.version === sentVersion) return;
+    sentVersion = sendable.version;
+    send({ type: "steps", version: sendable.version, steps: sendable.steps.map((s) => s.toJSON()), clientID });
+  };
+
+  const sendPresence = () => {
+    window.clearTimeout(presenceTimer);
+    presenceTimer = window.setTimeout(() => {
+      if (!joined) return;
+      const { anchor, head } = editor.state.selection;
+      send({ type: "presence", anchor, head, version: getVersion(editor.state) });
+    }, PRESENCE_MS);
+  };
+
+  const updateCursors = (fn) => {
+    const cursors = collabCursorsKey.getState(editor.state);
+    if (cursors) editor.view.dispatch(editor.state.tr.setMeta(collabCursorsKey, fn(cursors)).setMeta("addToHistory", false));
+  };
+
+  const join = (fresh) => {
+    joined = false;
+    sentVersion = -1;
+    send({
+      type: "join",
+      name,
+      clientID,
+      doc: editor.getJSON(),
+      schema: COLLAB_SCHEMA,
+      version: installed && !fresh ? getVersion(editor.state) : undefined,
+    });
+  };
+
+  // joins again, from the server's document when fresh, waiting longer each time it does not help
+  const resync = (fresh) => {
+    joined = false;
+    sentVersion = -1;
+    window.clearTimeout(retryTimer);
+    retryTimer = window.setTimeout(() => join(fresh), RECONNECT_MS[Math.min(resyncs, RECONNECT_MS.length - 1)]);
+    resyncs += 1;
+  };
+
+  // false when the steps do not apply to this copy
+  const receive = (steps, clientIDs) => {
+    if (!steps || !steps.length) return true;
+    try {
+      const tr = receiveTransaction(editor.state, steps.map((json) => Step.fromJSON(editor.schema, json)), clientIDs, {
+        mapSelectionBackward: true,
+      });
+      editor.view.dispatch(tr);
+      return true;
+    } catch {
+      return false;
+    }
+  };
+
+  const onInit = (msg) => {
+    if (msg.doc) {
+      setSessionPlugins(editor, []);
+      loadDocument(editor, msg.doc);
+      setSessionPlugins(editor, [collab({ version: msg.version, clientID }), cursorsPlugin()]);
+      installed = true;
+    }
+    joined = true;
+    if (!receive(msg.steps, msg.clientIDs)) {
+      // the room's own steps do not fit its document, so starting over again would not help now
+      if (msg.doc) onStatus({ state: "error", message: "the room has changes this editor cannot apply" });
+      resync(true);
+      return;
+    }
+    if (msg.doc) resyncs = 0;
+    sendSteps();
+    sendPresence();
+    onStatus({ state: "connected", color: msg.color });
+  };
+
+  const onMessage = (event) => {
+    let msg;
+    try { msg = JSON.parse(event.data); } catch { return; }
+    if (msg.type === "init") onInit(msg);
+    else if (msg.type === "error") {
+      onStatus({ state: "error", message: msg.message });
+      // the unconfirmed steps go out again after the rejoin, in case the server turned them down by mistake
+      if (joined) resync(false);
+    } else if (!joined) return;
+    else if (msg.type === "steps") {
+      // this copy no longer matches the room's; start over from the server's document
+      if (!receive(msg.steps, msg.clientIDs)) resync(true);
+    }
+    else if (msg.type === "peers") {
+      peers = (msg.peers || []).filter((p) => p.clientID !== clientID);
+      onPeers(peers);
+      updateCursors((cursors) =>
+        cursors.flatMap((c) => {
+          const peer = peers.find((p) => p.clientID === c.clientID);
+          return peer ? [{ ...c, ...peer }] : [];
+        })
+      );
+    } else if (msg.type === "presence") {
+      const peer = peers.find((p) => p.clientID === msg.clientID);
+      // positions from a version not seen here yet wait for that writer's next update
+      if (!peer || msg.version > getVersion(editor.state)) return;
+      const { doc } = editor.state;
+      const clamp = (n) => Math.max(0, Math.min(Number(n) || 0, doc.content.size));
+      const sel = TextSelection.between(doc.resolve(clamp(msg.anchor)), doc.resolve(clamp(msg.head)));
+      updateCursors((cursors) => [
+        ...cursors.filter((c) => c.clientID !== peer.clientID),
+        { ...peer, anchor: sel.anchor, head: sel.head },
+      ]);
+    } else if (msg.type === "snapshot") {
+      if (!sendableSteps(editor.state)) send({ type: "snapshot", version: getVersion(editor.state), doc: editor.getJSON() });
+    }
+  };
+
+  const onTransaction = ({ transaction }) => {
+    if (!joined) return;
+    if (transaction.docChanged) sendSteps();
+    if (transaction.docChanged || transaction.selectionSet) sendPresence();
+  };
+
+  const connect = () => {
+    onStatus({ state: attempt ? "reconnecting" : "connecting" });
+    let ws;
+    try {
+      ws = new WebSocket(`${server.replace(/\/+$/, "")}/${encodeURIComponent(room)}`);
+    } catch {
+      onStatus({ state: "error", message: "the server address is not valid" });
+      return;
+    }
+    socket = ws;
+    ws.onopen = () => {
+      attempt = 0;
+      join(false);
+    };
+    ws.onmessage = onMessage;
+    ws.onclose = (event) => {
+      if (socket !== ws) return;
+      window.clearTimeout(retryTimer);
+      socket = null;
+      joined = false;
+      onPeers([]);
+      updateCursors(() => []);
+      if (stopped) return;
+      if (event.code === 4000) {
+        onStatus({ state: "error", message: event.reason || "the server turned the room down" });
+        return;
+      }
+      onStatus({ state: "reconnecting" });
+      retryTimer = window.setTimeout(connect, RECONNECT_MS[Math.min(attempt, RECONNECT_MS.length - 1)]);
+      attempt += 1;
+    };
+  };
+
+  if (!isValidServer(server)) {
+    onStatus({ state: "error", message: "the server address must start with ws:// or wss://" });
+  } else if (!isValidRoom(room)) {
+    onStatus({ state: "error", message: "room names use letters, digits, - and _" });
+  } else {
+    editor.on("transaction", onTransaction);
+    connect();
+  }
+
+  return {
+    stop() {
+      stopped = true;
+      window.clearTimeout(retryTimer);
+      window.clearTimeout(presenceTimer);
+      editor.off("transaction", onTransaction);
+      const ws = socket;
+      socket = null;
+      if (ws) ws.close(1000);
+      if (installed && !editor.isDestroyed) setSessionPlugins(editor, []);
+    },
+  };
+}
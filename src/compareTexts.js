@@ -0,0 +1,173 @@
+// src/compareTexts.js
+// Before/after comparison of an original and a rewrite: sentence alignment, a word-level diff,
+// and the numbers, dates and names that did not survive the rewrite.
+import { analyzeBlockText, blockText, isAnalyzedBlock } from "./sentenceAnalysis";
+
+/* ---------------- sentences ---------------- */
+// Every analyzed sentence in a ProseMirror document, headings included, in order.
+export function documentSentences(doc, settings) {
+  const out = [];
+  doc.descendants((node) => {
+    if (!isAnalyzedBlock(node)) return;
+    out.push(...analyzeBlockText(blockText(node), { ...settings, showHardWords: false }).sentences);
+  });
+  return out;
+}
+
+/* ---------------- tokens ---------------- */
+export const normalizeToken = (t) =>
+  t.toLowerCase().replace(/^[^\w$]+|[^\w%]+$/g, "").replace(/^\$/, "").replace(/,(?=\d{3}\b)/g, "");
+
+const tokenize = (text) => (text.match(/\S+/g) || []).map((t) => ({ text: t, norm: normalizeToken(t) }));
+
+const STOP_WORDS = new Set([
+  "a", "an", "the", "and", "or", "but", "of", "to", "in", "on", "for", "at", "by", "with",
+  "is", "are", "was", "were", "be", "been", "it", "this", "that", "as", "you", "we", "your", "our",
+]);
+
+const contentWords = (text) =>
+  new Set(tokenize(text).map((t) => t.norm).filter((w) => w && !STOP_WORDS.has(w)));
+
+// Jaccard similarity of two content-word sets.
+const similarity = (A, B) => {
+  if (!A.size || !B.size) return 0;
+  let shared = 0;
+  A.forEach((w) => { if (B.has(w)) shared++; });
+  return shared / (A.size + B.size - shared);
+};
+
+/* ---------------- sentence alignment ---------------- */
+const MIN_SIMILARITY = 0.15;
+// how far from the diagonal the alignment looks, beyond the difference in length
+const BAND = 25;
+
+// The dynamic-programming alignment behind alignSentences, kept to a band around the diagonal.
+function alignChanged(original, rewrite) {
+  const n = original.length;
+  const m = rewrite.length;
+  const score = Array.from({ length: n + 1 }, () => new Float64Array(m + 1).fill(-Infinity));
+  const move = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(null));
+  const wordsA = original.map((s) => contentWords(s.text));
+  const wordsB = rewrite.map((s) => contentWords(s.text));
+  // each sentence with the next, for splits and merges; built once rather than per cell
+  const pairsA = wordsA.slice(1).map((w, k) => new Set([...wordsA[k], ...w]));
+  const pairsB = wordsB.slice(1).map((w, k) => new Set([...wordsB[k], ...w]));
+  const wordsOf = (single, pairs, from, count) => (count === 1 ? single[from] : pairs[from]);
+  const width = BAND + Math.abs(n - m);
+
+  score[0][0] = 0;
+  for (let i = 0; i <= n; i++) {
+    const center = n ? Math.round((i * m) / n) : 0;
+    for (let j = Math.max(0, center - width); j <= Math.min(m, center + width); j++) {
+      if (i === 0 && j === 0) continue;
+      let best = -Infinity;
+      let bestMove = null;
+      const consider = (value, mv) => { if (value > best) { best = value; bestMove = mv; } };
+
+      if (i > 0) consider(score[i - 1][j], [1, 0, 0]);
+      if (j > 0) consider(score[i][j - 1], [0, 1, 0]);
+      // weight pairs by how many sentences they cover, so splits compete with gaps
+      for (const [di, dj, weight] of [[1, 1, 2], [1, 2, 3], [2, 1, 3]]) {
+        if (i < di || j < dj || score[i - di][j - dj] === -Infinity) continue;
+        const sim = similarity(wordsOf(wordsA, pairsA, i - di, di), wordsOf(wordsB, pairsB, j - dj, dj));
+        if (sim >= MIN_SIMILARITY) consider(score[i - di][j - dj] + weight * sim, [di, dj, sim]);
+      }
+      score[i][j] = best;
+      move[i][j] = bestMove;
+    }
+  }
+
+  const rows = [];
+  let i = n;
+  let j = m;
+  while (i > 0 || j > 0) {
+    const [di, dj, sim] = move[i][j];
+    rows.push({ original: original.slice(i - di, i), rewrite: rewrite.slice(j - dj, j), similarity: sim });
+    i -= di;
+    j -= dj;
+  }
+  return rows.reverse();
+}
+
+/*
+ * Monotonic alignment of two sentence lists. Besides one-to-one pairs it allows one original
+ * sentence to become two rewrite sentences (a split) and two to become one (a merge).
+ * Returns rows of { original: [...], rewrite: [...], similarity }; unmatched sentences get a row
+ * with the other side empty. Unchanged sentences at either end pair up directly, so only the
+ * part being rewritten is aligned.
+ */
+export function alignSentences(original, rewrite) {
+  const n = original.length;
+  const m = rewrite.length;
+  let head = 0;
+  while (head < n && head < m && original[head].text === rewrite[head].text) head++;
+  let tail = 0;
+  while (tail < n - head && tail < m - head && original[n - 1 - tail].text === rewrite[m - 1 - tail].text) tail++;
+  const same = (s, k) => ({ original: [s], rewrite: [rewrite[k]], similarity: 1 });
+  return [
+    ...original.slice(0, head).map((s, k) => same(s, k)),
+    ...alignChanged(original.slice(head, n - tail), rewrite.slice(head, m - tail)),
+    ...original.slice(n - tail).map((s, k) => same(s, m - tail + k)),
+  ];
+}
+
+/* ---------------- meaning-bearing words ---------------- */
+const MONTHS = /^(jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)(uary|ruary|ch|il|e|y|ust|tember|ober|ember)?\.?$/i;
+const WEEKDAYS = /^(mon|tues|wednes|thurs|fri|satur|sun)day$/i;
+
+// "number", "date", "name" or null. First words of sentences are not treated as names.
+export function meaningKind(token, isSentenceStart) {
+  const bare = token.replace(/^[^\w$]+|[^\w%]+$/g, "");
+  if (!bare) return null;
+  if (/\d/.test(bare)) return /^\d{1,2}[/-]\d{1,2}([/-]\d{2,4})?$/.test(bare) ? "date" : "number";
+  if (MONTHS.test(bare) && bare[0] === bare[0].toUpperCase() && bare.toLowerCase() !== "may") return "date";
+  if (WEEKDAYS.test(bare)) return "date";
+  if (/^[A-Z]{2,}s?$/.test(bare)) return "name";
+  if (!isSentenceStart && /^[A-Z][a-z]/.test(bare) && bare !== "I") return "name";
+  return null;
+}
+
+// Meaning-bearing tokens of the original that appear nowhere in the rewrite.
+export function missingDetails(originalSentences, rewriteText) {
+  const present = new Set(tokenize(rewriteText).map((t) => t.norm));
+  const seen = new Set();
+  const missing = [];
+  for (const s of originalSentences) {
+    tokenize(s.text).forEach((t, idx) => {
+      const kind = meaningKind(t.text, idx === 0);
+      if (!kind || !t.norm || present.has(t.norm) || seen.has(t.norm)) return;
+      seen.add(t.norm);
+      missing.push({ text: t.text.replace(/^[^\w$]+|[^\w%]+$/g, ""), norm: t.norm, kind });
+    });
+  }
+  return missing;
+}
+
+/* ---------------- word diff ---------------- */
+/*
+ * Longest-common-subsequence diff over whitespace tokens, compared case- and
+ * punctuation-insensitively. Returns [{ type: "same" | "removed" | "added", text }].
+ */
+export function wordDiff(aText, bText) {
+  const a = tokenize(aText);
+  const b = tokenize(bText);
+  const n = a.length;
+  const m = b.length;
+  const lcs = Array.from({ length: n + 1 }, () => new Uint16Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = a[i].norm === b[j].norm ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const out = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i].norm === b[j].norm) { out.push({ type: "same", text: b[j].text }); i++; j++; }
+    else if (lcs[i + 1][j] >= lcs[i][j + 1]) out.push({ type: "removed", text: a[i++].text });
+    else out.push({ type: "added", text: b[j++].text });
+  }
+  while (i < n) out.push({ type: "removed", text: a[i++].text });
+  while (j < m) out.push({ type: "added", text: b[j++].text });
+  return out;
+}
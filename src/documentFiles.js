@@ -0,0 +1,190 @@
+// src/documentFiles.js
+// Local import and export of .docx, .md, .html and .txt files. Nothing leaves the browser.
+// Imports become HTML that Tiptap parses onto the Heading, BulletList and OrderedList nodes;
+// exports walk the editor JSON.
+import { downloadFile, readFileAsText } from "./fileUtils";
+
+export const IMPORT_ACCEPT = ".docx,.md,.markdown,.html,.htm,.txt";
+
+export const EXPORT_FORMATS = {
+  docx: { label: "Word (.docx)" },
+  md: { label: "Markdown (.md)" },
+  html: { label: "HTML (.html)" },
+  txt: { label: "Plain text (.txt)" },
+};
+
+const extensionOf = (name) => (name.match(/\.([^.]+)$/) || [])[1]?.toLowerCase() || "";
+
+export const isSupportedFile = (file) =>
+  !!file && ["docx", "md", "markdown", "html", "htm", "txt"].includes(extensionOf(file.name));
+
+const escapeHtml = (s) =>
+  s.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+// blank lines separate paragraphs, single newlines become line breaks
+const textToHtml = (text) =>
+  text
+    .replace(/\r\n?/g, "\n")
+    .split(/\n\s*\n/)
+    .map((p) => p.trim())
+    .filter(Boolean)
+    .map((p) => `<p>${escapeHtml(p).replace(/\n/g, "<br>")}</p>`)
+    .join("");
+
+/* ---------------- import ---------------- */
+export async function fileToHtml(file) {
+  const ext = extensionOf(file.name);
+  if (ext === "docx") {
+    const { default: mammoth } = await import("mammoth/mammoth.browser");
+    const { value } = await mammoth.convertToHtml({ arrayBuffer: await file.arrayBuffer() });
+    return value;
+  }
+  const text = await readFileAsText(file);
+  if (ext === "md" || ext === "markdown") {
+    const { marked } = await import("marked");
+    return marked.parse(text);
+  }
+  if (ext === "html" || ext === "htm") {
+    const doc = new DOMParser().parseFromString(text, "text/html");
+    return doc.body ? doc.body.innerHTML : text;
+  }
+  if (ext === "txt") return textToHtml(text);
+  throw new Error(`Unsupported file type “.${ext}”.`);
+}
+
+// Replaces the editor content with the file. The replacement is undoable.
+export async function importIntoEditor(editor, file) {
+  const html = await fileToHtml(file);
+  editor.chain().focus().setContent(html).run();
+}
+
+/* ---------------- export ---------------- */
+const baseName = (name) => (name || "document").replace(/[\\/:*?"<>|]+/g, "").trim() || "document";
+
+const inlineMarkdown = (nodes = []) =>
+  nodes
+    .map((n) => {
+      if (n.type === "hardBreak") return "  \n";
+      let text = (n.text || "").replace(/([\\`*_[\]])/g, "\\$1");
+      for (const mark of n.marks || []) {
+        if (mark.type === "bold") text = `**${text}**`;
+        else if (mark.type === "italic") text = `*${text}*`;
+        else if (mark.type === "strike") text = `~~${text}~~`;
+        else if (mark.type === "code") text = `\`${n.text}\``;
+        else if (mark.type === "link" && mark.attrs?.href) text = `[${text}](${mark.attrs.href})`;
+      }
+      return text;
+    })
+    .join("");
+
+function blockToMarkdown(node, indent = "") {
+  const children = node.content || [];
+  switch (node.type) {
+    case "heading":
+      return `${"#".repeat(node.attrs?.level || 1)} ${inlineMarkdown(children)}`;
+    case "paragraph":
+      return indent + inlineMarkdown(children);
+    case "bulletList":
+    case "orderedList": {
+      const start = node.attrs?.start || 1;
+      return children
+        .map((item, i) => {
+          const marker = node.type === "bulletList" ? "- " : `${start + i}. `;
+          const [first, ...rest] = (item.content || []).map((c) =>
+            blockToMarkdown(c, indent + " ".repeat(marker.length))
+          );
+          return [indent + marker + (first || "").trimStart(), ...rest].join("\n");
+        })
+        .join("\n");
+    }
+    case "blockquote":
+      return children.map((c) => blockToMarkdown(c)).join("\n\n").replace(/^/gm, "> ");
+    case "codeBlock":
+      return "```\n" + children.map((c) => c.text || "").join("") + "\n```";
+    case "horizontalRule":
+      return "---";
+    default:
+      return children.map((c) => blockToMarkdown(c, indent)).join("\n\n");
+  }
+}
+
+export const toMarkdown = (json) =>
+  (json.content || []).map((n) => blockToMarkdown(n)).join("\n\n") + "\n";
+
+const toHtmlDocument = (title, bodyHtml) =>
+  `<!DOCTYPE html>\n<html lang="en">\n<head>\n<meta charset="utf-8">\n<title>${escapeHtml(title)}</title>\n</head>\n<body>\n${bodyHtml}\n</body>\n</html>\n`;
+
+async function toDocxBlob(json) {
+  const { Document, Packer, Paragraph, TextRun, HeadingLevel, LevelFormat, AlignmentType } = await import("docx");
+  const HEADINGS = [
+    HeadingLevel.HEADING_1, HeadingLevel.HEADING_2, HeadingLevel.HEADING_3,
+    HeadingLevel.HEADING_4, HeadingLevel.HEADING_5, HeadingLevel.HEADING_6,
+  ];
+
+  const runs = (nodes = []) =>
+    nodes.map((n) => {
+      if (n.type === "hardBreak") return new TextRun({ text: "", break: 1 });
+      const marks = (n.marks || []).map((m) => m.type);
+      return new TextRun({
+        text: n.text || "",
+        bold: marks.includes("bold"),
+        italics: marks.includes("italic"),
+        strike: marks.includes("strike"),
+      });
+    });
+
+  const paragraphs = [];
+  let numberedLists = 0;
+  const walk = (node, list) => {
+    const children = node.content || [];
+    if (node.type === "heading") {
+      paragraphs.push(new Paragraph({ heading: HEADINGS[(node.attrs?.level || 1) - 1], children: runs(children) }));
+    } else if (node.type === "paragraph") {
+      const options = { children: runs(children) };
+      if (list && list.type === "bullet") options.bullet = { level: list.level };
+      if (list && list.type === "ordered") options.numbering = { reference: "ordered", level: list.level, instance: list.instance };
+      paragraphs.push(new Paragraph(options));
+    } else if (node.type === "bulletList" || node.type === "orderedList") {
+      const level = list ? Math.min(list.level + 1, 8) : 0;
+      const next = node.type === "bulletList"
+        ? { type: "bullet", level }
+        : { type: "ordered", level, instance: ++numberedLists };
+      children.forEach((item) => (item.content || []).forEach((c) => walk(c, next)));
+    } else {
+      children.forEach((c) => walk(c, list));
+    }
+  };
+  walk(json, null);
+
+  const doc = new Document({
+    numbering: {
+      config: [{
+        reference: "ordered",
+        levels: Array.from({ length: 9 }, (_, level) => ({
+          level,
+          format: LevelFormat.DECIMAL,
+          text: `%${level + 1}.`,
+          alignment: AlignmentType.START,
+          style: { paragraph: { indent: { left: 720 * (level + 1), hanging: 360 } } },
+        })),
+      }],
+    },
+    sections: [{ children: paragraphs }],
+  });
+  return Packer.toBlob(doc);
+}
+
+export async function exportEditor(editor, format, name) {
+  const file = baseName(name);
+  if (format === "docx") {
+    downloadFile(`${file}.docx`, await toDocxBlob(editor.getJSON()));
+  } else if (format === "md") {
+    downloadFile(`${file}.md`, toMarkdown(editor.getJSON()), "text/markdown");
+  } else if (format === "html") {
+    downloadFile(`${file}.html`, toHtmlDocument(file, editor.getHTML()), "text/html");
+  } else if (format === "txt") {
+    downloadFile(`${file}.txt`, editor.getText({ blockSeparator: "\n\n" }) + "\n", "text/plain");
+  } else {
+    throw new Error(`Unknown export format “${format}”.`);
+  }
+}
@@ -0,0 +1,150 @@
+// src/draftStore.js
+// Named drafts and their version history, stored in IndexedDB.
+// A draft is { id, name, content (editor JSON), createdAt, updatedAt };
+// a snapshot is { id, draftId, content, savedAt }.
+
+const DB_NAME = "sentence-scratcher";
+const DB_VERSION = 1;
+const DRAFTS = "drafts";
+const SNAPSHOTS = "snapshots";
+
+const LAST_DRAFT_KEY = "ssLastDraft";
+
+// autosave writes the draft every time, but only keeps a snapshot this often
+const SNAPSHOT_INTERVAL_MS = 5 * 60 * 1000;
+const MAX_SNAPSHOTS_PER_DRAFT = 30;
+
+let dbPromise = null;
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not available in this browser."));
+      return;
+    }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(DRAFTS)) {
+        db.createObjectStore(DRAFTS, { keyPath: "id" });
+      }
+      if (!db.objectStoreNames.contains(SNAPSHOTS)) {
+        const store = db.createObjectStore(SNAPSHOTS, { keyPath: "id", autoIncrement: true });
+        store.createIndex("draftId", "draftId");
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  // let a later call retry if opening failed
+  dbPromise.catch(() => { dbPromise = null; });
+  return dbPromise;
+}
+
+const promisify = (req) =>
+  new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+// Runs fn(stores...) in one transaction and resolves once it commits.
+async function withStores(names, mode, fn) {
+  const db = await openDb();
+  const tx = db.transaction(names, mode);
+  const done = new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  const result = await fn(...names.map((n) => tx.objectStore(n)));
+  await done;
+  return result;
+}
+
+const newId = () =>
+  (typeof crypto !== "undefined" && crypto.randomUUID)
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+/* ---------------- drafts ---------------- */
+export async function listDrafts() {
+  const drafts = await withStores([DRAFTS], "readonly", (store) => promisify(store.getAll()));
+  return drafts.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+export function getDraft(id) {
+  return withStores([DRAFTS], "readonly", (store) => promisify(store.get(id)));
+}
+
+export async function createDraft(name, content = null) {
+  const now = Date.now();
+  const draft = { id: newId(), name: name || "Untitled draft", content, createdAt: now, updatedAt: now };
+  await withStores([DRAFTS], "readwrite", (store) => promisify(store.put(draft)));
+  return draft;
+}
+
+// Saves the draft's content, and adds a snapshot if the last one is old enough
+// (or always, with force).
+export async function saveDraft(id, content, { force = false } = {}) {
+  const now = Date.now();
+  return withStores([DRAFTS, SNAPSHOTS], "readwrite", async (drafts, snapshots) => {
+    const draft = await promisify(drafts.get(id));
+    if (!draft) return null;
+    const updated = { ...draft, content, updatedAt: now };
+    await promisify(drafts.put(updated));
+
+    const history = await promisify(snapshots.index("draftId").getAll(id));
+    const latest = history.reduce((acc, s) => (!acc || s.savedAt > acc.savedAt ? s : acc), null);
+    if (force || !latest || now - latest.savedAt >= SNAPSHOT_INTERVAL_MS) {
+      await promisify(snapshots.add({ draftId: id, content, savedAt: now }));
+      const extra = history.length + 1 - MAX_SNAPSHOTS_PER_DRAFT;
+      if (extra > 0) {
+        const oldest = history.sort((a, b) => a.savedAt - b.savedAt).slice(0, extra);
+        await Promise.all(oldest.map((s) => promisify(snapshots.delete(s.id))));
+      }
+    }
+    return updated;
+  });
+}
+
+export async function renameDraft(id, name) {
+  return withStores([DRAFTS], "readwrite", async (store) => {
+    const draft = await promisify(store.get(id));
+    if (!draft) return null;
+    const updated = { ...draft, name, updatedAt: Date.now() };
+    await promisify(store.put(updated));
+    return updated;
+  });
+}
+
+export async function duplicateDraft(id) {
+  const draft = await getDraft(id);
+  if (!draft) return null;
+  return createDraft(`${draft.name} (copy)`, draft.content);
+}
+
+export function deleteDraft(id) {
+  return withStores([DRAFTS, SNAPSHOTS], "readwrite", async (drafts, snapshots) => {
+    const keys = await promisify(snapshots.index("draftId").getAllKeys(id));
+    await Promise.all(keys.map((k) => promisify(snapshots.delete(k))));
+    await promisify(drafts.delete(id));
+  });
+}
+
+/* ---------------- version history ---------------- */
+export async function listSnapshots(draftId) {
+  const history = await withStores([SNAPSHOTS], "readonly", (store) =>
+    promisify(store.index("draftId").getAll(draftId))
+  );
+  return history.sort((a, b) => b.savedAt - a.savedAt);
+}
+
+/* ---------------- last-open draft ---------------- */
+export function getLastDraftId() {
+  try { return localStorage.getItem(LAST_DRAFT_KEY); } catch { return null; }
+}
+
+export function setLastDraftId(id) {
+  try { localStorage.setItem(LAST_DRAFT_KEY, id); } catch {}
+}
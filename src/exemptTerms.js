@@ -0,0 +1,42 @@
+// src/exemptTerms.js
+// Proper nouns and program names that are never hard words and always count as one syllable.
+// Sources share the shape of public/exemptProperNouns.json: { singleWords: [], phrases: [] }.
+import { buildPhraseRegexSource } from "./textPatterns";
+
+export const EMPTY_EXEMPT = { words: new Set(), phraseSource: null };
+
+const normalize = (s) => String(s).toLowerCase().trim().replace(/\s+/g, " ");
+
+export function buildExemptTerms(...sources) {
+  const words = new Set();
+  const phrases = new Set();
+  for (const src of sources) {
+    if (!src || typeof src !== "object") continue;
+    for (const w of src.singleWords || []) {
+      const n = normalize(w);
+      if (!n) continue;
+      // a "single word" with a space in it is really a phrase
+      (n.includes(" ") ? phrases : words).add(n);
+    }
+    for (const p of src.phrases || []) {
+      const n = normalize(p);
+      if (n) phrases.add(n);
+    }
+  }
+  return { words, phraseSource: buildPhraseRegexSource(phrases) };
+}
+
+// [start, end) offsets of exempt phrases in text.
+export function findExemptRanges(text, exempt) {
+  if (!exempt || !exempt.phraseSource) return [];
+  const re = new RegExp(exempt.phraseSource, "gi");
+  const ranges = [];
+  let m;
+  while ((m = re.exec(text)) !== null) ranges.push([m.index, m.index + m[0].length]);
+  return ranges;
+}
+
+export const inRanges = (ranges, at) => ranges.some(([a, b]) => at >= a && at < b);
+
+export const isExemptWord = (word, exempt) =>
+  !!exempt && exempt.words.has(word.toLowerCase().replace(/^[^\w]+|[^\w]+$/g, ""));
@@ -0,0 +1,233 @@
+// src/glossary.js
+// Acronyms and jargon a reader may not know. A term is explained when the sentence where it
+// first appears defines it, "Explanation of Benefits (EOB)", or when the document's
+// "Words to know" section lists it. Only English text is checked.
+// The writer's glossary, kept in localStorage, holds the jargon to look for and plain
+// definitions to insert at first use or collect into a "Words to know" section:
+//   { jargon: ["deductible", ...], definitions: { "EOB": "Explanation of Benefits, ...", "deductible": "..." } }
+// Acronyms are keyed as written, other terms in lowercase.
+import { splitSentences, tokenizeWords } from "./tokenizer";
+import { resolveLanguage } from "./spanishText";
+import { isExemptWord } from "./exemptTerms";
+import { blockText } from "./sentenceAnalysis";
+import { buildPhraseRegexSource, phrasePattern } from "./textPatterns";
+
+const STORAGE_KEY = "ssGlossary";
+
+export const GLOSSARY_HEADING = "Words to know";
+
+// Legal and insurance terms that need a short explanation the first time they appear.
+export const DEFAULT_JARGON = [
+  "actuarial", "adjudication", "affidavit", "amortization", "annuity", "arbitration", "beneficiary",
+  "coinsurance", "coordination of benefits", "copayment", "deductible", "escrow", "exclusion",
+  "explanation of benefits", "fiduciary", "formulary", "garnishment", "grievance", "indemnification",
+  "indemnify", "jurisdiction", "liability", "lien", "out-of-pocket maximum", "power of attorney",
+  "pre-existing condition", "premium", "prior authorization", "probate", "remittance", "rider",
+  "rollover", "statute of limitations", "subrogation", "underwriting", "vesting", "waiver",
+];
+
+export const EMPTY_GLOSSARY = { jargon: DEFAULT_JARGON, definitions: {} };
+
+// All-caps words readers know without a definition.
+const COMMON_ACRONYMS = new Set([
+  "OK", "US", "USA", "TV", "AM", "PM", "ID", "PIN", "FAQ", "PDF", "ZIP", "ATM", "ASAP", "DVD", "CEO",
+  "IRS", "ET", "CT", "MT", "PT", "AI", "URL", "PO", "PS",
+]);
+const ACRONYM = /^[A-Z][A-Z0-9&]*[A-Z0-9](s?)$/;
+const ROMAN_NUMERAL = /^[IVXLCDM]+$/;
+
+// A term counts as explained when its sentence defines it: "Health Savings Account (HSA)",
+// "HSA (a savings account…)", "a deductible is the amount…", "…, called subrogation".
+const DEFINED_BEFORE = "(?:\\(\\s*|\\b(?:called|known as|named)\\s+)";
+const DEFINED_AFTER =
+  "(?:\\s*\\(|\\s*:|\\s+[-–—]\\s|,\\s*(?:or|which|meaning|that is)\\b|\\s+(?:means|is when|is what|refers to|stands for|is short for|is a|is an|is the)\\b)";
+
+const normalizeTerm = (s) => String(s).trim().replace(/\s+/g, " ");
+
+// The glossary key for a term as written: "EOBs" -> "EOB", "Deductible" -> "deductible".
+export function termKey(term) {
+  const t = normalizeTerm(term);
+  const m = ACRONYM.exec(t);
+  if (m) return m[1] ? t.slice(0, -1) : t;
+  return t.toLowerCase();
+}
+
+const termPattern = (key) => `${ACRONYM.test(key) ? key : phrasePattern(key)}s?`;
+
+export const isDefinedIn = (sentence, key) => {
+  const pattern = termPattern(key);
+  const flags = ACRONYM.test(key) ? "" : "i";
+  return new RegExp(`${DEFINED_BEFORE}${pattern}\\b|\\b${pattern}${DEFINED_AFTER}`, flags).test(sentence);
+};
+
+/* ---------------- stored glossary ---------------- */
+// Accepts anything parsed from JSON and returns a clean glossary; no jargon list means the defaults.
+export function normalizeGlossary(raw) {
+  if (!raw || typeof raw !== "object") return EMPTY_GLOSSARY;
+  const jargon = Array.isArray(raw.jargon)
+    ? [...new Set(raw.jargon.map((t) => normalizeTerm(t).toLowerCase()).filter(Boolean))].sort()
+    : DEFAULT_JARGON;
+  const definitions = {};
+  const defs = raw.definitions && typeof raw.definitions === "object" ? raw.definitions : {};
+  for (const [term, text] of Object.entries(defs)) {
+    const key = termKey(term);
+    const definition = normalizeTerm(text ?? "");
+    if (key && definition) definitions[key] = definition;
+  }
+  return { jargon, definitions };
+}
+
+export function loadGlossary() {
+  try {
+    return normalizeGlossary(JSON.parse(localStorage.getItem(STORAGE_KEY) || "null"));
+  } catch {
+    return EMPTY_GLOSSARY;
+  }
+}
+
+export function saveGlossary(glossary) {
+  try { localStorage.setItem(STORAGE_KEY, JSON.stringify(glossary)); } catch {}
+}
+
+/* ---------------- finding terms ---------------- */
+// What termsInBlock() looks for: { jargon, jargonSource, exempt, language }. Jargon matches
+// its plural too.
+export function termSettings(jargon, { exempt, language = "auto" } = {}) {
+  const source = buildPhraseRegexSource(jargon);
+  return { jargon: new Set(jargon), jargonSource: source && source.replace(/\\b$/, "s?\\b"), exempt, language };
+}
+
+const isGlossaryHeading = (node) =>
+  node.type.name === "heading" && node.textContent.trim().toLowerCase() === GLOSSARY_HEADING.toLowerCase();
+
+/*
+ * The text blocks of a ProseMirror document in order: [{ node, pos, heading, list, glossary }].
+ * list is true inside a bulleted or numbered list; glossary is true inside the "Words to know"
+ * section, which runs to the next heading of the same or a higher level.
+ */
+export function documentBlocks(doc) {
+  const blocks = [];
+  let glossaryLevel = 0;
+  doc.descendants((node, pos, parent) => {
+    if (!node.isTextblock) return true;
+    const heading = node.type.name === "heading";
+    if (heading && glossaryLevel && node.attrs.level <= glossaryLevel) glossaryLevel = 0;
+    if (isGlossaryHeading(node)) glossaryLevel = node.attrs.level;
+    blocks.push({ node, pos, heading, list: parent.type.name === "listItem", glossary: !!glossaryLevel });
+    return false;
+  });
+  return blocks;
+}
+
+/*
+ * The acronyms and jargon in text, one block: [{ key, start, end, sentence, defined }], offsets
+ * relative to text; defined is true when sentence explains the term. Nothing for Spanish text.
+ */
+export function termsInBlock(text, { jargon, jargonSource, exempt, language }) {
+  const found = [];
+  if (!text.trim() || resolveLanguage(text, language) !== "en") return found;
+  for (const sentence of splitSentences(text)) {
+    const uses = [];
+    const words = tokenizeWords(sentence.text).filter((t) => t.kind === "word");
+    // a sentence in capitals is shouting, not a row of acronyms
+    const shouting = words.length >= 3 && words.every((t) => t.text === t.text.toUpperCase());
+    if (!shouting) {
+      for (const w of words) {
+        if (!ACRONYM.test(w.text)) continue;
+        const key = termKey(w.text);
+        if (COMMON_ACRONYMS.has(key) || ROMAN_NUMERAL.test(key) || isExemptWord(key, exempt)) continue;
+        uses.push({ key, start: w.start, end: w.end });
+      }
+    }
+    if (jargonSource) {
+      const re = new RegExp(jargonSource, "gi");
+      let m;
+      while ((m = re.exec(sentence.text)) !== null) {
+        const term = termKey(m[0]);
+        const key = jargon.has(term) ? term : term.replace(/s$/, "");
+        if (!isExemptWord(key, exempt)) uses.push({ key, start: m.index, end: m.index + m[0].length });
+      }
+    }
+    for (const use of uses.sort((a, b) => a.start - b.start)) {
+      found.push({
+        key: use.key,
+        start: sentence.start + use.start,
+        end: sentence.start + use.end,
+        sentence: sentence.text,
+        defined: isDefinedIn(sentence.text, use.key),
+      });
+    }
+  }
+  return found;
+}
+
+/*
+ * Each term's first use outside headings and the "Words to know" section, in document order:
+ *   [{ key, block, start, end, sentence, defined, listed }]
+ * block indexes blocks; listed is true when the "Words to know" section mentions the term.
+ * termsOf(block) returns termsInBlock() for the block's text; callers may cache it by node.
+ */
+export function firstTermUses(blocks, termsOf) {
+  const first = new Map();
+  const listed = new Set();
+  blocks.forEach((block, i) => {
+    for (const use of termsOf(block)) {
+      if (block.glossary) listed.add(use.key);
+      else if (!block.heading && !first.has(use.key)) first.set(use.key, { ...use, block: i });
+    }
+  });
+  return [...first.values()].map((use) => ({ ...use, listed: listed.has(use.key) }));
+}
+
+export const isExplained = (use) => use.defined || use.listed;
+
+// A termsOf for firstTermUses() on documentBlocks(), remembering each block's terms until it changes.
+export function cachedTermsOf(settings) {
+  const cache = new WeakMap();
+  return (block) => {
+    if (!cache.has(block.node)) cache.set(block.node, termsInBlock(blockText(block.node), settings));
+    return cache.get(block.node);
+  };
+}
+
+// firstTermUses() for a ProseMirror document, with document positions: each use also has { from, to }.
+export function documentTermUses(doc, termsOf) {
+  const blocks = documentBlocks(doc);
+  return firstTermUses(blocks, termsOf).map((use) => {
+    const from = blocks[use.block].pos + 1 + use.start;
+    return { ...use, from, to: from + use.end - use.start };
+  });
+}
+
+/* ---------------- editing ---------------- */
+// Replaces the document's "Words to know" section, or appends one, listing entries
+// [{ term, definition }] as "term: definition".
+export function writeGlossarySection(editor, entries) {
+  const { state } = editor;
+  const { schema } = state;
+  const item = ({ term, definition }) =>
+    schema.nodes.listItem.create(null, schema.nodes.paragraph.create(null, [
+      schema.text(term, [schema.marks.bold.create()]),
+      schema.text(`: ${definition}`),
+    ]));
+  const section = [
+    schema.nodes.heading.create({ level: 2 }, schema.text(GLOSSARY_HEADING)),
+    schema.nodes.bulletList.create(null, entries.map(item)),
+  ];
+
+  let from = state.doc.content.size;
+  let to = from;
+  let level = 0;
+  state.doc.forEach((node, offset) => {
+    if (level && node.type.name === "heading" && node.attrs.level <= level) {
+      to = offset;
+      level = -1;
+    }
+    if (!level && isGlossaryHeading(node)) {
+      from = offset;
+      to = state.doc.content.size;
+      level = node.attrs.level;
+    }
+  });
+  editor.view.dispatch(state.tr.replaceWith(from, to, section).scrollIntoView());
+}
@@ -0,0 +1,315 @@
+// src/highlightExtension.js
+// The DynamicHighlights editor extension: sentence colors, hard-word underlines and unexplained
+// terms as decorations.
+// Settings live at module scope so every editor on the page (main and compare) shares them.
+import StarterKit from "@tiptap/starter-kit";
+import Placeholder from "@tiptap/extension-placeholder";
+import Heading from "@tiptap/extension-heading";
+import BulletList from "@tiptap/extension-bullet-list";
+import OrderedList from "@tiptap/extension-ordered-list";
+import ListItem from "@tiptap/extension-list-item";
+import { Extension } from "@tiptap/core";
+import { Plugin, PluginKey } from "prosemirror-state";
+import { Decoration, DecorationSet } from "prosemirror-view";
+
+import { DEFAULT_FORMULA, DEFAULT_SPANISH_FORMULA } from "./readabilityUtils";
+import { SPANISH_WORD_MAP } from "./spanishWordMap";
+import { SIMPLE_WORD_MAP } from "./simpleWordMap";
+import { EMPTY_EXEMPT } from "./exemptTerms";
+import { adjacentIssue, collectIssues, issueKey } from "./issues";
+import { cachedTermsOf, documentTermUses, isExplained } from "./glossary";
+import { Deletion, Insertion, Review } from "./reviewExtension";
+import {
+  analyzeBlockText,
+  blockText,
+  isAnalyzedBlock,
+  tooltipMessage,
+  smartCase,
+  phraseNote,
+  phraseTip,
+  hardWordNote,
+  hardWordTip,
+  termNote,
+  termTip,
+} from "./sentenceAnalysis";
+
+/* ---------------- live settings stored at module scope ---------------- */
+let CURRENT_TARGET_GRADE = 6;
+let CURRENT_THRESHOLDS = {};
+let CURRENT_FORMULA = DEFAULT_FORMULA;
+let CURRENT_SHOW_HARD = true;
+let CURRENT_EASY_SET = new Set();
+let CURRENT_WORD_MAP = SIMPLE_WORD_MAP;
+let CURRENT_CUSTOM_HARD = new Set();
+let CURRENT_EXEMPT = EMPTY_EXEMPT;
+let CURRENT_RULES = [];
+let CURRENT_LANGUAGE = "auto";
+let CURRENT_SPANISH = { easySet: new Set(), wordMap: SPANISH_WORD_MAP, formula: DEFAULT_SPANISH_FORMULA };
+let CURRENT_DISMISSED = new Set();
+let CURRENT_TERMS = null; // termSettings() from glossary.js, or null to skip the term check
+let CURRENT_DEFINITIONS = {};
+
+// Called by TiptapEditor whenever a setting changes; follow with requestRecompute(editor).
+export function setHighlightSettings(patch) {
+  if ("targetGrade" in patch) CURRENT_TARGET_GRADE = patch.targetGrade;
+  if ("thresholds" in patch) CURRENT_THRESHOLDS = patch.thresholds;
+  if ("formula" in patch) CURRENT_FORMULA = patch.formula;
+  if ("showHardWords" in patch) CURRENT_SHOW_HARD = patch.showHardWords;
+  if ("easySet" in patch) CURRENT_EASY_SET = patch.easySet;
+  if ("wordMap" in patch) CURRENT_WORD_MAP = patch.wordMap;
+  if ("customHard" in patch) CURRENT_CUSTOM_HARD = patch.customHard;
+  if ("exempt" in patch) CURRENT_EXEMPT = patch.exempt;
+  if ("rules" in patch) CURRENT_RULES = patch.rules;
+  if ("language" in patch) CURRENT_LANGUAGE = patch.language;
+  if ("spanish" in patch) CURRENT_SPANISH = patch.spanish;
+  if ("dismissed" in patch) CURRENT_DISMISSED = patch.dismissed;
+  if ("terms" in patch) CURRENT_TERMS = patch.terms;
+  if ("definitions" in patch) CURRENT_DEFINITIONS = patch.definitions;
+}
+
+// Shown before each colored sentence so the level does not depend on color alone.
+export const SENTENCE_BADGES = { red: "‼", yellow: "!", blue: "…" };
+
+const sentenceBadge = (color) => () => {
+  const el = document.createElement("span");
+  el.className = `sentence-badge sentence-badge-${color}`;
+  el.textContent = SENTENCE_BADGES[color];
+  el.setAttribute("aria-hidden", "true");
+  el.setAttribute("data-tip", tooltipMessage(color));
+  return el;
+};
+
+const HARD_WORD_STYLE =
+  "text-decoration-line: underline; text-decoration-style: dotted; text-decoration-color: #7c3aed; text-decoration-thickness: 2px; cursor: pointer;";
+
+// Ranges of the final document written by each step of a transaction.
+const changedRanges = (tr) => {
+  const ranges = [];
+  tr.mapping.maps.forEach((stepMap, i) => {
+    const after = tr.mapping.slice(i + 1);
+    stepMap.forEach((_oldStart, _oldEnd, newStart, newEnd) => {
+      ranges.push([after.map(newStart, -1), after.map(newEnd, 1)]);
+    });
+  });
+  return ranges;
+};
+
+/* ---------------- dynamic highlight extension ---------------- */
+export const decoKey = new PluginKey("sentenceHighlights");
+
+export const DynamicHighlights = Extension.create({
+  name: "dynamicHighlights",
+  addOptions() {
+    return {
+      getTargetGrade: () => CURRENT_TARGET_GRADE,
+      getThresholds: () => CURRENT_THRESHOLDS,
+      getFormula: () => CURRENT_FORMULA,
+      getShowHardWords: () => CURRENT_SHOW_HARD,
+      getEasySet: () => CURRENT_EASY_SET,
+      getWordMap: () => CURRENT_WORD_MAP,
+      getCustomHardSet: () => CURRENT_CUSTOM_HARD,
+      getExempt: () => CURRENT_EXEMPT,
+      getRules: () => CURRENT_RULES,
+      getLanguage: () => CURRENT_LANGUAGE,
+      getSpanish: () => CURRENT_SPANISH,
+      getDismissed: () => CURRENT_DISMISSED,
+      getTerms: () => CURRENT_TERMS,
+      getDefinitions: () => CURRENT_DEFINITIONS,
+    };
+  },
+  addKeyboardShortcuts() {
+    return {
+      F8: () => goToIssue(this.editor, 1),
+      "Shift-F8": () => goToIssue(this.editor, -1),
+    };
+  },
+  addProseMirrorPlugins() {
+    const { getTargetGrade, getThresholds, getFormula, getShowHardWords, getEasySet, getWordMap, getCustomHardSet, getExempt, getRules, getLanguage, getSpanish, getDismissed, getTerms, getDefinitions } = this.options;
+
+    const currentSettings = () => ({
+      targetGrade: getTargetGrade(),
+      thresholds: getThresholds(),
+      formula: getFormula(),
+      showHardWords: getShowHardWords(),
+      easySet: getEasySet(),
+      wordMap: getWordMap(),
+      customHard: getCustomHardSet(),
+      exempt: getExempt(),
+      rules: getRules(),
+      language: getLanguage(),
+      spanish: getSpanish(),
+    });
+
+    // Decorations for one analyzed block starting at document position pos.
+    // Issues dismissed in the issues list are left out.
+    const blockDecorations = (node, pos, settings) => {
+      const decos = [];
+      const blockFrom = pos + 1;
+      const dismissed = getDismissed();
+      const { sentences, flags } = analyzeBlockText(blockText(node), settings);
+
+      for (const { start, end, text, color } of sentences) {
+        if (!color) continue;
+        const issue = issueKey(color, text);
+        if (dismissed.has(issue)) continue;
+        decos.push(
+          Decoration.widget(blockFrom + start, sentenceBadge(color), { side: -1, key: `badge-${color}`, ignoreSelection: true }),
+          Decoration.inline(blockFrom + start, blockFrom + end, {
+            nodeName: "mark",
+            "data-highlight-color": color,
+            "data-tip": tooltipMessage(color),
+          }, { color, issue, note: tooltipMessage(color) })
+        );
+      }
+
+      for (const flag of flags) {
+        const sentence = sentences.find((s) => s.start <= flag.start && flag.start < s.end);
+        const issue = issueKey(flag.kind === "rule" ? flag.rule : flag.kind, flag.text, sentence ? sentence.text : "");
+        if (dismissed.has(issue)) continue;
+        if (flag.kind === "rule") {
+          const tip = flag.suggestions.length ? `${flag.message} Click for options.` : flag.message;
+          decos.push(
+            Decoration.inline(blockFrom + flag.start, blockFrom + flag.end, { "data-style-rule": flag.rule, "data-tip": tip }, {
+              rule: flag.rule,
+              message: flag.message,
+              suggestions: flag.suggestions,
+              issue,
+              note: flag.message,
+            })
+          );
+          continue;
+        }
+        const cased = flag.suggestions.map((sug) => smartCase(flag.text, sug));
+        const attrs = flag.kind === "phrase"
+          ? { "data-hard-phrase": "1", "data-tip": phraseTip(cased) }
+          : { "data-hard-word": "1", "data-tip": hardWordTip(cased), style: HARD_WORD_STYLE };
+        decos.push(
+          Decoration.inline(blockFrom + flag.start, blockFrom + flag.end, attrs, {
+            hardWord: flag.key,
+            kind: flag.kind,
+            suggestions: flag.suggestions,
+            issue,
+            note: flag.kind === "phrase" ? phraseNote(cased) : hardWordNote(cased),
+          })
+        );
+      }
+      return decos;
+    };
+
+    // Unexplained acronyms and jargon depend on where each term first appears, so they are found
+    // again for the whole document on every change; unchanged blocks come from the cache.
+    let termsFor = null;
+    let termsOf = null;
+    const termDecorations = (doc) => {
+      const terms = getTerms();
+      if (!terms || !getShowHardWords()) return [];
+      if (terms !== termsFor) {
+        termsFor = terms;
+        termsOf = cachedTermsOf(terms);
+      }
+      const dismissed = getDismissed();
+      const definitions = getDefinitions();
+      const decos = [];
+      for (const use of documentTermUses(doc, termsOf)) {
+        if (isExplained(use)) continue;
+        const text = doc.textBetween(use.from, use.to, " ");
+        const issue = issueKey("term", text, use.sentence);
+        if (dismissed.has(issue)) continue;
+        const definition = definitions[use.key];
+        decos.push(
+          Decoration.inline(use.from, use.to, { "data-term": use.key, "data-tip": termTip(text, !!definition) }, {
+            term: use.key,
+            kind: "term",
+            suggestions: definition ? [`${text} (${definition})`] : [],
+            issue,
+            note: termNote(text),
+          })
+        );
+      }
+      return decos;
+    };
+
+    const buildDecorations = (doc) => {
+      const settings = currentSettings();
+      const decos = [];
+      doc.descendants((node, pos) => {
+        if (!isAnalyzedBlock(node)) return;
+        decos.push(...blockDecorations(node, pos, settings));
+        return false;
+      });
+      decos.push(...termDecorations(doc));
+      return DecorationSet.create(doc, decos);
+    };
+
+    // Map the previous decorations through the transaction and re-analyze only the blocks it touched.
+    const updateDecorations = (tr, old, doc) => {
+      const settings = currentSettings();
+      const touched = new Map();
+      for (const [from, to] of changedRanges(tr)) {
+        doc.nodesBetween(Math.max(0, from - 1), Math.min(doc.content.size, to + 1), (node, pos) => {
+          if (!isAnalyzedBlock(node)) return;
+          touched.set(pos, node);
+          return false;
+        });
+      }
+      let decos = old.map(tr.mapping, doc);
+      touched.forEach((node, pos) => {
+        decos = decos
+          .remove(decos.find(pos + 1, pos + node.nodeSize - 1))
+          .add(doc, blockDecorations(node, pos, settings));
+      });
+      return decos.remove(decos.find(undefined, undefined, (spec) => !!spec.term)).add(doc, termDecorations(doc));
+    };
+
+    return [
+      new Plugin({
+        key: decoKey,
+        state: {
+          init: (_, state) => buildDecorations(state.doc),
+          apply: (tr, old, _oldState, newState) => {
+            const meta = tr.getMeta(decoKey);
+            if (meta === "recompute" || (meta && typeof meta === "object" && "recompute" in meta)) {
+              return buildDecorations(newState.doc);
+            }
+            if (tr.docChanged) return updateDecorations(tr, old, newState.doc);
+            return old;
+          },
+        },
+        props: {
+          decorations(state) {
+            return decoKey.getState(state);
+          },
+        },
+      }),
+    ];
+  },
+});
+
+export const requestRecompute = (editor) => {
+  if (!editor || editor.isDestroyed) return;
+  editor.view.dispatch(editor.state.tr.setMeta(decoKey, { recompute: Date.now() }));
+};
+
+// Selects the next (dir 1) or previous (dir -1) issue and scrolls to it; F8 and Shift-F8.
+export const goToIssue = (editor, dir) => {
+  if (!editor || editor.isDestroyed) return false;
+  const { state } = editor;
+  const issue = adjacentIssue(collectIssues(state.doc, decoKey.getState(state)), state.selection, dir);
+  if (!issue) return false;
+  editor.chain().focus().setTextSelection({ from: issue.from, to: issue.to }).scrollIntoView().run();
+  return true;
+};
+
+// The extension list every analysis editor uses.
+export const editorExtensions = (placeholder = "Start typing, or paste your text here") => [
+  StarterKit.configure({ heading: false, bulletList: false, orderedList: false, listItem: false }),
+  Heading.configure({ levels: [1, 2, 3, 4, 5, 6] }),
+  BulletList,
+  OrderedList,
+  ListItem,
+  Placeholder.configure({ placeholder, includeChildren: true }),
+  Insertion,
+  Deletion,
+  Review,
+  DynamicHighlights,
+];
@@ -0,0 +1,88 @@
+// src/issues.js
+// The issues list: every colored sentence, hard word, wordy phrase, unexplained term and style
+// finding in the highlight decorations, in document order and grouped by heading.
+import { ruleLabel } from "./styleRules";
+
+// Identifies an issue by what it is and the words involved, so a dismissed issue
+// comes back as soon as its text changes.
+export const issueKey = (kind, text, sentenceText = "") =>
+  `${kind}\u0000${text.replace(/\s+/g, " ").trim()}\u0000${sentenceText.replace(/\s+/g, " ").trim()}`;
+
+export const ISSUE_LABELS = {
+  red: "Much harder",
+  yellow: "A bit harder",
+  blue: "Long sentence",
+  word: "Hard word",
+  phrase: "Wordy phrase",
+  term: "Unexplained term",
+};
+
+export const issueLabel = (issue) => (issue.type === "rule" ? ruleLabel(issue.rule) : ISSUE_LABELS[issue.type]);
+
+// sentences before the words inside them
+const TYPE_ORDER = { red: 0, yellow: 0, blue: 0, phrase: 1, rule: 1, word: 2, term: 2 };
+
+const typeOf = (spec) => spec.color || (spec.rule ? "rule" : spec.kind);
+
+/*
+ * Issues in decorations (the highlight DecorationSet of doc), grouped by the heading above them:
+ *   [{ heading, pos, issues: [{ from, to, key, type, rule?, text }] }]
+ * pos is the heading's position, -1 for issues before the first heading.
+ */
+export function collectIssues(doc, decorations) {
+  if (!decorations) return [];
+  const headings = [];
+  doc.descendants((node, pos) => {
+    if (node.type.name !== "heading") return;
+    headings.push({ heading: node.textContent.trim() || "(Untitled heading)", pos, issues: [] });
+    return false;
+  });
+  const groups = [{ heading: "Start of document", pos: -1, issues: [] }, ...headings];
+
+  const issues = decorations
+    .find(undefined, undefined, (spec) => !!spec.issue)
+    .map((d) => ({
+      from: d.from,
+      to: d.to,
+      key: d.spec.issue,
+      type: typeOf(d.spec),
+      rule: d.spec.rule,
+      text: doc.textBetween(d.from, d.to, " "),
+    }))
+    .sort((a, b) => a.from - b.from || TYPE_ORDER[a.type] - TYPE_ORDER[b.type] || b.to - a.to);
+
+  let g = 0;
+  for (const issue of issues) {
+    while (g + 1 < groups.length && groups[g + 1].pos < issue.from) g++;
+    groups[g].issues.push(issue);
+  }
+  return groups.filter((group) => group.issues.length);
+}
+
+// Issue counts by type: { red, yellow, blue, word, phrase, rule, term }.
+export function countIssues(groups) {
+  const counts = { red: 0, yellow: 0, blue: 0, word: 0, phrase: 0, rule: 0, term: 0 };
+  for (const group of groups) for (const issue of group.issues) counts[issue.type]++;
+  return counts;
+}
+
+// The issue after (dir 1) or before (dir -1) the selection, wrapping around the document.
+export function adjacentIssue(groups, { from, to }, dir) {
+  const issues = groups.flatMap((group) => group.issues);
+  if (!issues.length) return null;
+  const at = issues.findIndex((i) => i.from === from && i.to === to);
+  if (at !== -1) return issues[(at + dir + issues.length) % issues.length];
+  if (dir > 0) return issues.find((i) => i.from > from) || issues[0];
+  return [...issues].reverse().find((i) => i.from < from) || issues[issues.length - 1];
+}
+
+// What the highlights say about the text at pos, the sentence first, as one line.
+// Screen readers hear it through the cursor feedback region; Alt+/ shows it as a tooltip.
+export function feedbackAt(decorations, pos) {
+  if (!decorations) return "";
+  return decorations
+    .find(pos, pos, (spec) => !!spec.note)
+    .sort((a, b) => a.from - b.from || b.to - a.to)
+    .map((d) => d.spec.note)
+    .join(" ");
+}
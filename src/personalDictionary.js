@@ -0,0 +1,69 @@
+// src/personalDictionary.js
+// The user's own "always easy" words and hard -> plain mappings, kept in localStorage.
+// Shape: { easyWords: ["copay", ...], wordMap: { "deductible": ["amount you pay first"] } }
+
+const STORAGE_KEY = "ssPersonalDictionary";
+const LEGACY_IGNORED_KEY = "ssIgnoredWords";
+
+export const EMPTY_DICTIONARY = { easyWords: [], wordMap: {} };
+
+const normalizeKey = (s) => String(s).toLowerCase().trim().replace(/\s+/g, " ");
+
+// Accepts anything parsed from JSON and returns a clean dictionary.
+export function normalizeDictionary(raw) {
+  if (!raw || typeof raw !== "object") return EMPTY_DICTIONARY;
+  const easyWords = [...new Set((Array.isArray(raw.easyWords) ? raw.easyWords : [])
+    .map(normalizeKey)
+    .filter(Boolean))].sort();
+
+  // no prototype, so an imported "__proto__" is an entry like any other
+  const wordMap = Object.create(null);
+  const map = raw.wordMap && typeof raw.wordMap === "object" ? raw.wordMap : {};
+  for (const [hard, plain] of Object.entries(map)) {
+    const key = normalizeKey(hard);
+    const options = (Array.isArray(plain) ? plain : [plain])
+      .map((p) => String(p ?? "").trim())
+      .filter(Boolean);
+    if (key && options.length) wordMap[key] = options;
+  }
+  return { easyWords, wordMap };
+}
+
+export function loadDictionary() {
+  try {
+    const dict = normalizeDictionary(JSON.parse(localStorage.getItem(STORAGE_KEY) || "null"));
+    // words ignored from the hard-word popover before the dictionary existed; saveDictionary drops them
+    const legacy = JSON.parse(localStorage.getItem(LEGACY_IGNORED_KEY) || "[]");
+    return Array.isArray(legacy) && legacy.length ? mergeDictionaries(dict, { easyWords: legacy }) : dict;
+  } catch {
+    return EMPTY_DICTIONARY;
+  }
+}
+
+// Also retires the legacy ignored words, which loadDictionary has merged into dict by now.
+export function saveDictionary(dict) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(dict));
+    localStorage.removeItem(LEGACY_IGNORED_KEY);
+  } catch {}
+}
+
+// Imported entries win over existing mappings for the same hard word.
+export function mergeDictionaries(base, extra) {
+  const a = normalizeDictionary(base);
+  const b = normalizeDictionary(extra);
+  return normalizeDictionary({
+    easyWords: [...a.easyWords, ...b.easyWords],
+    wordMap: { ...a.wordMap, ...b.wordMap },
+  });
+}
+
+export function parseDictionaryJson(text) {
+  const raw = JSON.parse(text);
+  if (!raw || typeof raw !== "object" || (!raw.easyWords && !raw.wordMap)) {
+    throw new Error("Expected an object with \"easyWords\" and/or \"wordMap\".");
+  }
+  return normalizeDictionary(raw);
+}
+
+export const dictionaryToJson = (dict) => JSON.stringify(normalizeDictionary(dict), null, 2);
@@ -0,0 +1,174 @@
+// src/plainLanguageChecklist.js
+// The plain-language checklist from the help panel, measured against a document: "you" and
+// "we", sentences under 20 words, lists for runs of items, and acronyms and jargon that are
+// explained where they first appear (see glossary.js).
+//   blocks: [{ text, list, glossary }]   list is true for text in a bulleted or numbered list,
+//                                        glossary for text in the "Words to know" section
+// Each item: { id, label, status: "pass" | "needs-work" | "n/a", summary, details: [string] }
+// "you"/"we" and terms are checked in English text only; Spanish text counts for sentence length.
+import { splitSentences, tokenizeWords } from "./tokenizer";
+import { resolveLanguage } from "./spanishText";
+import { inlineList } from "./sentenceSplits";
+import { blockText } from "./sentenceAnalysis";
+import { DEFAULT_JARGON, documentBlocks as textBlocks, firstTermUses, isExplained, termSettings, termsInBlock } from "./glossary";
+
+export const MAX_SENTENCE_WORDS = 20;
+// passes when at least this share of sentences is under MAX_SENTENCE_WORDS
+const SHORT_SENTENCE_SHARE = 0.8;
+// passes when "you" and "we" words are at least this share of all words, about one in 50
+const DIRECT_WORD_SHARE = 0.02;
+const MAX_DETAILS = 5;
+const SERIES_ITEM_WORDS = 4;
+
+const YOU_WE = new Set(["you", "your", "yours", "yourself", "yourselves", "we", "us", "our", "ours", "ourselves"]);
+const OTHER_PRONOUNS = new Set([
+  "i", "me", "my", "mine", "myself", "he", "him", "his", "himself", "she", "her", "hers", "herself",
+  "they", "them", "their", "theirs", "themselves",
+]);
+
+// Words that start a clause, so "…, and we will call" joins sentences rather than items.
+const CLAUSE_WORDS = new Set(["i", "you", "we", "they", "he", "she", "it", "this", "that", "there"]);
+
+const firstWord = (text) => ((tokenizeWords(text)[0] || { text: "" }).text || "").toLowerCase();
+
+// Three or more items run together, "a, b, and c": what the split panel would make a list of,
+// or a plain series of short items.
+function runsItemsTogether(sentence) {
+  if (inlineList(sentence)) return true;
+  const body = sentence.replace(/[.!?]+["”’)]*$/, "");
+  const re = /,?\s+(?:and|or)\s+/gi;
+  let last = null;
+  let m;
+  while ((m = re.exec(body)) !== null) {
+    if (!body.slice(m.index + m[0].length).includes(",")) {
+      last = m;
+      break;
+    }
+  }
+  if (!last) return false;
+  const items = body.slice(0, last.index).split(/,\s*/).slice(1);
+  const final = body.slice(last.index + last[0].length);
+  const isItem = (item) => {
+    const n = tokenizeWords(item).length;
+    return n > 0 && n <= SERIES_ITEM_WORDS && !CLAUSE_WORDS.has(firstWord(item));
+  };
+  return items.length > 0 && items.every(isItem) && !CLAUSE_WORDS.has(firstWord(final));
+}
+
+const excerpt = (text, max = 70) => (text.length > max ? `${text.slice(0, max - 1).trimEnd()}…` : text);
+
+const percent = (part, whole) => `${Math.round((100 * part) / whole)}%`;
+
+const capped = (lines) =>
+  lines.length > MAX_DETAILS ? [...lines.slice(0, MAX_DETAILS), `and ${lines.length - MAX_DETAILS} more`] : lines;
+
+// The checklist's blocks for a ProseMirror document; headings are left out.
+export const documentBlocks = (doc) =>
+  textBlocks(doc)
+    .filter((block) => !block.heading)
+    .map(({ node, list, glossary }) => ({ text: blockText(node), list, glossary }));
+
+/*
+ * Scores blocks against the checklist. options: { language: "en" | "es" | "auto", exempt, jargon },
+ * jargon being the terms to look for besides acronyms.
+ * Returns { items, passed, checked }, where checked counts the items that applied.
+ */
+export function plainLanguageChecklist(blocks, { language = "auto", exempt, jargon = DEFAULT_JARGON } = {}) {
+  let words = 0;
+  let direct = 0;
+  let otherPronouns = 0;
+  let listItems = 0;
+  const english = [];
+  const lengths = [];
+  const runs = [];
+
+  for (const block of blocks) {
+    if (!block.text.trim()) continue;
+    if (block.list) listItems++;
+    const isEnglish = resolveLanguage(block.text, language) === "en";
+    for (const { text } of splitSentences(block.text)) {
+      const tokens = tokenizeWords(text);
+      lengths.push({ text, words: tokens.length });
+      if (!isEnglish) continue;
+      english.push(text);
+      for (const t of tokens) {
+        if (t.kind !== "word") continue;
+        words++;
+        const lower = t.text.toLowerCase();
+        if (YOU_WE.has(lower)) direct++;
+        else if (OTHER_PRONOUNS.has(lower)) otherPronouns++;
+      }
+      if (!block.list && runsItemsTogether(text)) runs.push(text);
+    }
+  }
+
+  const items = [];
+
+  if (!words) {
+    items.push({ id: "you-we", label: "Use “you” and “we”", status: "n/a", summary: "No English text to check.", details: [] });
+  } else {
+    const pronouns = direct + otherPronouns;
+    const pass = direct / words >= DIRECT_WORD_SHARE;
+    items.push({
+      id: "you-we",
+      label: "Use “you” and “we”",
+      status: pass ? "pass" : "needs-work",
+      summary: `${percent(direct, words)} of words are “you” or “we” (${direct} of ${words}).`,
+      details: [
+        ...(pronouns ? [`${direct} of ${pronouns} personal pronouns speak to the reader or for your team.`] : []),
+        ...(pass ? [] : ["Aim for about one in every 50 words. Talk to the reader as “you”, and about your team as “we”."]),
+      ],
+    });
+  }
+
+  if (!lengths.length) {
+    items.push({ id: "short", label: `Keep sentences under ${MAX_SENTENCE_WORDS} words`, status: "n/a", summary: "No sentences yet.", details: [] });
+  } else {
+    const long = lengths.filter((s) => s.words >= MAX_SENTENCE_WORDS).sort((a, b) => b.words - a.words);
+    const short = lengths.length - long.length;
+    items.push({
+      id: "short",
+      label: `Keep sentences under ${MAX_SENTENCE_WORDS} words`,
+      status: short / lengths.length >= SHORT_SENTENCE_SHARE ? "pass" : "needs-work",
+      summary: `${percent(short, lengths.length)} of sentences are under ${MAX_SENTENCE_WORDS} words (${short} of ${lengths.length}).`,
+      details: capped(long.map((s) => `${s.words} words, “${excerpt(s.text)}”`)),
+    });
+  }
+
+  if (!lengths.length) {
+    items.push({ id: "lists", label: "Use lists for three or more items", status: "n/a", summary: "No sentences yet.", details: [] });
+  } else {
+    const inLists = `${listItems} list ${listItems === 1 ? "item" : "items"}`;
+    items.push({
+      id: "lists",
+      label: "Use lists for three or more items",
+      status: runs.length ? "needs-work" : "pass",
+      summary: runs.length
+        ? `${runs.length} ${runs.length === 1 ? "sentence runs" : "sentences run"} three or more items together; ${inLists}.`
+        : `No runs of items left in sentences; ${inLists}.`,
+      details: capped(runs.map((text) => `“${excerpt(text)}”`)),
+    });
+  }
+
+  if (!english.length) {
+    items.push({ id: "terms", label: "Define legal and technical terms", status: "n/a", summary: "No English text to check.", details: [] });
+  } else {
+    const settings = termSettings(jargon, { exempt, language });
+    const uses = firstTermUses(blocks, (block) => termsInBlock(block.text, settings));
+    const undefinedUses = uses.filter((u) => !isExplained(u));
+    items.push({
+      id: "terms",
+      label: "Define legal and technical terms",
+      status: undefinedUses.length ? "needs-work" : "pass",
+      summary: !uses.length
+        ? "No acronyms or legal terms found."
+        : undefinedUses.length
+          ? `${undefinedUses.length} of ${uses.length} acronyms and terms are not explained where they first appear.`
+          : `${uses.length} acronyms and terms, all explained where they first appear.`,
+      details: capped(undefinedUses.map((u) => `“${u.key}”, first in “${excerpt(u.sentence)}”`)),
+    });
+  }
+
+  const checked = items.filter((i) => i.status !== "n/a");
+  return { items, passed: checked.filter((i) => i.status === "pass").length, checked: checked.length };
+}
@@ -0,0 +1,158 @@
+// src/promptTemplates.js
+// Prompts for AI tools, built from saved templates and the text on screen. A template is plain
+// text with placeholders, filled in from the readability profile and the chosen part of the
+// document:
+//   {grade}      the profile's target grade        {profile}   the profile's name
+//   {longWords}  the profile's long-sentence limit {scope}     what {text} is, "content", "excerpt"…
+//   {text}       the text to rewrite               {hardWords} hard words in it, with plainer options
+// A line is left out when every placeholder on it is empty, so "Plainer words: {hardWords}"
+// disappears when there are none.
+// Shape: { id, name, text }. Kept in localStorage like the profiles.
+import { analyzeBlockText, blockText, documentText, isAnalyzedBlock } from "./sentenceAnalysis";
+import { ISSUE_LABELS } from "./issues";
+import { DEFAULT_THRESHOLDS } from "./readabilityProfiles";
+
+const STORAGE_KEY = "ssPromptTemplates";
+const ACTIVE_KEY = "ssPromptTemplate";
+
+export const PASTE_HERE = "[PASTE YOUR TEXT]";
+
+// What the prompt sends: the whole document, the selected text, or only the red and yellow sentences.
+export const PROMPT_SCOPES = {
+  document: { label: "Whole document", scope: "content" },
+  selection: { label: "Selection", scope: "excerpt" },
+  flagged: { label: "Only red and yellow sentences", scope: "numbered sentences (each shows its reading grade now)" },
+};
+
+export const BUILT_IN_TEMPLATES = [
+  {
+    id: "plain-rewrite",
+    name: "Plain-language rewrite",
+    text: `Rewrite the following {scope} in plain language that can be understood the first time it is read. Use everyday words. Keep sentences under {longWords} words where possible. Use "you" and "we." Break things into bullet points if it helps. Define legal or technical terms in plain English. Make it sound like something you would say at a help desk. Aim for a grade {grade} reading level, the "{profile}" profile. Keep the meaning accurate and respectful.
+Where they fit, use plainer words: {hardWords}
+
+Here is the text,
+{text}`,
+  },
+  {
+    id: "sentence-fixes",
+    name: "Fix sentence by sentence",
+    text: `Rewrite each sentence in the following {scope} so a reader at grade {grade} understands it the first time. Keep each one under {longWords} words; split it, or turn it into a short list, when it has to say more. Use everyday words and talk to the reader as "you". Do not drop any facts. Show each rewrite under the sentence it replaces.
+Plainer words to try: {hardWords}
+
+{text}`,
+  },
+];
+
+export const DEFAULT_TEMPLATE_ID = "plain-rewrite";
+
+const newId = () => `template-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+// Accepts anything parsed from JSON and returns a complete template.
+export function normalizeTemplate(raw) {
+  const src = raw && typeof raw === "object" ? raw : {};
+  return {
+    id: typeof src.id === "string" && src.id ? src.id : newId(),
+    name: String(src.name || "").trim() || "Untitled prompt",
+    text: String(src.text || ""),
+  };
+}
+
+export function loadTemplates() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || "null");
+    if (Array.isArray(saved) && saved.length) return saved.map(normalizeTemplate);
+  } catch {}
+  return BUILT_IN_TEMPLATES;
+}
+
+export function saveTemplates(templates) {
+  try { localStorage.setItem(STORAGE_KEY, JSON.stringify(templates)); } catch {}
+}
+
+export function loadActiveTemplateId() {
+  try { return localStorage.getItem(ACTIVE_KEY) || DEFAULT_TEMPLATE_ID; } catch { return DEFAULT_TEMPLATE_ID; }
+}
+
+export function saveActiveTemplateId(id) {
+  try { localStorage.setItem(ACTIVE_KEY, id); } catch {}
+}
+
+export const createTemplate = (from) => normalizeTemplate({ ...from, id: newId(), name: `${from.name} (copy)` });
+
+// The shipped text of a built-in template, or null for the writer's own.
+export const builtInTemplate = (id) => BUILT_IN_TEMPLATES.find((t) => t.id === id) || null;
+
+/* ---------------- filling in ---------------- */
+const PLACEHOLDER = /\{(\w+)\}/g;
+
+// Fills text's placeholders from values; unknown ones are kept as typed.
+export function fillTemplate(text, values) {
+  return text
+    .split("\n")
+    .filter((line) => {
+      const names = [...line.matchAll(PLACEHOLDER)].map((m) => m[1]).filter((name) => name in values);
+      return !names.length || names.some((name) => String(values[name]).trim());
+    })
+    .join("\n")
+    .replace(PLACEHOLDER, (all, name) => (name in values ? String(values[name]) : all));
+}
+
+// "“prior to” → “before”; simpler words for “eligibility”, …", or "" when there are no hard words.
+const hardWordList = (flags) => {
+  const seen = new Set();
+  const swaps = [];
+  const others = [];
+  for (const flag of flags) {
+    if (flag.kind !== "word" && flag.kind !== "phrase") continue;
+    const key = flag.text.toLowerCase().replace(/\s+/g, " ");
+    if (seen.has(key)) continue;
+    seen.add(key);
+    if (flag.suggestions.length) swaps.push(`“${flag.text}” → ${flag.suggestions.map((s) => `“${s}”`).join(" or ")}`);
+    else others.push(`“${flag.text}”`);
+  }
+  return [...swaps, ...(others.length ? [`simpler words for ${others.join(", ")}`] : [])].join("; ");
+};
+
+/*
+ * The {text} and {hardWords} for scope (a PROMPT_SCOPES key) in doc. selection is { from, to };
+ * settings are analyzeBlockText()'s. Returns { text, hardWords, count }, where count is the
+ * number of sentences sent for "flagged" and of characters otherwise.
+ */
+export function promptContent(doc, selection, settings, scope) {
+  const inRange = (from, to) => scope !== "selection" || (to > selection.from && from < selection.to);
+  const flagged = [];
+  const flags = [];
+  doc.descendants((node, pos) => {
+    if (!isAnalyzedBlock(node)) return;
+    const blockFrom = pos + 1;
+    if (!inRange(blockFrom, blockFrom + node.content.size)) return false;
+    const analysis = analyzeBlockText(blockText(node), settings);
+    for (const sentence of analysis.sentences) {
+      if (scope !== "flagged" || (sentence.color !== "red" && sentence.color !== "yellow")) continue;
+      flagged.push(sentence);
+      flags.push(...analysis.flags.filter((f) => f.start >= sentence.start && f.end <= sentence.end));
+    }
+    if (scope !== "flagged") flags.push(...analysis.flags.filter((f) => inRange(blockFrom + f.start, blockFrom + f.end)));
+    return false;
+  });
+
+  if (scope === "flagged") {
+    const text = flagged
+      .map((s, i) => `${i + 1}. [grade ${s.grade.toFixed(1)}, ${ISSUE_LABELS[s.color].toLowerCase()}] ${s.text}`)
+      .join("\n");
+    return { text, hardWords: hardWordList(flags), count: flagged.length };
+  }
+  const text = scope === "selection" ? doc.textBetween(selection.from, selection.to, "\n\n", "\n").trim() : documentText(doc).trim();
+  return { text, hardWords: hardWordList(flags), count: text.length };
+}
+
+// The placeholder values that come from profile, with text to paste by hand.
+export const profileValues = (profile) => ({
+  grade: String(profile.targetGrade),
+  profile: profile.name || `Grade ${profile.targetGrade}`,
+  longWords: String(profile.longSentenceWords || DEFAULT_THRESHOLDS.longSentenceWords),
+  scope: PROMPT_SCOPES.document.scope,
+  text: PASTE_HERE,
+  hardWords: "",
+});
@@ -0,0 +1,134 @@
+// src/readabilityProfiles.js
+// Named readability profiles: a target grade plus the thresholds that turn grades into colors
+// and syllables into hard words. Kept in localStorage and shared between teams as JSON.
+// Shape: { id, name, targetGrade, longSentenceWords, deltaHard, deltaVeryHard,
+//          minYellowWords, minRedWords, hardSyllables }
+
+const STORAGE_KEY = "ssProfiles";
+const ACTIVE_KEY = "ssProfile";
+
+// What Sentence Scratcher used before profiles; hardSyllables follows the target grade.
+export const DEFAULT_THRESHOLDS = {
+  longSentenceWords: 15,
+  deltaHard: 1,
+  deltaVeryHard: 3,
+  minYellowWords: 14,
+  minRedWords: 18,
+};
+
+// 3 syllables at grade 6 and below, one more for every two grades above it.
+export const defaultHardSyllables = (targetGrade) => Math.max(3, 3 + Math.floor((targetGrade - 6) / 2));
+
+// Editable fields, in the order the profile editor shows them.
+export const PROFILE_FIELDS = [
+  { key: "targetGrade", label: "Target grade", min: 1, max: 18, step: 0.5 },
+  { key: "longSentenceWords", label: "Long sentence (words)", min: 5, max: 60, step: 1 },
+  { key: "deltaHard", label: "Yellow when grades above target", min: 0, max: 10, step: 0.5 },
+  { key: "deltaVeryHard", label: "Red when grades above target", min: 0, max: 15, step: 0.5 },
+  { key: "minYellowWords", label: "Fewest words for yellow", min: 1, max: 60, step: 1 },
+  { key: "minRedWords", label: "Fewest words for red", min: 1, max: 60, step: 1 },
+  { key: "hardSyllables", label: "Hard word (syllables)", min: 2, max: 8, step: 1 },
+];
+
+const makeProfile = (id, name, targetGrade) => ({
+  id,
+  name,
+  targetGrade,
+  ...DEFAULT_THRESHOLDS,
+  hardSyllables: defaultHardSyllables(targetGrade),
+});
+
+export const BUILT_IN_PROFILES = [
+  makeProfile("grade-6", "Grade 6", 6),
+  makeProfile("grade-8", "Grade 8", 8),
+  makeProfile("grade-10", "Grade 10", 10),
+];
+
+export const DEFAULT_PROFILE_ID = "grade-6";
+
+const newId = () => `profile-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+const clampNumber = (value, { min, max }, fallback) => {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+};
+
+// Accepts anything parsed from JSON and returns a complete profile.
+export function normalizeProfile(raw) {
+  const src = raw && typeof raw === "object" ? raw : {};
+  const targetGrade = clampNumber(src.targetGrade, PROFILE_FIELDS[0], 6);
+  const base = makeProfile(
+    typeof src.id === "string" && src.id ? src.id : newId(),
+    String(src.name || "").trim() || `Grade ${targetGrade}`,
+    targetGrade
+  );
+  for (const field of PROFILE_FIELDS) {
+    base[field.key] = clampNumber(src[field.key], field, base[field.key]);
+  }
+  return base;
+}
+
+export function loadProfiles() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || "null");
+    if (Array.isArray(saved) && saved.length) return saved.map(normalizeProfile);
+  } catch {}
+  return BUILT_IN_PROFILES;
+}
+
+export function saveProfiles(profiles) {
+  try { localStorage.setItem(STORAGE_KEY, JSON.stringify(profiles)); } catch {}
+}
+
+export function loadActiveProfileId() {
+  try { return localStorage.getItem(ACTIVE_KEY) || DEFAULT_PROFILE_ID; } catch { return DEFAULT_PROFILE_ID; }
+}
+
+export function saveActiveProfileId(id) {
+  try { localStorage.setItem(ACTIVE_KEY, id); } catch {}
+}
+
+export const createProfile = (from) => normalizeProfile({ ...from, id: newId(), name: `${from.name} (copy)` });
+
+// The thresholds analyzeBlockText() reads, taken from a profile.
+export const profileThresholds = (profile) => ({
+  longSentenceWords: profile.longSentenceWords,
+  deltaHard: profile.deltaHard,
+  deltaVeryHard: profile.deltaVeryHard,
+  minYellowWords: profile.minYellowWords,
+  minRedWords: profile.minRedWords,
+  hardSyllables: profile.hardSyllables,
+});
+
+// Imported profiles replace existing ones with the same id or name.
+export function mergeProfiles(base, imported) {
+  const out = [...base];
+  for (const p of imported) {
+    const at = out.findIndex((q) => q.id === p.id || q.name === p.name);
+    if (at === -1) out.push(p);
+    else out[at] = { ...p, id: out[at].id };
+  }
+  return out;
+}
+
+// Adds a profile that arrived with a shared link, reusing one with the same name and settings.
+// Returns { profiles, id } with id the profile to select.
+export function adoptProfile(profiles, incoming) {
+  const same = profiles.find((p) => p.name === incoming.name && PROFILE_FIELDS.every((f) => p[f.key] === incoming[f.key]));
+  if (same) return { profiles, id: same.id };
+  const taken = profiles.some((p) => p.name === incoming.name);
+  const added = normalizeProfile({ ...incoming, id: newId(), name: taken ? `${incoming.name} (shared)` : incoming.name });
+  return { profiles: [...profiles, added], id: added.id };
+}
+
+// Accepts one profile or a list of them, bare or as { profiles: [...] }.
+export function parseProfilesJson(text) {
+  const raw = JSON.parse(text);
+  const list = Array.isArray(raw) ? raw : Array.isArray(raw && raw.profiles) ? raw.profiles : [raw];
+  if (!list.length || list.some((p) => !p || typeof p !== "object" || p.targetGrade === undefined)) {
+    throw new Error("Expected profiles with at least a \"targetGrade\".");
+  }
+  return list.map(normalizeProfile);
+}
+
+export const profilesToJson = (profiles) => JSON.stringify({ profiles: profiles.map(normalizeProfile) }, null, 2);
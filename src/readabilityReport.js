@@ -0,0 +1,222 @@
+// src/readabilityReport.js
+// Sign-off report for a document: every sentence, every flagged word, section and document totals.
+// Built from the same analyzeBlockText() results the editor highlights with.
+import {
+  calculateFleschReadingEase,
+  textStats,
+  scoreStats,
+  scoreAllFormulas,
+  FORMULAS,
+  FORMULAS_BY_LANGUAGE,
+  DEFAULT_SPANISH_FORMULA,
+} from "./readabilityUtils";
+import { resolveLanguage } from "./spanishText";
+import { analyzeBlockText, blockText, isAnalyzedBlock } from "./sentenceAnalysis";
+import { ruleLabel } from "./styleRules";
+
+const NO_HEADING = "(Before the first heading)";
+
+/*
+ * doc: a ProseMirror document. settings: as for analyzeBlockText, plus the report
+ * always lists hard words whether or not underlining is switched on.
+ */
+export function buildReport(doc, settings, { title = "Untitled draft", version = "", profileName = "" } = {}) {
+  const analysis = { ...settings, showHardWords: true };
+  const sections = [];
+  let section = null;
+  const startSection = (heading) => {
+    section = { heading, texts: [], sentences: [], flags: [] };
+    sections.push(section);
+  };
+  startSection(NO_HEADING);
+
+  doc.descendants((node) => {
+    if (!isAnalyzedBlock(node)) return;
+    const text = blockText(node);
+    if (node.type.name === "heading") {
+      startSection(text.trim() || "(Untitled heading)");
+      return;
+    }
+    const { sentences, flags } = analyzeBlockText(text, analysis);
+    section.texts.push(text);
+    section.sentences.push(...sentences);
+    section.flags.push(
+      ...flags.map((f) => {
+        const inside = sentences.find((s) => f.start >= s.start && f.start < s.end);
+        return { ...f, sentence: inside ? inside.text : "" };
+      })
+    );
+  });
+
+  let number = 0;
+  const scoreOpts = { exempt: settings.exempt, easySet: settings.easySet };
+  // Spanish text is graded with the Spanish formula
+  const formulaFor = (language) =>
+    language === "es" ? (settings.spanish && settings.spanish.formula) || DEFAULT_SPANISH_FORMULA : settings.formula;
+  const finished = sections
+    .filter((sec) => sec.heading !== NO_HEADING || sec.sentences.length)
+    .map((sec) => {
+      const text = sec.texts.join("\n");
+      const language = resolveLanguage(text, settings.language);
+      const stats = textStats(text, { ...scoreOpts, language, sentenceCount: sec.sentences.length || 1 });
+      return {
+        heading: sec.heading,
+        language,
+        words: stats.words,
+        sentenceCount: sec.sentences.length,
+        grade: sec.sentences.length ? scoreStats(stats, formulaFor(language)).grade : null,
+        sentences: sec.sentences.map((s) => ({ ...s, number: ++number })),
+        flags: sec.flags,
+      };
+    });
+
+  const allSentences = finished.flatMap((sec) => sec.sentences);
+  const fullText = sections.map((sec) => sec.texts.join("\n")).join("\n");
+  const language = resolveLanguage(fullText, settings.language);
+  const formula = formulaFor(language);
+  // one sentence count for every total, so "Grade" and the formula table agree
+  const docOpts = { ...scoreOpts, language, sentenceCount: allSentences.length || 1 };
+  const docStats = textStats(fullText, docOpts);
+  const scores = allSentences.length ? scoreAllFormulas(fullText, docOpts) : {};
+  const colorCounts = { red: 0, yellow: 0, blue: 0 };
+  allSentences.forEach((s) => { if (s.color) colorCounts[s.color]++; });
+
+  return {
+    title,
+    version,
+    generatedAt: new Date().toISOString(),
+    targetGrade: settings.targetGrade,
+    profileName,
+    language,
+    formula,
+    formulaLabel: (FORMULAS_BY_LANGUAGE[language][formula] || {}).label || formula,
+    sections: finished,
+    totals: {
+      words: docStats.words,
+      sentences: allSentences.length,
+      syllables: docStats.syllables,
+      grade: allSentences.length ? scoreStats(docStats, formula).grade : null,
+      ease: allSentences.length
+        ? (language === "es" ? scores.fernandezHuerta.score : calculateFleschReadingEase(fullText))
+        : null,
+      scores,
+      colorCounts,
+      flaggedWords: finished.reduce((n, sec) => n + sec.flags.length, 0),
+    },
+  };
+}
+
+/* ---------------- CSV ---------------- */
+// text a spreadsheet would run as a formula starts with ' so it stays text; numbers are left alone
+const FORMULA_START = /^[=+\-@\t\r]/;
+const csvCell = (v) => {
+  let s = v === null || v === undefined ? "" : String(v);
+  if (typeof v !== "number" && FORMULA_START.test(s)) s = `'${s}`;
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+const csvRow = (cells) => cells.map(csvCell).join(",");
+
+const flagType = (f) => {
+  if (f.kind === "rule") return ruleLabel(f.rule).toLowerCase();
+  return f.kind === "phrase" ? "hard phrase" : "hard word";
+};
+const suggestionText = (f) => f.suggestions.map((x) => x || "(remove)").join(" / ");
+
+export function reportToCsv(report) {
+  const rows = [
+    ["Type", "Section", "Number", "Text", "Grade", "Words", "Syllables", "Color", "Suggestion"],
+    ["meta", "", "", `Document: ${report.title}`],
+    ["meta", "", "", `Target grade: ${report.targetGrade} (${report.formulaLabel})`],
+    ...(report.profileName ? [["meta", "", "", `Profile: ${report.profileName}`]] : []),
+    ["meta", "", "", `Sentence Scratcher version: ${report.version || "unknown"}`],
+    ["meta", "", "", `Generated: ${report.generatedAt}`],
+  ];
+  for (const sec of report.sections) {
+    rows.push(["section", sec.heading, "", "", sec.grade ?? "", sec.words, "", "", ""]);
+    for (const s of sec.sentences) {
+      rows.push(["sentence", sec.heading, s.number, s.text, s.grade, s.wordCount, s.syllableCount, s.color || "", ""]);
+    }
+    for (const f of sec.flags) {
+      rows.push([flagType(f), sec.heading, "", f.text, "", "", "", "", suggestionText(f)]);
+    }
+  }
+  const t = report.totals;
+  rows.push(["document", "", "", `${t.colorCounts.red} red, ${t.colorCounts.yellow} yellow, ${t.colorCounts.blue} blue, ${t.flaggedWords} flagged words`, t.grade ?? "", t.words, t.syllables, "", ""]);
+  return rows.map(csvRow).join("\r\n") + "\r\n";
+}
+
+/* ---------------- HTML (print to PDF from the browser) ---------------- */
+const esc = (s) =>
+  String(s ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+const COLOR_LABELS = { red: "Much harder", yellow: "A bit harder", blue: "Long" };
+
+export function reportToHtml(report) {
+  const t = report.totals;
+  const fmt = (n) => (n === null || n === undefined ? "—" : Number(n).toFixed(1));
+
+  const formulaRows = Object.entries(FORMULAS_BY_LANGUAGE[report.language] || FORMULAS)
+    .map(([id, f]) => `<tr><td>${esc(f.label)}${id === report.formula ? " (used for coloring)" : ""}</td><td>${fmt(t.scores[id] && t.scores[id].score)}</td></tr>`)
+    .join("");
+
+  const sectionHtml = report.sections.map((sec) => `
+<h2>${esc(sec.heading)}</h2>
+<p class="meta">Grade ${fmt(sec.grade)}, ${sec.words} words, ${sec.sentenceCount} sentences</p>
+<table>
+<thead><tr><th>#</th><th>Sentence</th><th>Grade</th><th>Words</th><th>Syllables</th><th>Color</th></tr></thead>
+<tbody>
+${sec.sentences.map((s) => `<tr class="${s.color || ""}"><td>${s.number}</td><td>${esc(s.text)}</td><td>${fmt(s.grade)}</td><td>${s.wordCount}</td><td>${s.syllableCount}</td><td>${s.color ? esc(COLOR_LABELS[s.color]) : ""}</td></tr>`).join("\n")}
+</tbody>
+</table>
+${sec.flags.length ? `<h3>Flagged words</h3>
+<table>
+<thead><tr><th>Word</th><th>Issue</th><th>Suggestion</th><th>In sentence</th></tr></thead>
+<tbody>
+${sec.flags.map((f) => `<tr><td>${esc(f.text)}</td><td>${esc(flagType(f))}</td><td>${esc(suggestionText(f) || "—")}</td><td>${esc(f.sentence)}</td></tr>`).join("\n")}
+</tbody>
+</table>` : ""}`).join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="${report.language === "es" ? "es" : "en"}">
+<head>
+<meta charset="utf-8">
+<title>Readability report, ${esc(report.title)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; color: #111827; margin: 2rem; font-size: 12px; }
+  h1 { font-size: 1.5rem; margin: 0 0 .25rem; }
+  h2 { font-size: 1.15rem; margin: 1.5rem 0 .25rem; }
+  h3 { font-size: 1rem; margin: 1rem 0 .25rem; }
+  .meta { color: #6b7280; margin: 0 0 .5rem; }
+  table { border-collapse: collapse; width: 100%; margin: .25rem 0 .75rem; }
+  th, td { border: 1px solid #e5e7eb; padding: 3px 6px; text-align: left; vertical-align: top; }
+  th { background: #f3f4f6; }
+  tr.red td { background: #ffd1d1; }
+  tr.yellow td { background: #fff3b0; }
+  tr.blue td { background: #dbeafe; }
+  @media print { body { margin: 0; } tr { break-inside: avoid; } }
+</style>
+</head>
+<body>
+<h1>Readability report, ${esc(report.title)}</h1>
+<p class="meta">Target grade ${esc(report.targetGrade)} (${esc(report.formulaLabel)})${report.profileName ? `, profile ${esc(report.profileName)}` : ""}. Sentence Scratcher version ${esc(report.version || "unknown")}. Generated ${esc(new Date(report.generatedAt).toLocaleString())}.</p>
+
+<h2>Document totals</h2>
+<table>
+<tbody>
+<tr><td>Grade (${esc(report.formulaLabel)})</td><td>${fmt(t.grade)}</td></tr>
+<tr><td>${report.language === "es" ? "Fernández-Huerta ease" : "Flesch Reading Ease"}</td><td>${fmt(t.ease)}</td></tr>
+${formulaRows}
+<tr><td>Words</td><td>${t.words}</td></tr>
+<tr><td>Sentences</td><td>${t.sentences}</td></tr>
+<tr><td>Syllables</td><td>${t.syllables}</td></tr>
+<tr><td>Much harder (red)</td><td>${t.colorCounts.red}</td></tr>
+<tr><td>A bit harder (yellow)</td><td>${t.colorCounts.yellow}</td></tr>
+<tr><td>Long (blue)</td><td>${t.colorCounts.blue}</td></tr>
+<tr><td>Flagged words</td><td>${t.flaggedWords}</td></tr>
+</tbody>
+</table>
+${sectionHtml}
+</body>
+</html>
+`;
+}
@@ -1,26 +1,26 @@
 // readabilityUtils.js
+import { findExemptRanges, inRanges, isExemptWord } from "./exemptTerms";
+import { splitSentences, tokenizeWords } from "./tokenizer";
+import { countSyllables } from "./syllables";
+import { countSpanishSyllables, resolveLanguage } from "./spanishText";
 
 export function countWords(text) {
-  return text.trim().split(/\s+/).filter(Boolean).length;
+  return tokenizeWords(text).length;
 }
 
 export function countSentences(text) {
-  return text.split(/[.!?]+/).filter(s => s.trim().length > 0).length || 1;
+  return splitSentences(text).length || 1;
 }
 
-export function countSyllables(word) {
-  word = word.toLowerCase();
-  if (word.length <= 3) return 1;
-  word = word.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '');
-  word = word.replace(/^y/, '');
-  const matches = word.match(/[aeiouy]{1,2}/g);
-  return matches ? matches.length : 1;
-}
+export { countSyllables };
+
+// URLs and emails are read as one unit; numbers as they are spoken.
+const tokenSyllables = (token) => (token.kind === "word" || token.kind === "number" ? countSyllables(token.text) : 1);
 
 export function calculateFleschKincaidGrade(text) {
-  const words = text.trim().split(/\s+/).filter(Boolean);
+  const words = tokenizeWords(text);
   const sentences = countSentences(text);
-  const syllables = words.reduce((acc, word) => acc + countSyllables(word), 0);
+  const syllables = words.reduce((acc, word) => acc + tokenSyllables(word), 0);
   const wordCount = words.length || 1;
 
   const grade = 0.39 * (wordCount / sentences) + 11.8 * (syllables / wordCount) - 15.59;
@@ -28,30 +28,183 @@ export function calculateFleschKincaidGrade(text) {
 }
 
 export function calculateFleschReadingEase(text) {
-  const words = text.trim().split(/\s+/).filter(Boolean);
+  const words = tokenizeWords(text);
   const sentences = countSentences(text);
-  const syllables = words.reduce((acc, word) => acc + countSyllables(word), 0);
+  const syllables = words.reduce((acc, word) => acc + tokenSyllables(word), 0);
   const wordCount = words.length || 1;
 
   const ease = 206.835 - 1.015 * (wordCount / sentences) - 84.6 * (syllables / wordCount);
   return parseFloat(ease.toFixed(1));
 }
 
-export function analyzeSentence(sentence) {
-  const wordCount = countWords(sentence);
-  const syllableCount = sentence
-    .trim()
-    .split(/\s+/)
-    .reduce((acc, word) => acc + countSyllables(word), 0);
-  const sentenceCount = 1; // It's just one sentence
+// Dale-Chall counts regular inflections of a listed word as familiar.
+const INFLECTIONS = ["s", "es", "ed", "d", "ing", "ly", "er", "est"];
+function isFamiliarWord(lower, easySet) {
+  if (easySet.has(lower)) return true;
+  return INFLECTIONS.some((end) => lower.endsWith(end) && easySet.has(lower.slice(0, -end.length)));
+}
+
+// Counts shared by every formula below. Exempt words and phrases (see exemptTerms.js)
+// count as one syllable per word and are never "difficult". Spanish text (language "es")
+// uses the Spanish syllable rules and counts each number as one unit.
+export function textStats(text, { exempt, easySet, sentenceCount, language = "en" } = {}) {
+  const trimmed = text.trim();
+  const ranges = findExemptRanges(trimmed, exempt);
+  const stats = {
+    words: 0,
+    sentences: sentenceCount || countSentences(trimmed),
+    syllables: 0,
+    polysyllables: 0,
+    letters: 0,
+    characters: 0,
+    difficultWords: 0,
+  };
+  for (const token of tokenizeWords(trimmed)) {
+    const exempted = inRanges(ranges, token.start) || isExemptWord(token.text, exempt);
+    const syllables = exempted
+      ? 1
+      : language === "es"
+        ? (token.kind === "word" ? countSpanishSyllables(token.text) : 1)
+        : tokenSyllables(token);
+    stats.words++;
+    stats.syllables += syllables;
+    if (syllables >= 3) stats.polysyllables++;
+    stats.letters += (token.text.match(/[a-z]/gi) || []).length;
+    stats.characters += (token.text.match(/[a-z0-9]/gi) || []).length;
+    if (easySet && !exempted && token.kind === "word" && !isFamiliarWord(token.text.toLowerCase(), easySet)) {
+      stats.difficultWords++;
+    }
+  }
+  return stats;
+}
+
+// Dale-Chall raw score -> the top of its published grade band.
+const daleChallGrade = (score) => {
+  if (score < 5) return 4;
+  if (score < 6) return 6;
+  if (score < 7) return 8;
+  if (score < 8) return 10;
+  if (score < 9) return 12;
+  if (score < 10) return 15;
+  return 16;
+};
+
+// Each formula takes textStats() output. `score` is the published number;
+// `grade` is its US grade equivalent, used for sentence coloring.
+export const FORMULAS = {
+  fk: {
+    label: "Flesch-Kincaid",
+    score: (s) => 0.39 * (s.words / s.sentences) + 11.8 * (s.syllables / s.words) - 15.59,
+  },
+  smog: {
+    label: "SMOG",
+    score: (s) => 1.043 * Math.sqrt(s.polysyllables * (30 / s.sentences)) + 3.1291,
+  },
+  fog: {
+    label: "Gunning Fog",
+    score: (s) => 0.4 * (s.words / s.sentences + 100 * (s.polysyllables / s.words)),
+  },
+  colemanLiau: {
+    label: "Coleman-Liau",
+    score: (s) => 0.0588 * (100 * s.letters / s.words) - 0.296 * (100 * s.sentences / s.words) - 15.8,
+  },
+  ari: {
+    label: "ARI",
+    score: (s) => 4.71 * (s.characters / s.words) + 0.5 * (s.words / s.sentences) - 21.43,
+  },
+  daleChall: {
+    label: "Dale-Chall",
+    score: (s) => {
+      const pct = 100 * (s.difficultWords / s.words);
+      return 0.1579 * pct + 0.0496 * (s.words / s.sentences) + (pct > 5 ? 3.6365 : 0);
+    },
+    grade: daleChallGrade,
+  },
+};
+
+export const DEFAULT_FORMULA = "fk";
+
+// Flesch-style ease (higher is easier) -> the US grade its published band is aimed at.
+const easeBandGrade = (bands) => (score) => {
+  for (const [min, grade] of bands) if (score >= min) return grade;
+  return bands[bands.length - 1][1] + 2;
+};
+
+// Spanish formulas, used for text analyzed as Spanish.
+export const SPANISH_FORMULAS = {
+  fernandezHuerta: {
+    label: "Fernández-Huerta",
+    // Law's correction: words per sentence, not sentences per 100 words
+    score: (s) => 206.84 - 60 * (s.syllables / s.words) - 1.02 * (s.words / s.sentences),
+    grade: easeBandGrade([[90, 4], [80, 5], [70, 6], [60, 8], [50, 10], [30, 14]]),
+  },
+  szigriszt: {
+    label: "Szigriszt-Pazos (INFLESZ)",
+    score: (s) => 206.835 - 62.3 * (s.syllables / s.words) - s.words / s.sentences,
+    grade: easeBandGrade([[80, 4], [65, 6], [55, 8], [40, 11]]),
+  },
+};
 
-  const grade =
-    0.39 * (wordCount / sentenceCount) + 11.8 * (syllableCount / wordCount) - 15.59;
+export const DEFAULT_SPANISH_FORMULA = "fernandezHuerta";
+
+export const FORMULAS_BY_LANGUAGE = { en: FORMULAS, es: SPANISH_FORMULAS };
+
+export function scoreStats(stats, formulaId = DEFAULT_FORMULA) {
+  const formula = FORMULAS[formulaId] || SPANISH_FORMULAS[formulaId] || FORMULAS[DEFAULT_FORMULA];
+  if (!stats.words) return { score: 0, grade: 0 };
+  const score = parseFloat(formula.score(stats).toFixed(1));
+  const grade = formula.grade ? formula.grade(score) : score;
+  return { score, grade };
+}
+
+// Every formula's result for a whole text in options.language, keyed by formula id.
+export function scoreAllFormulas(text, options = {}) {
+  const stats = textStats(text, options);
+  const out = {};
+  for (const id of Object.keys(FORMULAS_BY_LANGUAGE[options.language] || FORMULAS)) out[id] = scoreStats(stats, id);
+  return out;
+}
+
+/*
+ * Document-wide numbers for the stats bar. Runs in statsWorker.js, or inline where workers are unavailable.
+ * options: { exempt, easySet, language, spanishFormula }. Spanish text reports the Spanish
+ * formula's grade and Fernández-Huerta as its ease.
+ */
+export function documentStats(text, options = {}) {
+  const language = resolveLanguage(text, options.language);
+  if (language === "es") {
+    const scores = scoreAllFormulas(text, { ...options, language });
+    return {
+      language,
+      wordCount: countWords(text),
+      sentenceCount: countSentences(text),
+      grade: scores[options.spanishFormula || DEFAULT_SPANISH_FORMULA].grade,
+      ease: scores.fernandezHuerta.score,
+      scores,
+    };
+  }
+  // the same Flesch-Kincaid grade as its chip, with exempt terms and easy words counted alike
+  const scores = scoreAllFormulas(text, { ...options, language });
+  return {
+    language,
+    wordCount: countWords(text),
+    sentenceCount: countSentences(text),
+    grade: scores.fk.grade,
+    ease: calculateFleschReadingEase(text),
+    scores,
+  };
+}
+
+// options: { exempt, easySet, formula, language }; grade comes from the chosen formula (Flesch-Kincaid by default).
+export function analyzeSentence(sentence, { exempt, easySet, formula = DEFAULT_FORMULA, language = "en" } = {}) {
+  const wordCount = countWords(sentence);
+  const stats = textStats(sentence, { exempt, easySet, sentenceCount: 1, language });
+  const { grade } = scoreStats(stats, formula);
 
   return {
     text: sentence.trim(),
     wordCount,
-    syllableCount,
-    grade: parseFloat(grade.toFixed(1)),
+    syllableCount: stats.syllables,
+    grade,
   };
 }
@@ -0,0 +1,423 @@
+// src/reviewExtension.js
+// Reviewer comments and suggestion mode (tracked changes).
+//
+// Comments live in the doc's "comments" attribute, so they are saved with the document JSON:
+//   [{ id, from, to, quote, resolved, thread: [{ author, text, at }] }]
+// Every transaction maps their ranges to the new document. A transaction that replaces the
+// whole document (opening a draft or a file) drops them; loadDocument() restores a saved set.
+// Each change to one comment is a CommentStep, so it can be undone, and rebased when it meets
+// edits from another writer (see collabSession.js).
+//
+// Suggested edits are "insertion" and "deletion" marks: { id, author, at }. In suggestion mode
+// typing, deleting, pasting and cutting record marks instead of changing the text; accepting or
+// rejecting one applies or drops it. Text suggested for deletion is left out of the analysis
+// (see blockText() in sentenceAnalysis.js).
+import { Extension, Mark } from "@tiptap/core";
+import { Plugin, PluginKey, TextSelection } from "prosemirror-state";
+import { ReplaceStep, Step, StepMap, StepResult } from "prosemirror-transform";
+import { Decoration, DecorationSet } from "prosemirror-view";
+
+export const reviewKey = new PluginKey("review");
+
+export const DEFAULT_AUTHOR = "Reviewer";
+
+const newId = (prefix) => `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+const suggestionAttributes = () => ({
+  id: { default: null },
+  author: { default: DEFAULT_AUTHOR },
+  at: { default: 0 },
+});
+
+const suggestionTitle = (verb, { author, at }) =>
+  `${author} suggested ${verb}${at ? `, ${new Date(at).toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" })}` : ""}`;
+
+export const Insertion = Mark.create({
+  name: "insertion",
+  inclusive: false,
+  addAttributes: suggestionAttributes,
+  parseHTML: () => [{
+    tag: "ins[data-suggestion]",
+    getAttrs: (el) => ({ id: el.getAttribute("data-suggestion"), author: el.getAttribute("data-author") || DEFAULT_AUTHOR, at: Number(el.getAttribute("data-at")) || 0 }),
+  }],
+  renderHTML: ({ mark }) => [
+    "ins",
+    { class: "suggestion-insert", "data-suggestion": mark.attrs.id, "data-author": mark.attrs.author, "data-at": mark.attrs.at, title: suggestionTitle("adding this", mark.attrs) },
+    0,
+  ],
+});
+
+export const Deletion = Mark.create({
+  name: "deletion",
+  inclusive: false,
+  addAttributes: suggestionAttributes,
+  parseHTML: () => [{
+    tag: "del[data-suggestion]",
+    getAttrs: (el) => ({ id: el.getAttribute("data-suggestion"), author: el.getAttribute("data-author") || DEFAULT_AUTHOR, at: Number(el.getAttribute("data-at")) || 0 }),
+  }],
+  renderHTML: ({ mark }) => [
+    "del",
+    { class: "suggestion-delete", "data-suggestion": mark.attrs.id, "data-author": mark.attrs.author, "data-at": mark.attrs.at, title: suggestionTitle("removing this", mark.attrs) },
+    0,
+  ],
+});
+
+/* ---------------- comments ---------------- */
+const mapComment = (comment, mapping) => {
+  const from = mapping.map(comment.from, 1);
+  return { ...comment, from, to: Math.max(from, mapping.map(comment.to, -1)) };
+};
+
+// Sets (or, with comment null, removes) the comment with this id.
+export class CommentStep extends Step {
+  constructor(id, comment) {
+    super();
+    this.id = id;
+    this.comment = comment;
+  }
+
+  apply(doc) {
+    const list = (doc.attrs.comments || []).filter((c) => c.id !== this.id);
+    const comments = this.comment ? [...list, this.comment] : list;
+    return StepResult.ok(doc.type.create({ ...doc.attrs, comments }, doc.content, doc.marks));
+  }
+
+  getMap() {
+    return StepMap.empty;
+  }
+
+  invert(doc) {
+    return new CommentStep(this.id, (doc.attrs.comments || []).find((c) => c.id === this.id) || null);
+  }
+
+  map(mapping) {
+    return this.comment ? new CommentStep(this.id, mapComment(this.comment, mapping)) : this;
+  }
+
+  toJSON() {
+    return { stepType: "comment", id: this.id, comment: this.comment };
+  }
+
+  static fromJSON(schema, json) {
+    if (typeof json.id !== "string") throw new RangeError("Invalid input for CommentStep.fromJSON");
+    return new CommentStep(json.id, json.comment || null);
+  }
+}
+Step.jsonID("comment", CommentStep);
+
+// Accepts anything parsed from JSON and returns clean comments for a document of size docSize.
+export function normalizeComments(raw, docSize) {
+  if (!Array.isArray(raw)) return [];
+  const clamp = (n) => Math.min(docSize, Math.max(0, Number(n) || 0));
+  return raw
+    .filter((c) => c && typeof c === "object" && Array.isArray(c.thread) && c.thread.length)
+    .map((c) => {
+      const from = clamp(c.from);
+      return {
+        id: typeof c.id === "string" && c.id ? c.id : newId("comment"),
+        from,
+        to: Math.max(from, clamp(c.to)),
+        quote: String(c.quote || ""),
+        resolved: !!c.resolved,
+        thread: c.thread.map((m) => ({ author: String(m.author || DEFAULT_AUTHOR), text: String(m.text || ""), at: Number(m.at) || 0 })),
+      };
+    });
+}
+
+const replacesWholeDoc = (step, doc) =>
+  step instanceof ReplaceStep && step.from === 0 && step.to === doc.content.size && step.to > 0;
+
+// The comments, in document order.
+export const commentsOf = (state) => [...(state.doc.attrs.comments || [])].sort((a, b) => a.from - b.from || a.to - b.to);
+
+// Replaces the comment with this id by fn(comment); null deletes it.
+const updateComment = (editor, id, fn) => {
+  const { state } = editor;
+  const comment = (state.doc.attrs.comments || []).find((c) => c.id === id);
+  if (comment) editor.view.dispatch(state.tr.step(new CommentStep(id, fn(comment))));
+};
+
+// Starts a thread on the selected text; returns the new comment's id, or null without a selection.
+export function addComment(editor, text, author) {
+  const { from, to, empty } = editor.state.selection;
+  if (empty || !text.trim()) return null;
+  const id = newId("comment");
+  const quote = editor.state.doc.textBetween(from, to, " ");
+  const comment = { id, from, to, quote, resolved: false, thread: [{ author, text: text.trim(), at: Date.now() }] };
+  editor.view.dispatch(editor.state.tr.step(new CommentStep(id, comment)));
+  return id;
+}
+
+export const replyToComment = (editor, id, text, author) =>
+  updateComment(editor, id, (c) => ({ ...c, resolved: false, thread: [...c.thread, { author, text: text.trim(), at: Date.now() }] }));
+
+export const setCommentResolved = (editor, id, resolved) =>
+  updateComment(editor, id, (c) => ({ ...c, resolved }));
+
+export const deleteComment = (editor, id) => updateComment(editor, id, () => null);
+
+// Sets the editor's content from saved document JSON, comments included.
+export function loadDocument(editor, content) {
+  editor.commands.setContent(content || "");
+  const comments = normalizeComments(content && content.attrs && content.attrs.comments, editor.state.doc.content.size);
+  if (!comments.length) return;
+  const tr = editor.state.tr;
+  for (const c of comments) tr.step(new CommentStep(c.id, c));
+  editor.view.dispatch(tr.setMeta("addToHistory", false));
+}
+
+/* ---------------- suggestions ---------------- */
+const markOf = (node, type) => type.isInSet(node.marks);
+
+// Suggested edits in document order: [{ id, kind: "insertion" | "deletion", author, at, from, to, text }].
+// One suggestion can span several text nodes, for example across bold text.
+export function suggestionsOf(state) {
+  const { insertion, deletion } = state.schema.marks;
+  const byId = new Map();
+  state.doc.descendants((node, pos) => {
+    if (!node.isText) return;
+    for (const type of [insertion, deletion]) {
+      const mark = markOf(node, type);
+      if (!mark) continue;
+      const key = `${type.name}:${mark.attrs.id}`;
+      const found = byId.get(key);
+      if (found && found.to === pos) {
+        found.to = pos + node.nodeSize;
+        found.text += node.text;
+      } else if (!found) {
+        byId.set(key, { id: mark.attrs.id, kind: type.name, author: mark.attrs.author, at: mark.attrs.at, from: pos, to: pos + node.nodeSize, text: node.text });
+      }
+    }
+  });
+  return [...byId.values()].sort((a, b) => a.from - b.from);
+}
+
+// Ranges of one suggestion (or all of them, id null) as [{ from, to, kind }], last first.
+const suggestionRanges = (state, id) => {
+  const { insertion, deletion } = state.schema.marks;
+  const ranges = [];
+  state.doc.descendants((node, pos) => {
+    if (!node.isText) return;
+    for (const type of [insertion, deletion]) {
+      const mark = markOf(node, type);
+      if (mark && (id === null || mark.attrs.id === id)) ranges.push({ from: pos, to: pos + node.nodeSize, kind: type.name, mark });
+    }
+  });
+  return ranges.sort((a, b) => b.from - a.from);
+};
+
+// Accepting keeps insertions and removes deleted text; rejecting does the opposite.
+function resolveSuggestions(editor, id, accept) {
+  const { state } = editor;
+  const tr = state.tr;
+  for (const { from, to, kind, mark } of suggestionRanges(state, id)) {
+    const start = tr.mapping.map(from);
+    const end = tr.mapping.map(to, -1);
+    if (end <= start) continue;
+    if ((kind === "insertion") === accept) tr.removeMark(start, end, mark);
+    else tr.delete(start, end);
+  }
+  if (!tr.docChanged) return false;
+  editor.view.dispatch(tr.setMeta(reviewKey, { resolved: true }));
+  return true;
+}
+
+export const acceptSuggestion = (editor, id) => resolveSuggestions(editor, id, true);
+export const rejectSuggestion = (editor, id) => resolveSuggestions(editor, id, false);
+export const acceptAllSuggestions = (editor) => resolveSuggestions(editor, null, true);
+export const rejectAllSuggestions = (editor) => resolveSuggestions(editor, null, false);
+
+// Reuses the neighbouring suggestion's attributes when the same author is still typing or deleting.
+const suggestionMark = (type, neighbor, author) =>
+  type.create(neighbor && neighbor.attrs.author === author ? neighbor.attrs : { id: newId("suggestion"), author, at: Date.now() });
+
+// Marks [from, to) for deletion. The author's own suggested insertions are simply removed.
+function suggestDelete(tr, from, to, author) {
+  const { insertion, deletion } = tr.doc.type.schema.marks;
+  const ranges = [];
+  tr.doc.nodesBetween(from, to, (node, pos) => {
+    if (!node.isText) return;
+    const start = Math.max(from, pos);
+    const end = Math.min(to, pos + node.nodeSize);
+    const inserted = markOf(node, insertion);
+    if (inserted && inserted.attrs.author === author) ranges.push({ start, end, remove: true });
+    else if (!markOf(node, deletion)) ranges.push({ start, end, remove: false });
+  });
+  const $from = tr.doc.resolve(from);
+  const $to = tr.doc.resolve(to);
+  const neighbor =
+    ($from.nodeBefore && markOf($from.nodeBefore, deletion)) || ($to.nodeAfter && markOf($to.nodeAfter, deletion));
+  const mark = suggestionMark(deletion, neighbor, author);
+  for (const { start, end, remove } of ranges.reverse()) {
+    if (remove) tr.delete(start, end);
+    else tr.addMark(start, end, mark);
+  }
+  return tr;
+}
+
+// Inserts text as a suggestion at pos; returns the position after it.
+function suggestInsert(tr, pos, text, author) {
+  const { insertion, deletion } = tr.doc.type.schema.marks;
+  const $pos = tr.doc.resolve(pos);
+  const neighbor = $pos.nodeBefore && markOf($pos.nodeBefore, insertion);
+  const marks = suggestionMark(insertion, neighbor, author).addToSet(deletion.removeFromSet($pos.marks()));
+  tr.insert(pos, tr.doc.type.schema.text(text, marks));
+  return pos + text.length;
+}
+
+export const isSuggesting = (state) => {
+  const review = reviewKey.getState(state);
+  return !!review && review.suggesting;
+};
+
+/*
+ * Replaces [from, to) with text in tr, as a suggestion when state is in suggestion mode.
+ * For changes the app makes on the user's behalf, such as applying a hard-word suggestion.
+ * Returns the position after the new text.
+ */
+export function replaceText(state, tr, from, to, text) {
+  const review = reviewKey.getState(state);
+  if (!review || !review.suggesting) {
+    tr.insertText(text, from, to);
+    return tr.mapping.map(to);
+  }
+  const start = tr.steps.length;
+  if (to > from) suggestDelete(tr, from, to, review.author);
+  return text ? suggestInsert(tr, tr.mapping.slice(start).map(to), text, review.author) : tr.mapping.slice(start).map(to);
+}
+
+// Turns suggestion mode on or off for editor; author signs new suggestions.
+export const setSuggesting = (editor, suggesting, author) => {
+  editor.view.dispatch(editor.state.tr.setMeta(reviewKey, { mode: { suggesting, author: author || DEFAULT_AUTHOR } }));
+};
+
+// The text to remove for Backspace (dir -1) or Delete (dir 1), skipping text already marked for deletion.
+const deleteTarget = (state, dir) => {
+  const { selection, schema } = state;
+  if (!selection.empty) return { from: selection.from, to: selection.to };
+  const { $from } = selection;
+  const marked = (a, b) => state.doc.rangeHasMark(a, b, schema.marks.deletion);
+  let pos = selection.from;
+  if (dir < 0) {
+    while (pos > $from.start() && marked(pos - 1, pos)) pos--;
+    return pos > $from.start() ? { from: pos - 1, to: pos } : null;
+  }
+  while (pos < $from.end() && marked(pos, pos + 1)) pos++;
+  return pos < $from.end() ? { from: pos, to: pos + 1 } : null;
+};
+
+/* ---------------- extension ---------------- */
+export const Review = Extension.create({
+  name: "review",
+  // before the default keymaps, so Backspace and Delete are tracked in suggestion mode
+  priority: 1000,
+
+  addGlobalAttributes() {
+    return [{
+      types: ["doc"],
+      attributes: { comments: { default: [], rendered: false } },
+    }];
+  },
+
+  addProseMirrorPlugins() {
+    return [
+      new Plugin({
+        key: reviewKey,
+        state: {
+          init: () => ({ suggesting: false, author: DEFAULT_AUTHOR }),
+          apply: (tr, value) => {
+            const meta = tr.getMeta(reviewKey);
+            return meta && meta.mode ? meta.mode : value;
+          },
+        },
+
+        // comment ranges follow the text they are on; steps are followed one by one, so a
+        // comment set by another writer's step still moves with the edits after it
+        appendTransaction(trs, oldState, newState) {
+          if (!trs.some((tr) => tr.docChanged)) return null;
+          const comments = new Map((oldState.doc.attrs.comments || []).map((c) => [c.id, c]));
+          for (const tr of trs) {
+            tr.steps.forEach((step, i) => {
+              if (step instanceof CommentStep) {
+                if (step.comment) comments.set(step.id, step.comment);
+                else comments.delete(step.id);
+              } else if (replacesWholeDoc(step, tr.docs[i])) {
+                comments.clear();
+              } else {
+                const map = step.getMap();
+                for (const [id, c] of comments) comments.set(id, mapComment(c, map));
+              }
+            });
+          }
+          const tr = newState.tr;
+          for (const c of newState.doc.attrs.comments || []) {
+            const next = comments.get(c.id);
+            if (!next) tr.step(new CommentStep(c.id, null));
+            else if (next.from !== c.from || next.to !== c.to) tr.step(new CommentStep(c.id, next));
+          }
+          return tr.docChanged ? tr : null;
+        },
+
+        props: {
+          decorations(state) {
+            const comments = (state.doc.attrs.comments || []).filter((c) => !c.resolved && c.to > c.from);
+            if (!comments.length) return null;
+            return DecorationSet.create(
+              state.doc,
+              comments.map((c) => Decoration.inline(c.from, c.to, { class: "comment-range", "data-comment": c.id }))
+            );
+          },
+
+          handleTextInput(view, from, to, text) {
+            const review = reviewKey.getState(view.state);
+            if (!review.suggesting) return false;
+            const tr = view.state.tr;
+            const end = replaceText(view.state, tr, from, to, text);
+            view.dispatch(tr.setSelection(TextSelection.create(tr.doc, end)).scrollIntoView());
+            return true;
+          },
+
+          handleKeyDown(view, event) {
+            const review = reviewKey.getState(view.state);
+            if (!review.suggesting || (event.key !== "Backspace" && event.key !== "Delete")) return false;
+            const dir = event.key === "Backspace" ? -1 : 1;
+            const target = deleteTarget(view.state, dir);
+            // joining blocks is not tracked, so it is not done in suggestion mode
+            if (!target) return true;
+            const tr = suggestDelete(view.state.tr, target.from, target.to, review.author);
+            const cursor = dir < 0 ? tr.mapping.map(target.from, -1) : tr.mapping.map(target.to);
+            view.dispatch(tr.setSelection(TextSelection.create(tr.doc, cursor)).scrollIntoView());
+            return true;
+          },
+
+          handlePaste(view, event, slice) {
+            const review = reviewKey.getState(view.state);
+            if (!review.suggesting) return false;
+            const text = slice.content.textBetween(0, slice.content.size, " ", " ");
+            const { from, to } = view.state.selection;
+            const tr = view.state.tr;
+            const end = replaceText(view.state, tr, from, to, text);
+            view.dispatch(tr.setSelection(TextSelection.create(tr.doc, end)).scrollIntoView());
+            return true;
+          },
+
+          // moving text by drag and drop is not tracked
+          handleDrop: (view) => isSuggesting(view.state),
+
+          handleDOMEvents: {
+            cut(view, event) {
+              const review = reviewKey.getState(view.state);
+              const { from, to, empty } = view.state.selection;
+              if (!review.suggesting || empty || !event.clipboardData) return false;
+              event.preventDefault();
+              event.clipboardData.setData("text/plain", view.state.doc.textBetween(from, to, "\n\n"));
+              const tr = suggestDelete(view.state.tr, from, to, review.author);
+              view.dispatch(tr.setSelection(TextSelection.create(tr.doc, tr.mapping.map(from, -1))));
+              return true;
+            },
+          },
+        },
+      }),
+    ];
+  },
+});
@@ -0,0 +1,221 @@
+// src/sentenceAnalysis.js
+// Sentence coloring and hard-word detection for one block of text, independent of the editor.
+// DynamicHighlights turns the results into decorations; reports read them directly.
+import { analyzeSentence, countSyllables, DEFAULT_SPANISH_FORMULA } from "./readabilityUtils";
+import { countSpanishSyllables, resolveLanguage } from "./spanishText";
+import { SPANISH_WORD_MAP } from "./spanishWordMap";
+import { getSuggestions } from "./simpleWordMap";
+import { buildPhraseRegexSource } from "./textPatterns";
+import { findExemptRanges, inRanges, isExemptWord } from "./exemptTerms";
+import { runStyleRules } from "./styleRules";
+import { splitSentences, tokenizeWords } from "./tokenizer";
+import { DEFAULT_THRESHOLDS, defaultHardSyllables } from "./readabilityProfiles";
+
+/* ---------------- feature switches / thresholds ---------------- */
+// The thresholds themselves come from the active readability profile (readabilityProfiles.js).
+export const ENABLE_BLUE = true;
+
+// Spanish words run longer, so "hard" starts one syllable later.
+const SPANISH_EXTRA_SYLLABLES = 1;
+
+// Used for Spanish blocks when the caller has not loaded its own Spanish lists.
+const DEFAULT_SPANISH = { easySet: new Set(), wordMap: SPANISH_WORD_MAP, formula: DEFAULT_SPANISH_FORMULA };
+
+/* ---------------- helpers ---------------- */
+export const classify = (words, grade, target, thresholds = DEFAULT_THRESHOLDS) => {
+  const { deltaHard, deltaVeryHard, minYellowWords, minRedWords, longSentenceWords } = thresholds;
+  const delta = grade - target;
+  if (words < 8) return null;
+
+  if (delta >= deltaVeryHard && words >= minRedWords) return "red";
+  if (delta >= deltaHard && words >= minYellowWords) return "yellow";
+
+  if (ENABLE_BLUE && words >= longSentenceWords) return "blue";
+  return null;
+};
+
+export const tooltipMessage = (color) => {
+  if (color === "red") return "Much harder than your target—simplify or split.";
+  if (color === "yellow") return "A bit harder than your target—try simpler words or a split.";
+  if (color === "blue") return "Long sentence—consider a split.";
+  return "";
+};
+
+export const smartCase = (orig, simple) => {
+  if (!simple) return "";
+  if (orig === orig.toUpperCase()) return simple.toUpperCase();
+  if (orig[0] === orig[0].toUpperCase()) return simple[0].toUpperCase() + simple.slice(1);
+  return simple;
+};
+
+// Multi-word map keys; the alternation prefers the longest match. Cached per map.
+const phraseSources = new WeakMap();
+const getPhraseSource = (map) => {
+  if (!phraseSources.has(map)) {
+    phraseSources.set(map, buildPhraseRegexSource(Object.keys(map).filter((k) => /\s/.test(k))));
+  }
+  return phraseSources.get(map);
+};
+
+const quoted = (suggestions) => suggestions.map((s) => `“${s}”`).join(" or ");
+
+// Notes are read out at the cursor and printed by the command line; tips add how to act on them.
+export const phraseNote = (suggestions) => `Wordy phrase, try ${quoted(suggestions)}.`;
+export const phraseTip = (suggestions) => `${phraseNote(suggestions)} Click for options.`;
+
+export const hardWordNote = (suggestions) =>
+  suggestions.length ? `Likely hard word, try ${quoted(suggestions)}.` : "Likely hard word, consider a simpler option.";
+export const hardWordTip = (suggestions) =>
+  suggestions.length ? `${hardWordNote(suggestions)} Click for options.` : hardWordNote(suggestions);
+
+export const termNote = (term) =>
+  `“${term}” is not explained where it first appears. Define it here, or list it under Words to know.`;
+export const termTip = (term, hasDefinition) =>
+  hasDefinition ? `${termNote(term)} Click to insert your definition.` : termNote(term);
+
+// Acronyms are left to the unexplained-term check in glossary.js.
+const isAllCaps = (w) => w.length > 1 && w === w.toUpperCase();
+const isLikelyProperNoun = (w) => /^[A-Z][a-z]/.test(w) && !isAllCaps(w);
+
+/* ---------------- blocks ---------------- */
+export const isAnalyzedBlock = (node) => ["paragraph", "list_item", "heading"].includes(node.type.name);
+
+// One character per position, so hard breaks keep offsets aligned with the document.
+// Text suggested for deletion (reviewExtension.js) reads as spaces, as if the suggestion were accepted.
+export const blockText = (node) => {
+  let text = "";
+  node.forEach((child) => {
+    if (!child.isText) text += child.isLeaf ? "\n" : child.textBetween(0, child.content.size, undefined, "\n");
+    else if (child.marks.some((m) => m.type.name === "deletion")) text += " ".repeat(child.text.length);
+    else text += child.text;
+  });
+  return text;
+};
+
+// The whole document's text the same way, blocks separated by blank lines.
+export const documentText = (doc) => {
+  const blocks = [];
+  doc.descendants((node) => {
+    if (!node.isTextblock) return true;
+    blocks.push(blockText(node));
+    return false;
+  });
+  return blocks.join("\n\n");
+};
+
+/*
+ * settings: { targetGrade, thresholds, formula, showHardWords, easySet, wordMap, customHard, exempt,
+ *             rules, language, spanish: { easySet, wordMap, formula } }
+ * thresholds is profileThresholds() of the active profile; missing fields use the defaults.
+ * rules lists the enabled style rule ids (see styleRules.js).
+ * language is "en", "es" or "auto" (detect per block). Spanish blocks use the spanish lists
+ * and formula, and skip the English style rules.
+ * Returns offsets relative to the start of text, and the language used:
+ *   language:  "en" | "es"
+ *   sentences: [{ start, end, text, wordCount, syllableCount, grade, color }]
+ *   flags:     [{ start, end, text, key, kind: "word" | "phrase" | "rule", suggestions }]
+ *              rule flags also carry { rule, message }
+ */
+export function analyzeBlockText(text, settings) {
+  const language = resolveLanguage(text, settings.language);
+  const { targetGrade, formula, showHardWords, easySet, wordMap, customHard, exempt, rules } =
+    language === "es" ? { ...settings, ...DEFAULT_SPANISH, ...settings.spanish, rules: [] } : settings;
+  const thresholds = { ...DEFAULT_THRESHOLDS, ...settings.thresholds };
+  const sentences = [];
+  const flags = [];
+  if (!text.trim()) return { sentences, flags, language };
+
+  // phrase spans; words inside them are not flagged again
+  const phraseRanges = [];
+  const phraseRegexSource = showHardWords ? getPhraseSource(wordMap) : null;
+  if (phraseRegexSource) {
+    const phraseRegex = new RegExp(phraseRegexSource, "gi");
+    let pm;
+    while ((pm = phraseRegex.exec(text)) !== null) {
+      const phraseText = pm[0];
+      const key = phraseText.toLowerCase().replace(/\s+/g, " ");
+      if (easySet.has(key)) continue;
+      phraseRanges.push([pm.index, pm.index + phraseText.length]);
+      flags.push({
+        start: pm.index,
+        end: pm.index + phraseText.length,
+        text: phraseText,
+        key,
+        kind: "phrase",
+        suggestions: getSuggestions(key, wordMap),
+      });
+    }
+  }
+  const exemptRanges = findExemptRanges(text, exempt);
+
+  for (const { start: startInNode, end, text: s } of splitSentences(text)) {
+    const { wordCount, syllableCount, grade } = analyzeSentence(s, { exempt, easySet, formula, language });
+    const color = classify(wordCount, grade, targetGrade, thresholds);
+
+    sentences.push({
+      start: startInNode,
+      end,
+      text: s,
+      wordCount,
+      syllableCount,
+      grade,
+      color,
+    });
+
+    // style rules; words inside a finding that offers a rewrite are not flagged again
+    const ruleRanges = [];
+    for (const f of runStyleRules(s, rules)) {
+      const from = startInNode + f.start;
+      const to = startInNode + f.end;
+      if (phraseRanges.some(([a, b]) => from < b && to > a)) continue;
+      if (f.suggestions.length) ruleRanges.push([from, to]);
+      flags.push({
+        start: from,
+        end: to,
+        text: text.slice(from, to),
+        key: f.rule,
+        kind: "rule",
+        rule: f.rule,
+        message: f.message,
+        suggestions: f.suggestions,
+      });
+    }
+
+    if (showHardWords) {
+      const thresh = (thresholds.hardSyllables ?? defaultHardSyllables(targetGrade)) +
+        (language === "es" ? SPANISH_EXTRA_SYLLABLES : 0);
+      const syllablesOf = language === "es" ? countSpanishSyllables : countSyllables;
+      let tokenIndex = 0;
+      for (const token of tokenizeWords(s)) {
+        const w = token.text;
+        const lower = w.toLowerCase();
+
+        if (token.kind !== "word") { tokenIndex++; continue; }
+        if (tokenIndex > 0 && isLikelyProperNoun(w)) { tokenIndex++; continue; }
+        if (isAllCaps(w)) { tokenIndex++; continue; }
+        if (isExemptWord(w, exempt)) { tokenIndex++; continue; }
+        const at = startInNode + token.start;
+        if (inRanges(phraseRanges, at) || inRanges(exemptRanges, at) || inRanges(ruleRanges, at)) { tokenIndex++; continue; }
+
+        const syl = syllablesOf(w);
+        const isHard = syl >= thresh || customHard.has(lower);
+        const isEasy = easySet.has(lower);
+
+        if (!isEasy && isHard) {
+          flags.push({
+            start: at,
+            end: at + w.length,
+            text: w,
+            key: lower,
+            kind: "word",
+            suggestions: getSuggestions(lower, wordMap),
+          });
+        }
+        tokenIndex++;
+      }
+    }
+  }
+
+  flags.sort((a, b) => a.start - b.start);
+  return { sentences, flags, language };
+}
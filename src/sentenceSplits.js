@@ -0,0 +1,227 @@
+// src/sentenceSplits.js
+// Ways to break up one long English sentence: at a semicolon, before a joining word
+// ("and", "but", ...), around a "which" or "because" clause, or by turning a list of
+// three or more items into bullets. Pure text in, candidates out; the editor applies them.
+//
+// A split candidate is a list of edits on the sentence text:
+//   { type: "split", label, edits: [{ from, to, insert }], text }   text is the result
+// A bullet candidate gives the intro and item ranges within the sentence:
+//   { type: "bullets", label, intro: { start, end }, items: [{ start, end, text }] }
+import { analyzeSentence } from "./readabilityUtils";
+import { splitSentences, tokenizeWords } from "./tokenizer";
+
+const MIN_PART_WORDS = 4;
+const MAX_ITEM_WORDS = 12;
+
+const wordCount = (text) => tokenizeWords(text).length;
+const upperFirst = (s) => s.charAt(0).toUpperCase() + s.slice(1);
+
+// Words that usually start a new clause after "and" or "but", rather than another list item.
+const CLAUSE_STARTS = new Set([
+  "i", "you", "we", "they", "he", "she", "it", "this", "that", "these", "those", "there",
+  "our", "your", "their", "his", "her", "its", "my", "many", "some", "most", "each", "no",
+]);
+const DETERMINERS = new Set(["the", "a", "an", "your", "our", "their", "his", "her", "its", "my", "any", "all", "each", "every"]);
+// Verbs that often open a "which" clause; others are guessed from their -s or -ed ending.
+const CLAUSE_VERBS = new Set([
+  "is", "are", "was", "were", "has", "have", "had", "does", "did", "will", "would", "can", "could",
+  "may", "might", "must", "should", "shall", "lets", "gave", "took", "made", "came", "went", "sent",
+]);
+const LIST_INTRO = /(?:\b(?:including|include|includes|such as|like|for example)|:)\s*/gi;
+
+// Apply non-overlapping edits to text, given in any order.
+export function applyEdits(text, edits) {
+  let out = text;
+  for (const { from, to, insert } of [...edits].sort((a, b) => b.from - a.from)) {
+    out = out.slice(0, from) + insert + out.slice(to);
+  }
+  return out;
+}
+
+// Offset of the sentence's closing punctuation, or its length when there is none.
+const closingAt = (text) => {
+  const m = text.match(/[.!?…]+["'”’)\]]*$/);
+  return m ? m.index : text.length;
+};
+
+// Replaces text[from, to) with a sentence break, capitalizing the next word.
+const breakAt = (text, from, to, lead = "") => {
+  const next = text.charAt(to);
+  return { from, to: to + 1, insert: `. ${lead ? `${lead} ${next}` : next.toUpperCase()}` };
+};
+
+const splitCandidate = (text, label, edits) => ({ type: "split", label, edits, text: applyEdits(text, edits) });
+
+function semicolons(text) {
+  const out = [];
+  const re = /;\s+/g;
+  let m;
+  while ((m = re.exec(text)) !== null) {
+    const end = m.index + m[0].length;
+    if (wordCount(text.slice(0, m.index)) < MIN_PART_WORDS || wordCount(text.slice(end)) < MIN_PART_WORDS) continue;
+    out.push(splitCandidate(text, "At the semicolon", [breakAt(text, m.index, end)]));
+  }
+  return out;
+}
+
+function conjunctions(text, list) {
+  const out = [];
+  const re = /,\s+(and|but|or|so|yet)\s+/gi;
+  let m;
+  while ((m = re.exec(text)) !== null) {
+    const before = text.slice(0, m.index);
+    const end = m.index + m[0].length;
+    const next = (tokenizeWords(text.slice(end))[0] || { text: "" }).text;
+    // "apples, pears, and plums" is a list, not two clauses
+    const earlierItems = before.split(",").slice(1);
+    if (earlierItems.length && earlierItems.every((seg) => wordCount(seg) <= 3)) continue;
+    if (list && m.index >= list.items[0].start && m.index < list.items[list.items.length - 1].start) continue;
+    if (wordCount(before) < MIN_PART_WORDS || wordCount(text.slice(end)) < MIN_PART_WORDS) continue;
+    if (!CLAUSE_STARTS.has(next.toLowerCase()) && next.charAt(0) !== next.charAt(0).toUpperCase()) continue;
+    const word = m[1].toLowerCase();
+    // "and" can simply go; the others carry meaning and start the new sentence
+    const lead = word === "and" ? "" : upperFirst(word);
+    out.push(splitCandidate(text, `Before “${m[1]}”`, [breakAt(text, m.index, end, lead)]));
+  }
+  return out;
+}
+
+// Words that can follow a verb ending in -s; "which explains your", not "which members receive".
+const AFTER_VERB = new Set([
+  ...CLAUSE_STARTS, ...DETERMINERS, "to", "in", "on", "at", "for", "with", "from", "by", "of", "about",
+  "how", "what", "when", "why", "if", "more", "most", "less", "only", "also", "up", "out",
+]);
+
+// "which is due", not "which we sent": only then can the clause stand alone after "It" or "This".
+const startsWithVerb = (clause) => {
+  const [first, second] = tokenizeWords(clause).map((t) => t.text);
+  if (!first || first !== first.toLowerCase() || CLAUSE_STARTS.has(first) || DETERMINERS.has(first)) return false;
+  if (CLAUSE_VERBS.has(first) || first.endsWith("ed")) return true;
+  return /[^su]s$/.test(first) && (!second || AFTER_VERB.has(second.toLowerCase()));
+};
+
+function whichClauses(text) {
+  const out = [];
+  const re = /,\s+which\s+/gi;
+  let m;
+  while ((m = re.exec(text)) !== null) {
+    const clauseStart = m.index + m[0].length;
+    if (!startsWithVerb(text.slice(clauseStart))) continue;
+    const comma = text.indexOf(",", clauseStart);
+    const closing = closingAt(text);
+    if (comma !== -1 && comma < closing && wordCount(text.slice(comma, closing)) >= 2) {
+      // "The form, which is due Monday, must be signed." -> "The form must be signed. It is due Monday."
+      const clause = text.slice(clauseStart, comma).trim();
+      const main = text.slice(0, m.index) + text.slice(comma + 1, closing);
+      if (wordCount(clause) < 2 || wordCount(main) < MIN_PART_WORDS) continue;
+      out.push(splitCandidate(text, "Move the “which” part to its own sentence", [
+        { from: m.index, to: comma + 1, insert: "" },
+        { from: closing, to: closing, insert: `. It ${clause}` },
+      ]));
+    } else if (wordCount(text.slice(0, m.index)) >= MIN_PART_WORDS && wordCount(text.slice(clauseStart, closing)) >= 2) {
+      out.push(splitCandidate(text, "Before “which”", [{ from: m.index, to: clauseStart, insert: ". This " }]));
+    }
+  }
+  return out;
+}
+
+function becauseClauses(text) {
+  const out = [];
+  const re = /,?\s+because\s+/gi;
+  let m;
+  while ((m = re.exec(text)) !== null) {
+    const end = m.index + m[0].length;
+    if (wordCount(text.slice(0, m.index)) < MIN_PART_WORDS || wordCount(text.slice(end, closingAt(text))) < MIN_PART_WORDS) continue;
+    out.push(splitCandidate(text, "Before “because”", [{ from: m.index, to: end, insert: ". This is because " }]));
+  }
+  return out;
+}
+
+// Where the list starts: after a colon or "including", else at the determiner the other items share.
+function listStart(body, pre, segments, rest) {
+  let intro = null;
+  let im;
+  LIST_INTRO.lastIndex = 0;
+  while ((im = LIST_INTRO.exec(pre)) !== null) intro = im.index + im[0].length;
+  if (intro !== null && pre.indexOf(",", intro) !== -1) return intro;
+
+  const first = (s) => ((tokenizeWords(s)[0] || { text: "" }).text || "").toLowerCase();
+  const shared = first(rest);
+  if (!DETERMINERS.has(shared) || !segments.slice(1).every((seg) => first(seg.text) === shared)) return null;
+  const head = segments[0];
+  const words = tokenizeWords(head.text).filter((t) => t.text.toLowerCase() === shared);
+  return words.length ? head.start + words[words.length - 1].start : null;
+}
+
+function bulletList(text) {
+  const body = text.slice(0, closingAt(text));
+  // the last "and"/"or" with no comma after it introduces the final item
+  let last = null;
+  const re = /(?:,\s*|\s+)(?:and|or)\s+/gi;
+  let m;
+  while ((m = re.exec(body)) !== null) {
+    if (!body.slice(m.index + m[0].length).includes(",")) { last = m; break; }
+  }
+  if (!last) return [];
+  const pre = body.slice(0, last.index);
+  const restStart = last.index + last[0].length;
+  const rest = body.slice(restStart);
+
+  const segments = [];
+  const sep = /,\s*/g;
+  let from = 0;
+  let sm;
+  while ((sm = sep.exec(pre)) !== null) {
+    segments.push({ start: from, text: pre.slice(from, sm.index) });
+    from = sm.index + sm[0].length;
+  }
+  segments.push({ start: from, text: pre.slice(from) });
+  if (segments.length < 2) return [];
+
+  const start = listStart(body, pre, segments, rest);
+  if (start === null || !wordCount(body.slice(0, start))) return [];
+
+  const items = [];
+  const itemRe = /[^,]+/g;
+  let am;
+  const listPart = pre.slice(start);
+  while ((am = itemRe.exec(listPart)) !== null) {
+    const raw = am[0];
+    const lead = raw.length - raw.trimStart().length;
+    const value = raw.trim();
+    if (value) items.push({ start: start + am.index + lead, end: start + am.index + lead + value.length, text: value });
+  }
+  items.push({ start: restStart, end: restStart + rest.trimEnd().length, text: rest.trim() });
+  if (items.length < 3 || items.some((i) => !wordCount(i.text) || wordCount(i.text) > MAX_ITEM_WORDS)) return [];
+
+  const introEnd = body.slice(0, start).replace(/[\s,:]+$/, "").length;
+  return [{ type: "bullets", label: "As a bulleted list", intro: { start: 0, end: introEnd }, items }];
+}
+
+// The three or more items run together in sentence, as a bullet candidate, or null.
+export const inlineList = (text) => bulletList(text)[0] || null;
+
+/*
+ * Split and bullet candidates for one sentence (trimmed text, as from splitSentences()).
+ * Candidates are in the order the sentence reads; bullets come last.
+ */
+export function splitCandidates(text) {
+  const bullets = bulletList(text);
+  const splits = [...semicolons(text), ...conjunctions(text, bullets[0]), ...whichClauses(text), ...becauseClauses(text)]
+    .sort((a, b) => a.edits[0].from - b.edits[0].from);
+  return [...splits, ...bullets];
+}
+
+/*
+ * What a candidate turns the sentence into, one line per sentence or list line, each with its
+ * grade: [{ text, grade, bullet }]. settings is analyzeBlockText()'s (exempt, easySet, formula).
+ */
+export function splitPreview(text, candidate, { exempt, easySet, formula } = {}) {
+  const lines = candidate.type === "bullets"
+    ? [
+        { text: `${text.slice(candidate.intro.start, candidate.intro.end)}:`, bullet: false },
+        ...candidate.items.map((i) => ({ text: i.text, bullet: true })),
+      ]
+    : splitSentences(candidate.text).map((s) => ({ text: s.text, bullet: false }));
+  return lines.map((line) => ({ ...line, grade: analyzeSentence(line.text, { exempt, easySet, formula }).grade }));
+}
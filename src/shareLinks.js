@@ -0,0 +1,83 @@
+// src/shareLinks.js
+// Shareable links without a server: the document, its readability profile and the settings
+// behind its highlights, compressed into the URL fragment. Browsers never send the fragment
+// to the server, so the text only travels with the link itself.
+//   #share=<encoding>.<data>   encoding "d" is deflate-raw, "j" plain JSON; data is base64url
+// Shape: { mode, name, doc, profile, formula, language, spanishFormula, rules, showHardWords, dictionary }
+import { FORMULAS, SPANISH_FORMULAS, DEFAULT_FORMULA, DEFAULT_SPANISH_FORMULA } from "./readabilityUtils";
+import { LANGUAGES } from "./spanishText";
+import { STYLE_RULES } from "./styleRules";
+import { normalizeProfile } from "./readabilityProfiles";
+import { normalizeDictionary } from "./personalDictionary";
+
+const PREFIX = "#share=";
+const VERSION = 1;
+
+// view opens read-only with the writer's settings; edit opens as a new draft of the reviewer's own
+export const SHARE_MODES = {
+  view: "Read only",
+  edit: "Editable copy",
+};
+
+// Some email and chat apps cut links longer than this.
+export const LONG_LINK_CHARS = 8000;
+
+export const hasShare = (hash) => typeof hash === "string" && hash.startsWith(PREFIX);
+
+const canCompress = () => typeof CompressionStream === "function" && typeof DecompressionStream === "function";
+
+const pipe = async (bytes, transform) =>
+  new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(transform)).arrayBuffer());
+
+const toBase64Url = (bytes) => {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+};
+
+const fromBase64Url = (text) => Uint8Array.from(atob(text.replace(/-/g, "+").replace(/_/g, "/")), (c) => c.charCodeAt(0));
+
+// Accepts anything parsed from a link and returns a complete share, or throws.
+export function normalizeShare(raw) {
+  if (!raw || raw.v !== VERSION || !raw.doc || raw.doc.type !== "doc") {
+    throw new Error("the link is damaged or from a newer version");
+  }
+  const rules = raw.rules && typeof raw.rules === "object" ? raw.rules : {};
+  return {
+    mode: SHARE_MODES[raw.mode] ? raw.mode : "view",
+    name: String(raw.name || "").trim() || "Shared draft",
+    doc: raw.doc,
+    profile: normalizeProfile(raw.profile),
+    formula: FORMULAS[raw.formula] ? raw.formula : DEFAULT_FORMULA,
+    language: LANGUAGES[raw.language] ? raw.language : "auto",
+    spanishFormula: SPANISH_FORMULAS[raw.spanishFormula] ? raw.spanishFormula : DEFAULT_SPANISH_FORMULA,
+    rules: Object.fromEntries(STYLE_RULES.map((r) => [r.id, rules[r.id] !== false])),
+    showHardWords: raw.showHardWords !== false,
+    dictionary: normalizeDictionary(raw.dictionary),
+  };
+}
+
+// The fragment for share, starting with "#".
+export async function encodeShare(share) {
+  const bytes = new TextEncoder().encode(JSON.stringify({ v: VERSION, ...share }));
+  if (!canCompress()) return `${PREFIX}j.${toBase64Url(bytes)}`;
+  return `${PREFIX}d.${toBase64Url(await pipe(bytes, new CompressionStream("deflate-raw")))}`;
+}
+
+// The share in a location hash; throws with a readable message when it cannot be opened.
+export async function decodeShare(hash) {
+  const [encoding, data = ""] = hash.slice(PREFIX.length).split(".");
+  if (encoding !== "d" && encoding !== "j") throw new Error("this is not a Sentence Scratcher link");
+  if (encoding === "d" && !canCompress()) throw new Error("this browser cannot open compressed links");
+  let raw;
+  try {
+    const bytes = fromBase64Url(data);
+    raw = JSON.parse(new TextDecoder().decode(encoding === "d" ? await pipe(bytes, new DecompressionStream("deflate-raw")) : bytes));
+  } catch {
+    throw new Error("the link is incomplete or damaged");
+  }
+  return normalizeShare(raw);
+}
+
+// The page's own address with the fragment; the fragment is never sent to the server.
+export const shareUrl = (fragment) => `${window.location.origin}${window.location.pathname}${window.location.search}${fragment}`;
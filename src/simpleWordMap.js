@@ -1,6 +1,7 @@
 // src/simpleWordMap.js
 // Map of harder words or phrases -> simpler alternative.
 // Keys are lowercase. Preserve the user's capitalization when you display suggestions.
+// A value may be a single string or a list of options, best first.
 export const SIMPLE_WORD_MAP = {
   "accompany": "go with",
   "accomplish": "do",
@@ -21,20 +22,20 @@ export const SIMPLE_WORD_MAP = {
   "apparent": "clear",
   "appreciable": "many",
   "appropriate": "proper",
-  "approximately": "about",
+  "approximately": ["about", "around"],
   "as a means of": "to",
   "ascertain": "find out",
-  "assist": "help",
+  "assist": ["help", "aid"],
   "assistance": "help",
   "assistance with": "help with",
   "attain": "meet",
-  "attempt": "try",
+  "attempt": ["try", "effort"],
   "at the present time": "now",
   "benefit": "help",
   "capability": "ability",
   "close proximity": "near",
   "combined": "joint",
-  "commence": "begin",
+  "commence": ["begin", "start"],
   "comply with": "follow",
   "comprise": "include",
   "concerning": "about",
@@ -46,7 +47,7 @@ export const SIMPLE_WORD_MAP = {
   "currently": "now",
   "deem": "consider",
   "delete": "cut",
-  "demonstrate": "show",
+  "demonstrate": ["show", "prove"],
   "depart": "leave",
   "designate": "appoint",
   "desire": "want",
@@ -98,7 +99,6 @@ export const SIMPLE_WORD_MAP = {
   "initial": "first",
   "initiate": "start",
   "in lieu of": "instead of",
-  "in order to": "to",
   "in regard to": "about",
   "in relation to": "about",
   "in the event that": "if",
@@ -195,7 +195,24 @@ export const SIMPLE_WORD_MAP = {
   "remainder": "rest",
   "renumeration": "payment", // common misspelling
   "requisition": "request",
-  "subsequently": "later",
-  "terminate services": "end services",
+  "subsequently": ["later", "then"],
+  "terminate services": ["end services", "stop services"],
   "utilization": "use"
 };
+
+// All suggestions for a lowercase word or phrase, as a list (empty if none).
+// Only the map's own keys count, so "constructor" is not taken for an entry.
+export function getSuggestions(key, map = SIMPLE_WORD_MAP) {
+  const value = Object.prototype.hasOwnProperty.call(map, key) ? map[key] : null;
+  if (!value) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// Personal mappings (see personalDictionary.js) on top of a built-in map; theirs come first.
+export function mergeWordMaps(customMap, base = SIMPLE_WORD_MAP) {
+  const merged = Object.assign(Object.create(null), base);
+  for (const [key, options] of Object.entries(customMap || {})) {
+    merged[key] = [...new Set([...options, ...getSuggestions(key, base)])];
+  }
+  return merged;
+}
@@ -0,0 +1,67 @@
+// src/spanishText.js
+// Spanish syllable counting and the English/Spanish guess used by "Auto" language mode.
+
+/* ---------------- syllables ---------------- */
+// Accented i and u break a diphthong ("país", "día"), so they count as strong vowels here.
+const STRONG = "aeoáéóíú";
+const WEAK = "iuü";
+
+export function countSpanishSyllables(word) {
+  let w = word.toLowerCase().normalize("NFC").replace(/[^a-záéíóúüñ]/g, "");
+  if (!w) return 1;
+  // silent u in que, qui, gue, gui
+  w = w.replace(/([qg])u([eiéí])/g, "$1$2");
+  // y is a vowel when no vowel follows it ("hoy", "muy", "y")
+  w = w.replace(/y(?![aeiouáéíóú])/g, "i");
+
+  let count = 0;
+  let prev = null;
+  for (const ch of w) {
+    const kind = STRONG.includes(ch) ? "strong" : WEAK.includes(ch) ? "weak" : null;
+    if (!kind) { prev = null; continue; }
+    // two strong vowels are in hiatus; a pair with an unaccented weak vowel is a diphthong
+    if (!prev || (prev === "strong" && kind === "strong")) count++;
+    prev = kind;
+  }
+  return count || 1;
+}
+
+/* ---------------- language detection ---------------- */
+// Frequent function words that are not also common in the other language.
+const SPANISH_MARKERS = new Set([
+  "el", "la", "los", "las", "de", "del", "que", "y", "en", "un", "una", "unos", "por", "para",
+  "con", "es", "se", "su", "sus", "al", "lo", "como", "más", "pero", "le", "les", "ya", "este",
+  "esta", "estos", "porque", "entre", "cuando", "muy", "sin", "sobre", "también", "hasta", "hay",
+  "donde", "quien", "desde", "todo", "nos", "durante", "usted", "ustedes", "puede", "debe", "son",
+  "si", "sí", "fue", "ser", "está", "están", "tiene", "tienen", "nuestro", "nuestra",
+]);
+const ENGLISH_MARKERS = new Set([
+  "the", "and", "of", "to", "is", "in", "that", "it", "you", "for", "with", "are", "this", "be",
+  "on", "your", "was", "have", "not", "or", "we", "our", "will", "can", "from", "by", "they",
+  "has", "at", "an", "if", "do", "must", "may", "would", "should", "their", "which", "there",
+]);
+
+// "en", "es", or null when there is too little text to tell.
+export function detectLanguage(text) {
+  const words = text.toLowerCase().match(/\p{L}+/gu) || [];
+  if (words.length < 3) return null;
+  let es = 0;
+  let en = 0;
+  for (const w of words) {
+    if (SPANISH_MARKERS.has(w)) es++;
+    if (ENGLISH_MARKERS.has(w)) en++;
+  }
+  if (/[ñ¿¡]/i.test(text)) es += 2;
+  if (es === en) return null;
+  return es > en ? "es" : "en";
+}
+
+export const LANGUAGES = {
+  auto: { label: "Auto (per paragraph)" },
+  en: { label: "English" },
+  es: { label: "Español" },
+};
+
+// The language to analyze text in, given the document setting ("auto", "en" or "es").
+export const resolveLanguage = (text, setting) =>
+  setting === "es" || setting === "en" ? setting : detectLanguage(text) || "en";
@@ -0,0 +1,62 @@
+// src/spanishWordMap.js
+// Spanish counterpart of SIMPLE_WORD_MAP: bureaucratic words and phrases -> plain options.
+// Same rules: lowercase keys, a value is a string or a list of options, best first.
+export const SPANISH_WORD_MAP = {
+  "a efectos de": "para",
+  "a la mayor brevedad": ["pronto", "lo antes posible"],
+  "abonar": "pagar",
+  "adjuntar": "enviar con",
+  "adquirir": "comprar",
+  "aproximadamente": "cerca de",
+  "asimismo": "también",
+  "beneficiario": "persona que recibe",
+  "cesar": ["dejar", "parar"],
+  "con anterioridad a": "antes de",
+  "con el fin de": "para",
+  "con posterioridad a": "después de",
+  "con respecto a": "sobre",
+  "conforme a": "según",
+  "cumplimentar": "llenar",
+  "dar comienzo": "empezar",
+  "de conformidad con": "según",
+  "debido a que": "porque",
+  "denegar": "negar",
+  "dicho": "este",
+  "efectuar": "hacer",
+  "efectuar el pago": "pagar",
+  "en el caso de que": "si",
+  "en el supuesto de que": "si",
+  "en la actualidad": "ahora",
+  "en relación con": "sobre",
+  "en virtud de": ["por", "según"],
+  "en vista de que": "como",
+  "fallecer": "morir",
+  "fallecimiento": "muerte",
+  "finalizar": "terminar",
+  "formular una solicitud": "pedir",
+  "hacer entrega de": "entregar",
+  "iniciar": "empezar",
+  "llevar a cabo": "hacer",
+  "mediante": "con",
+  "no obstante": "pero",
+  "notificar": "avisar",
+  "obtener": "conseguir",
+  "otorgar": "dar",
+  "percibir": "recibir",
+  "por consiguiente": "por eso",
+  "por medio de": "con",
+  "posteriormente": "después",
+  "previamente": "antes",
+  "previo a": "antes de",
+  "proporcionar": "dar",
+  "remitir": "enviar",
+  "requerir": "necesitar",
+  "requisito": "condición",
+  "residir": "vivir",
+  "solicitar": "pedir",
+  "solicitud": "pedido",
+  "subsanar": "corregir",
+  "tener conocimiento de": "saber",
+  "utilizar": "usar",
+  "vigente": "actual",
+};
@@ -0,0 +1,16 @@
+// src/statsWorker.js
+// Document-wide statistics off the main thread.
+//   { type: "options", options }   sets what later counts use (see documentStats)
+//   { type: "syllables", list }    installs the syllable exceptions
+//   { type: "stats", id, text }    replies { id, stats }
+/* eslint-disable no-restricted-globals */
+import { documentStats } from "./readabilityUtils";
+import { setSyllableExceptions } from "./syllables";
+
+let options = {};
+
+self.onmessage = ({ data }) => {
+  if (data.type === "options") options = data.options;
+  else if (data.type === "syllables") setSyllableExceptions(data.list);
+  else if (data.type === "stats") self.postMessage({ id: data.id, stats: documentStats(data.text, options) });
+};
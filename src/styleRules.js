@@ -0,0 +1,230 @@
+// src/styleRules.js
+// Plain-language style rules. Each rule receives a tokenized sentence
+//   { text, tokens: [{ text, lower, start, end, kind }] }   (see tokenizer.js)
+// and returns findings with offsets relative to the sentence:
+//   [{ start, end, message, suggestions? }]
+// Add a rule by appending to STYLE_RULES; the legend lists every rule with a toggle.
+import { tokenizeWords } from "./tokenizer";
+
+const tokenizeSentence = (text) => ({
+  text,
+  tokens: tokenizeWords(text).map((t) => ({ ...t, lower: t.text.toLowerCase() })),
+});
+
+/* ---------------- passive voice ---------------- */
+const BE_FORMS = new Set(["am", "is", "are", "was", "were", "be", "been", "being"]);
+const BETWEEN = new Set(["not", "also", "already", "always", "never", "often", "still", "usually", "then"]);
+const IRREGULAR_PARTICIPLES = new Set([
+  "begun", "bought", "brought", "built", "caught", "chosen", "done", "drawn", "driven", "eaten",
+  "felt", "found", "forgiven", "forgotten", "given", "grown", "heard", "held", "hidden", "kept",
+  "known", "laid", "led", "left", "lost", "made", "meant", "met", "paid", "said", "seen", "sent",
+  "shown", "sold", "sought", "spent", "spoken", "stolen", "taken", "taught", "thought", "told",
+  "thrown", "understood", "withheld", "won", "worn", "written",
+]);
+// "-ed" words that are adjectives or not verbs at all after "be"
+const NOT_PARTICIPLES = new Set([
+  "bored", "concerned", "excited", "hundred", "indeed", "interested", "married", "naked",
+  "pleased", "scared", "sacred", "supposed", "surprised", "tired", "used", "wicked", "worried",
+]);
+
+const isParticiple = (lower) =>
+  !NOT_PARTICIPLES.has(lower) && (IRREGULAR_PARTICIPLES.has(lower) || (lower.length > 4 && lower.endsWith("ed")));
+
+function passiveVoice({ tokens }) {
+  const out = [];
+  for (let i = 0; i < tokens.length; i++) {
+    if (!BE_FORMS.has(tokens[i].lower)) continue;
+    let j = i + 1;
+    if (tokens[j] && (BETWEEN.has(tokens[j].lower) || tokens[j].lower.endsWith("ly"))) j++;
+    if (!tokens[j] || !isParticiple(tokens[j].lower)) continue;
+    const byAgent = tokens[j + 1] && tokens[j + 1].lower === "by";
+    out.push({
+      start: tokens[i].start,
+      end: tokens[byAgent ? j + 1 : j].end,
+      message: byAgent
+        ? "Passive voice. Start with who does the action (the words after “by”)."
+        : "Passive voice. Say who does the action.",
+    });
+    i = j;
+  }
+  return out;
+}
+
+/* ---------------- nominalizations ---------------- */
+// light verb forms: base, third person, past, -ing
+const LIGHT_VERBS = {
+  conduct: ["conduct", "conducts", "conducted", "conducting"],
+  give: ["give", "gives", "gave", "giving"],
+  have: ["have", "has", "had", "having"],
+  make: ["make", "makes", "made", "making"],
+  perform: ["perform", "performs", "performed", "performing"],
+  provide: ["provide", "provides", "provided", "providing"],
+  reach: ["reach", "reaches", "reached", "reaching"],
+  take: ["take", "takes", "took", "taking"],
+};
+const ARTICLES = new Set(["a", "an", "the"]);
+
+// [light verb, noun words, plain verb]
+const NOMINALIZATIONS = [
+  ["make", "decision", "decide"],
+  ["make", "recommendation", "recommend"],
+  ["make", "assessment of", "assess"],
+  ["make", "application", "apply"],
+  ["make", "reference to", "refer to"],
+  ["make", "improvement", "improve"],
+  ["make", "change", "change"],
+  ["provide", "assistance", "help"],
+  ["provide", "information", "tell"],
+  ["provide", "support", "support"],
+  ["give", "consideration to", "consider"],
+  ["give", "approval", "approve"],
+  ["give", "assistance", "help"],
+  ["conduct", "investigation", "investigate"],
+  ["conduct", "review of", "review"],
+  ["conduct", "analysis of", "analyze"],
+  ["perform", "analysis of", "analyze"],
+  ["perform", "review of", "review"],
+  ["reach", "conclusion", "conclude"],
+  ["reach", "agreement", "agree"],
+  ["have", "discussion", "discuss"],
+  ["take", "into consideration", "consider"],
+].map(([verb, noun, plain]) => ({ verb, nounWords: noun.split(" "), plain }));
+
+// the same forms of each plain verb
+const PLAIN_VERBS = {
+  agree: ["agree", "agrees", "agreed", "agreeing"],
+  analyze: ["analyze", "analyzes", "analyzed", "analyzing"],
+  apply: ["apply", "applies", "applied", "applying"],
+  approve: ["approve", "approves", "approved", "approving"],
+  assess: ["assess", "assesses", "assessed", "assessing"],
+  change: ["change", "changes", "changed", "changing"],
+  conclude: ["conclude", "concludes", "concluded", "concluding"],
+  consider: ["consider", "considers", "considered", "considering"],
+  decide: ["decide", "decides", "decided", "deciding"],
+  discuss: ["discuss", "discusses", "discussed", "discussing"],
+  help: ["help", "helps", "helped", "helping"],
+  improve: ["improve", "improves", "improved", "improving"],
+  investigate: ["investigate", "investigates", "investigated", "investigating"],
+  recommend: ["recommend", "recommends", "recommended", "recommending"],
+  refer: ["refer", "refers", "referred", "referring"],
+  review: ["review", "reviews", "reviewed", "reviewing"],
+  support: ["support", "supports", "supported", "supporting"],
+  tell: ["tell", "tells", "told", "telling"],
+};
+
+// form index as in LIGHT_VERBS; "refer to" keeps its "to"
+const inflect = (verb, form) => {
+  const [first, ...rest] = verb.split(" ");
+  return [PLAIN_VERBS[first][form], ...rest].join(" ");
+};
+
+function nominalizations({ tokens }) {
+  const out = [];
+  for (let i = 0; i < tokens.length; i++) {
+    for (const entry of NOMINALIZATIONS) {
+      const form = LIGHT_VERBS[entry.verb].indexOf(tokens[i].lower);
+      if (form === -1) continue;
+      let j = i + 1;
+      if (tokens[j] && ARTICLES.has(tokens[j].lower)) j++;
+      const matches = entry.nounWords.every((w, k) => {
+        const t = tokens[j + k];
+        return t && (t.lower === w || t.lower === `${w}s`);
+      });
+      if (!matches) continue;
+      const last = tokens[j + entry.nounWords.length - 1];
+      const plain = inflect(entry.plain, form);
+      out.push({
+        start: tokens[i].start,
+        end: last.end,
+        message: `Hidden verb. Try “${plain}”.`,
+        suggestions: [plain],
+      });
+      i = j + entry.nounWords.length - 1;
+      break;
+    }
+  }
+  return out;
+}
+
+/* ---------------- wordiness ---------------- */
+// filler phrase -> shorter wording; "" means the words can simply go
+const FILLER = {
+  "absolutely essential": ["essential"],
+  "actually": [""],
+  "as a matter of fact": ["in fact"],
+  "at this point in time": ["now"],
+  "basically": [""],
+  "despite the fact that": ["although"],
+  "each and every": ["every", "each"],
+  "end result": ["result"],
+  "first and foremost": ["first"],
+  "future plans": ["plans"],
+  "has the ability to": ["can"],
+  "have the ability to": ["can"],
+  "in order to": ["to"],
+  "in spite of the fact that": ["although"],
+  "in terms of": ["about", "for"],
+  "is able to": ["can"],
+  "are able to": ["can"],
+  "it is important to note that": [""],
+  "it should be noted that": [""],
+  "needless to say": [""],
+  "past history": ["history"],
+  "really": [""],
+  "the reason why is that": ["because"],
+  "whether or not": ["whether"],
+};
+const FILLER_PHRASES = Object.keys(FILLER).map((k) => k.split(" "));
+
+function wordiness({ tokens }) {
+  const out = [];
+  for (let i = 0; i < tokens.length; i++) {
+    // longest phrase first
+    const hit = FILLER_PHRASES
+      .filter((words) => words.every((w, k) => tokens[i + k] && tokens[i + k].lower === w))
+      .sort((a, b) => b.length - a.length)[0];
+    if (!hit) continue;
+    const key = hit.join(" ");
+    const suggestions = FILLER[key];
+    out.push({
+      start: tokens[i].start,
+      end: tokens[i + hit.length - 1].end,
+      message: suggestions[0] ? `Wordy. Try “${suggestions[0]}”.` : "Filler. You can usually cut this.",
+      suggestions,
+    });
+    i += hit.length - 1;
+  }
+  return out;
+}
+
+/* ---------------- registry ---------------- */
+export const STYLE_RULES = [
+  { id: "passive", label: "Passive voice", check: passiveVoice },
+  { id: "nominalization", label: "Hidden verb", check: nominalizations },
+  { id: "wordiness", label: "Filler", check: wordiness },
+];
+
+export const DEFAULT_RULE_TOGGLES = Object.fromEntries(STYLE_RULES.map((r) => [r.id, true]));
+
+export const ruleLabel = (id) => (STYLE_RULES.find((r) => r.id === id) || {}).label || id;
+
+// Findings of the enabled rules for one sentence, sorted and tagged with their rule id.
+// Where findings overlap, the one that starts first wins.
+export function runStyleRules(sentenceText, enabledIds) {
+  if (!enabledIds || !enabledIds.length) return [];
+  const sentence = tokenizeSentence(sentenceText);
+  const findings = [];
+  for (const rule of STYLE_RULES) {
+    if (!enabledIds.includes(rule.id)) continue;
+    for (const f of rule.check(sentence)) {
+      findings.push({ suggestions: [], ...f, rule: rule.id });
+    }
+  }
+  findings.sort((a, b) => a.start - b.start || b.end - a.end);
+  let reached = -1;
+  return findings.filter((f) => {
+    if (f.start < reached) return false;
+    reached = f.end;
+    return true;
+  });
+}
@@ -0,0 +1,111 @@
+// src/syllables.js
+// Syllable counts. Words listed in public/syllableExceptions.json (built from the CMU
+// Pronouncing Dictionary by scripts/update-syllables.js) use the dictionary count;
+// everything else falls back to the vowel-group heuristic.
+
+let EXCEPTIONS = new Map();
+
+// Installs the { word: count } list; readers pick it up on their next count.
+export function setSyllableExceptions(list) {
+  EXCEPTIONS = new Map(Object.entries(list || {}));
+}
+
+export const hasSyllableExceptions = () => EXCEPTIONS.size > 0;
+
+export function heuristicSyllables(word) {
+  word = word.toLowerCase();
+  if (word.length <= 3) return 1;
+  word = word.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '');
+  word = word.replace(/^y/, '');
+  const matches = word.match(/[aeiouy]{1,2}/g);
+  return matches ? matches.length : 1;
+}
+
+/* ---------------- numbers written as digits ---------------- */
+const ONES = [0, 1, 1, 1, 1, 1, 1, 2, 1, 1]; // one..nine; zero is never spoken inside a number
+const TEENS = [1, 3, 1, 2, 2, 2, 2, 3, 2, 2]; // ten..nineteen
+const TENS = [0, 0, 2, 2, 2, 2, 2, 3, 2, 2]; // twenty..ninety
+const SCALES = [[1e9, 2], [1e6, 2], [1e3, 2]]; // billion, million, thousand
+
+function belowThousand(n) {
+  let count = 0;
+  if (n >= 100) {
+    count += ONES[Math.floor(n / 100)] + 2; // "hundred"
+    n %= 100;
+  }
+  if (n >= 20) {
+    count += TENS[Math.floor(n / 10)];
+    n %= 10;
+    if (n) count += ONES[n];
+  } else if (n >= 10) {
+    count += TEENS[n - 10];
+  } else if (n) {
+    count += ONES[n];
+  }
+  return count;
+}
+
+// Syllables in the spoken form of a whole number, as in "one thousand two hundred".
+function integerSyllables(n) {
+  if (n === 0) return 2;
+  // years are read in pairs: "nineteen ninety-nine", "twenty twenty-four"
+  if ((n >= 1100 && n < 2000) || (n >= 2010 && n < 2100)) {
+    const low = n % 100;
+    return belowThousand(Math.floor(n / 100)) + (low ? belowThousand(low) + (low < 10 ? 1 : 0) : 2);
+  }
+  let count = 0;
+  for (const [scale, syllables] of SCALES) {
+    if (n >= scale) {
+      count += integerSyllables(Math.floor(n / scale)) + syllables;
+      n %= scale;
+    }
+  }
+  return count + belowThousand(n);
+}
+
+// "$4.50", "1,200", "3rd", "75%", "1990s", "3:30", "10/19/2026".
+function numberSyllables(token) {
+  let count = 0;
+  let s = token.replace(/,/g, "");
+  if (s.startsWith("$")) { count += 2; s = s.slice(1); } // "dollars"
+  if (s.endsWith("%")) { count += 2; s = s.slice(0, -1); } // "percent"
+  s = s.replace(/(st|nd|rd|th|s)$/i, "");
+  for (const part of s.split(/[:/-]/)) {
+    const [whole, fraction] = part.split(".");
+    if (whole) count += integerSyllables(Math.min(Number(whole), 999999999999));
+    // decimals are read digit by digit after "point"
+    if (fraction) count += 1 + [...fraction].reduce((n, d) => n + (d === "0" ? 2 : ONES[+d]), 0);
+  }
+  return count || 1;
+}
+
+/* ---------------- words ---------------- */
+// Contraction endings and the base word they attach to: "couldn't" = "could" + one.
+const CONTRACTION = /^(.+?)('s|n't|'ll|'re|'ve|'d|'m)$/;
+
+function wordSyllables(lower) {
+  const known = EXCEPTIONS.get(lower);
+  if (known !== undefined) return known;
+
+  const contraction = lower.match(CONTRACTION);
+  if (contraction) {
+    const [, base, ending] = contraction;
+    const baseCount = wordSyllables(base);
+    if (ending === "n't") return baseCount + (/[aeiou]$/.test(base) ? 0 : 1);
+    // "horse's" gains a syllable, "cat's" does not
+    if (ending === "'s") return baseCount + (/(s|x|z|ch|sh|ce|ge|se|ze)$/.test(base) ? 1 : 0);
+    return baseCount;
+  }
+  return heuristicSyllables(lower);
+}
+
+export function countSyllables(word) {
+  const lower = word.toLowerCase().replace(/’/g, "'").replace(/^'+|'+$/g, "");
+  if (!lower) return 1;
+  if (/^\$?\d/.test(lower)) return numberSyllables(lower);
+  if (EXCEPTIONS.has(lower)) return EXCEPTIONS.get(lower);
+  if (lower.includes("-")) {
+    return lower.split("-").filter(Boolean).reduce((n, part) => n + countSyllables(part), 0) || 1;
+  }
+  return wordSyllables(lower);
+}
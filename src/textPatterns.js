@@ -0,0 +1,15 @@
+// src/textPatterns.js
+// Small regex helpers shared by the word-map and exempt-term matchers.
+
+export const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Matches a key with any run of whitespace (including line breaks) between its words.
+export const phrasePattern = (key) => key.trim().split(/\s+/).map(escapeRegExp).join("\\s+");
+
+// Whole-word alternation of keys, longest first so the longest match wins.
+// Returns null when there is nothing to match.
+export const buildPhraseRegexSource = (keys) => {
+  const sorted = [...keys].filter(Boolean).sort((a, b) => b.length - a.length);
+  if (!sorted.length) return null;
+  return `\\b(?:${sorted.map(phrasePattern).join("|")})\\b`;
+};
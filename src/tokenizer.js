@@ -0,0 +1,111 @@
+// src/tokenizer.js
+// The one place that decides where sentences end and what counts as a word.
+// Readability formulas, sentence highlights and style rules all read text through here,
+// so the stats bar and the highlights always agree.
+
+/* ---------------- abbreviations ---------------- */
+// Never end a sentence: titles, months, and short forms that are always followed by more.
+const NEVER_FINAL = new Set([
+  "mr", "mrs", "ms", "dr", "prof", "rev", "gen", "sen", "rep", "gov", "st", "mt", "ft",
+  "jan", "feb", "mar", "apr", "jun", "jul", "aug", "sep", "sept", "oct", "nov", "dec",
+  "vs", "approx", "dept", "est", "ext", "fig", "vol", "ave", "blvd", "rd",
+  "e.g", "i.e", "cf",
+  // Spanish
+  "sra", "srta", "dra", "ud", "uds", "lic", "pág", "núm", "avda", "tel",
+]);
+// May end a sentence; only do so when the next word is capitalized.
+const MAYBE_FINAL = new Set(["etc", "inc", "ltd", "co", "corp", "jr", "sr", "a.m", "p.m", "u.s", "u.k"]);
+// "No. 5" is short for number; "The answer is no. We" ends a sentence.
+const BEFORE_NUMBER = new Set(["no", "nos"]);
+
+export const ABBREVIATIONS = new Set([...NEVER_FINAL, ...MAYBE_FINAL, ...BEFORE_NUMBER]);
+
+/* ---------------- sentences ---------------- */
+// Terminal punctuation, any closing quotes or brackets, then a space or the end of the text.
+const TERMINAL = /[.!?…]+["'”’»)\]]*(?=\s|$)/g;
+const OPENING = /^["'“‘([¿¡«]+/;
+
+const nextVisibleChar = (text, from) => {
+  const m = /\S/.exec(text.slice(from));
+  return m ? m[0] : "";
+};
+const isLower = (ch) => !!ch && ch !== ch.toUpperCase() && ch === ch.toLowerCase();
+const isUpper = (ch) => !!ch && ch !== ch.toLowerCase() && ch === ch.toUpperCase();
+
+function endsSentence(text, match) {
+  const punct = match[0].replace(/["'”’»)\]]+$/, "");
+  const next = nextVisibleChar(text, match.index + match[0].length);
+  if (/[!?]/.test(punct)) return true;
+  // "Wait... what" continues; "It ended... Then" does not
+  if (punct === "…" || punct.length > 1) return !isLower(next);
+
+  const before = (text.slice(0, match.index).match(/(\S+)$/) || ["", ""])[1].replace(OPENING, "");
+  const lower = before.toLowerCase();
+  if (NEVER_FINAL.has(lower)) return false;
+  if (BEFORE_NUMBER.has(lower) && /\d/.test(next)) return false;
+  if (MAYBE_FINAL.has(lower) || /^([a-z]\.)+[a-z]$/i.test(before)) return isUpper(next);
+  // a single capital is an initial, as in "J. Smith"
+  if (/^[A-Z]$/.test(before)) return false;
+  return !isLower(next);
+}
+
+/*
+ * Sentences of text with offsets, text trimmed: [{ start, end, text }].
+ * Decimals, URLs and emails never split because a boundary needs a space after it.
+ */
+export function splitSentences(text) {
+  const out = [];
+  const push = (from, to) => {
+    const raw = text.slice(from, to);
+    const lead = raw.length - raw.trimStart().length;
+    const s = raw.trim();
+    if (s) out.push({ start: from + lead, end: from + lead + s.length, text: s });
+  };
+  let from = 0;
+  let m;
+  TERMINAL.lastIndex = 0;
+  while ((m = TERMINAL.exec(text)) !== null) {
+    if (!endsSentence(text, m)) continue;
+    push(from, m.index + m[0].length);
+    from = m.index + m[0].length;
+  }
+  push(from, text.length);
+  return out;
+}
+
+/* ---------------- words ---------------- */
+const TOKEN = new RegExp(
+  [
+    /(https?:\/\/\S+|www\.\S+)/.source, // url
+    /([\w.+-]+@[\w-]+(?:\.[\w-]+)+)/.source, // email
+    /(\$?\d+(?:[.,:/-]\d+)*(?:%|st|nd|rd|th|s)?)/.source, // number, date, time, ordinal
+    /(\p{L}(?:\.\p{L})+(?!\p{L}))/.source, // dotted abbreviation such as "e.g" or "U.S"
+    /(\p{L}[\p{L}\p{M}]*(?:['’-][\p{L}\p{M}\d]+)*)/.source, // word, with inner apostrophes and hyphens
+  ].join("|"),
+  "gu"
+);
+const URL_TRAILING = /[.,;:!?)"'”’\]]+$/;
+
+/*
+ * Words of text with offsets: [{ text, start, end, kind: "word" | "number" | "url" | "email" }].
+ * Dotted abbreviations are one word. Quotes, dashes and other punctuation are not words.
+ */
+export function tokenizeWords(text) {
+  const out = [];
+  let m;
+  TOKEN.lastIndex = 0;
+  while ((m = TOKEN.exec(text)) !== null) {
+    let value = m[0];
+    let kind = "word";
+    if (m[1]) {
+      kind = "url";
+      value = value.replace(URL_TRAILING, "");
+    } else if (m[2]) {
+      kind = "email";
+    } else if (m[3]) {
+      kind = "number";
+    }
+    out.push({ text: value, start: m.index, end: m.index + value.length, kind });
+  }
+  return out;
+}
@@ -0,0 +1,69 @@
+// src/useDocumentStats.js
+// Debounced document-wide stats for an editor, computed in statsWorker.js.
+// Falls back to the main thread if the worker cannot start.
+import { useEffect, useRef, useState } from "react";
+import { documentStats } from "./readabilityUtils";
+import { documentText } from "./sentenceAnalysis";
+
+const EMPTY_STATS = { language: "en", wordCount: 0, sentenceCount: 0, grade: 0, ease: 0, scores: {} };
+
+// syllableExceptions is the list already installed on this thread with setSyllableExceptions().
+export default function useDocumentStats(
+  editor,
+  { exempt, easySet, language, spanishFormula, syllableExceptions },
+  debounceMs
+) {
+  const [stats, setStats] = useState(EMPTY_STATS);
+  const workerRef = useRef(null);
+  const lastIdRef = useRef(0);
+
+  useEffect(() => {
+    if (typeof Worker === "undefined") return;
+    let worker;
+    try {
+      worker = new Worker(new URL("./statsWorker.js", import.meta.url));
+    } catch {
+      return;
+    }
+    // only the newest request's answer is shown
+    worker.onmessage = ({ data }) => { if (data.id === lastIdRef.current) setStats(data.stats); };
+    worker.onerror = () => { worker.terminate(); workerRef.current = null; };
+    workerRef.current = worker;
+    return () => { worker.terminate(); workerRef.current = null; };
+  }, []);
+
+  useEffect(() => {
+    if (workerRef.current) {
+      workerRef.current.postMessage({ type: "options", options: { exempt, easySet, language, spanishFormula } });
+    }
+  }, [exempt, easySet, language, spanishFormula]);
+
+  useEffect(() => {
+    if (workerRef.current && syllableExceptions) {
+      workerRef.current.postMessage({ type: "syllables", list: syllableExceptions });
+    }
+  }, [syllableExceptions]);
+
+  useEffect(() => {
+    if (!editor) return;
+    let tid;
+    const run = () => {
+      const text = documentText(editor.state.doc);
+      const id = ++lastIdRef.current;
+      if (workerRef.current) workerRef.current.postMessage({ type: "stats", id, text });
+      else setStats(documentStats(text, { exempt, easySet, language, spanishFormula }));
+    };
+    const handler = () => {
+      window.clearTimeout(tid);
+      tid = window.setTimeout(run, debounceMs);
+    };
+    editor.on("update", handler);
+    handler();
+    return () => {
+      window.clearTimeout(tid);
+      editor.off("update", handler);
+    };
+  }, [editor, exempt, easySet, language, spanishFormula, syllableExceptions, debounceMs]);
+
+  return stats;
+}
@@ -0,0 +1,28 @@
+// src/useGlossaryTerms.js
+// The first use of each acronym and jargon term in an editor's document (see glossary.js),
+// found again once typing pauses.
+import { useEffect, useMemo, useState } from "react";
+import { cachedTermsOf, documentTermUses } from "./glossary";
+
+export default function useGlossaryTerms(editor, terms, debounceMs) {
+  const [uses, setUses] = useState([]);
+  const termsOf = useMemo(() => cachedTermsOf(terms), [terms]);
+
+  useEffect(() => {
+    if (!editor) return;
+    let tid;
+    const run = () => setUses(documentTermUses(editor.state.doc, termsOf));
+    const handler = () => {
+      window.clearTimeout(tid);
+      tid = window.setTimeout(run, debounceMs);
+    };
+    editor.on("update", handler);
+    handler();
+    return () => {
+      window.clearTimeout(tid);
+      editor.off("update", handler);
+    };
+  }, [editor, termsOf, debounceMs]);
+
+  return uses;
+}
@@ -0,0 +1,28 @@
+// src/usePlainLanguageChecklist.js
+// The plain-language checklist for an editor's document, scored again once typing pauses.
+import { useEffect, useState } from "react";
+import { documentBlocks, plainLanguageChecklist } from "./plainLanguageChecklist";
+
+const EMPTY_CHECKLIST = { items: [], passed: 0, checked: 0 };
+
+export default function usePlainLanguageChecklist(editor, { language, exempt, jargon }, debounceMs) {
+  const [checklist, setChecklist] = useState(EMPTY_CHECKLIST);
+
+  useEffect(() => {
+    if (!editor) return;
+    let tid;
+    const run = () => setChecklist(plainLanguageChecklist(documentBlocks(editor.state.doc), { language, exempt, jargon }));
+    const handler = () => {
+      window.clearTimeout(tid);
+      tid = window.setTimeout(run, debounceMs);
+    };
+    editor.on("update", handler);
+    handler();
+    return () => {
+      window.clearTimeout(tid);
+      editor.off("update", handler);
+    };
+  }, [editor, language, exempt, jargon, debounceMs]);
+
+  return checklist;
+}